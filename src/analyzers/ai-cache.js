@@ -0,0 +1,196 @@
+/**
+ * AICache - Кэш ответов AI-анализа на диске
+ *
+ * Ключ - хэш содержимого изображений, итогового промпта, провайдера, модели
+ * и схемы ответа: тот же скриншот с тем же промптом не отправляется в модель
+ * повторно, а смена модели, промпта или схемы даёт новый ключ.
+ *
+ *   .visual-qa-cache/ai/ab/ab12...ef.json
+ *   { "key": "ab12...", "task": "visualQA", "provider": "anthropic", "model": "...",
+ *     "created_at": "...", "expires_at": "...", "result": { ... } }
+ *
+ * Просроченные записи (TTL) считаются промахом и удаляются при чтении или prune().
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+export const DEFAULT_CACHE_DIR = path.join('.visual-qa-cache', 'ai');
+export const DEFAULT_TTL_HOURS = 24 * 7;
+
+/**
+ * Ключ записи кэша
+ * @param {Object} parts
+ * @param {Array} parts.images - [{ data }] base64 изображений
+ * @param {string} parts.prompt - итоговый промпт (с метаданными)
+ * @param {string} parts.provider - имя провайдера
+ * @param {string} parts.model - модель
+ * @param {Object} parts.tool - определение инструмента (схема ответа)
+ * @returns {string} sha256 в hex
+ */
+export function cacheKey({ images = [], prompt, provider, model, tool = null }) {
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify({ provider, model, prompt, tool }));
+    for (const image of images) {
+        hash.update('\0');
+        hash.update(image.label || '');
+        hash.update(image.data);
+    }
+    return hash.digest('hex');
+}
+
+export class AICache {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.enabled - false - не читать и не писать кэш (--no-cache)
+     * @param {string} options.dir - директория кэша (VISUAL_QA_AI_CACHE_DIR)
+     * @param {number} options.ttlHours - время жизни записи в часах (VISUAL_QA_AI_CACHE_TTL_HOURS), 0 - бессрочно
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? process.env.VISUAL_QA_AI_CACHE !== 'off';
+        this.dir = path.resolve(options.dir || process.env.VISUAL_QA_AI_CACHE_DIR || DEFAULT_CACHE_DIR);
+
+        const ttl = Number(options.ttlHours ?? process.env.VISUAL_QA_AI_CACHE_TTL_HOURS ?? DEFAULT_TTL_HOURS);
+        this.ttlHours = Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_HOURS;
+
+        this.resetStats();
+    }
+
+    /**
+     * Счётчики за текущий запуск
+     */
+    resetStats() {
+        this.hits = 0;
+        this.misses = 0;
+        this.writes = 0;
+        this.expired = 0;
+    }
+
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            enabled: this.enabled,
+            hits: this.hits,
+            misses: this.misses,
+            writes: this.writes,
+            expired: this.expired,
+            hit_rate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0
+        };
+    }
+
+    entryPath(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return Boolean(entry.expires_at) && Date.parse(entry.expires_at) <= now;
+    }
+
+    /**
+     * Результат из кэша или null (промах, просрочен, кэш выключен)
+     */
+    async get(key) {
+        if (!this.enabled) return null;
+
+        const entryPath = this.entryPath(key);
+        let entry;
+        try {
+            entry = await fs.readJSON(entryPath);
+        } catch (e) {
+            this.misses++;
+            return null;
+        }
+
+        if (this.isExpired(entry)) {
+            this.expired++;
+            this.misses++;
+            await fs.remove(entryPath);
+            return null;
+        }
+
+        this.hits++;
+        return entry.result;
+    }
+
+    /**
+     * Сохранение результата
+     * @param {string} key - cacheKey()
+     * @param {Object} result - проверенный результат анализа
+     * @param {Object} info - { task, provider, model } для просмотра кэша
+     */
+    async set(key, result, info = {}) {
+        if (!this.enabled) return;
+
+        const now = new Date();
+        const entry = {
+            key,
+            ...info,
+            created_at: now.toISOString(),
+            expires_at: this.ttlHours > 0 ? new Date(now.getTime() + this.ttlHours * 3600 * 1000).toISOString() : null,
+            result
+        };
+
+        try {
+            await fs.outputJSON(this.entryPath(key), entry, { spaces: 2 });
+            this.writes++;
+        } catch (e) {
+            console.warn(`[AICache] Не удалось сохранить ${key}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Все файлы записей кэша
+     */
+    async listEntries() {
+        if (!await fs.pathExists(this.dir)) return [];
+
+        const files = [];
+        for (const shard of await fs.readdir(this.dir)) {
+            const shardDir = path.join(this.dir, shard);
+            if (!(await fs.stat(shardDir)).isDirectory()) continue;
+            for (const file of await fs.readdir(shardDir)) {
+                if (file.endsWith('.json')) files.push(path.join(shardDir, file));
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Удаление просроченных записей
+     * @returns {Promise<{removed: number, kept: number}>}
+     */
+    async prune() {
+        const now = Date.now();
+        let removed = 0;
+        let kept = 0;
+
+        for (const file of await this.listEntries()) {
+            try {
+                const entry = await fs.readJSON(file);
+                if (!this.isExpired(entry, now)) {
+                    kept++;
+                    continue;
+                }
+            } catch (e) {
+                // Повреждённая запись удаляется вместе с просроченными
+            }
+            await fs.remove(file);
+            removed++;
+        }
+
+        return { removed, kept };
+    }
+
+    /**
+     * Полная очистка кэша
+     * @returns {Promise<number>} сколько записей удалено
+     */
+    async clear() {
+        const count = (await this.listEntries()).length;
+        await fs.remove(this.dir);
+        return count;
+    }
+}
+
+export default AICache;
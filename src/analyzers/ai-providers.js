@@ -0,0 +1,305 @@
+/**
+ * AI-провайдеры для AIVisionAnalyzer
+ *
+ * Провайдер принимает изображения и промпт и возвращает текст ответа и JSON.
+ * С `tool` (см. ai-schemas.js) модель обязана вызвать инструмент, и json -
+ * его аргументы; без tool json ищется в тексте, если он запрошен (`json: true`).
+ * Анализатор не знает, какая модель отвечает:
+ *
+ *   const provider = createProvider({ provider: 'openai', baseUrl: 'http://localhost:11434/v1', model: 'llava' });
+ *   const { text, json, usage } = await provider.analyze({
+ *       task: 'visualQA',
+ *       prompt: '...',
+ *       images: [{ data: base64, mediaType: 'image/png', label: 'BASELINE (эталон):' }],
+ *       tool: toolDefinition('visualQA')
+ *   });
+ *
+ * Провайдеры:
+ * - anthropic - Claude через @anthropic-ai/sdk (ANTHROPIC_API_KEY)
+ * - openai    - любой OpenAI-совместимый /chat/completions (OpenAI, Ollama, vLLM, LM Studio)
+ * - mock      - детерминированные ответы из фикстуры, для CI и работы без сети
+ *
+ * Выбор провайдера: options.provider → VISUAL_QA_AI_PROVIDER → anthropic.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import fs from 'fs-extra';
+
+export const DEFAULT_ANTHROPIC_MODEL = 'claude-sonnet-4-20250514';
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * JSON из ответа модели: блок ```json ... ``` или весь ответ
+ * @returns {Object|null}
+ */
+export function extractJson(text) {
+    if (!text) return null;
+    const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+    const candidate = (fenced ? fenced[1] : text).trim();
+    try {
+        return JSON.parse(candidate);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Ошибка HTTP API с кодом ответа (анализатор по нему отличает rate limit)
+ */
+function httpError(status, body) {
+    const error = new Error(`HTTP ${status}: ${String(body).slice(0, 300)}`);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Claude через Anthropic SDK
+ */
+export class AnthropicProvider {
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+        this.model = options.model || process.env.VISUAL_QA_AI_MODEL || DEFAULT_ANTHROPIC_MODEL;
+
+        this.enabled = Boolean(this.apiKey);
+        this.disabledReason = this.enabled ? null : 'ANTHROPIC_API_KEY не установлен';
+        if (this.enabled) {
+            this.client = options.client || new Anthropic({ apiKey: this.apiKey });
+        }
+    }
+
+    async analyze({ prompt, images = [], maxTokens = 4096, json = false, tool = null }) {
+        const content = [];
+        for (const image of images) {
+            if (image.label) content.push({ type: 'text', text: image.label });
+            content.push({
+                type: 'image',
+                source: { type: 'base64', media_type: image.mediaType || 'image/png', data: image.data }
+            });
+        }
+        content.push({ type: 'text', text: prompt });
+
+        const response = await this.client.messages.create({
+            model: this.model,
+            max_tokens: maxTokens,
+            messages: [{ role: 'user', content }],
+            ...(tool ? {
+                tools: [{ name: tool.name, description: tool.description, input_schema: tool.parameters }],
+                tool_choice: { type: 'tool', name: tool.name }
+            } : {})
+        });
+
+        const text = response.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+        const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === tool?.name);
+        return {
+            provider: this.name,
+            model: response.model || this.model,
+            text,
+            json: toolUse ? toolUse.input : (json || tool ? extractJson(text) : null),
+            usage: {
+                inputTokens: response.usage?.input_tokens || 0,
+                outputTokens: response.usage?.output_tokens || 0
+            }
+        };
+    }
+}
+
+/**
+ * OpenAI-совместимый сервер: POST {baseUrl}/chat/completions
+ * Покрывает локальные модели (Ollama, vLLM, LM Studio, llama.cpp server)
+ */
+export class OpenAICompatibleProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - адрес API (VISUAL_QA_AI_BASE_URL, OPENAI_BASE_URL)
+     * @param {string} options.apiKey - ключ (VISUAL_QA_AI_API_KEY, OPENAI_API_KEY); локальным серверам не нужен
+     * @param {string} options.model - модель с поддержкой изображений (VISUAL_QA_AI_MODEL)
+     * @param {boolean} options.jsonMode - запрашивать response_format json_object (не все серверы поддерживают)
+     * @param {boolean} options.toolCalling - передавать схему ответа как function calling
+     *        (false - для серверов без tools: схема остаётся только в промпте, ответ ищется в тексте)
+     */
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.baseUrl = (options.baseUrl || process.env.VISUAL_QA_AI_BASE_URL || process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL)
+            .replace(/\/+$/, '');
+        this.apiKey = options.apiKey || process.env.VISUAL_QA_AI_API_KEY || process.env.OPENAI_API_KEY || null;
+        this.model = options.model || process.env.VISUAL_QA_AI_MODEL || null;
+        this.jsonMode = options.jsonMode ?? process.env.VISUAL_QA_AI_JSON_MODE !== 'false';
+        this.toolCalling = options.toolCalling ?? process.env.VISUAL_QA_AI_TOOLS !== 'false';
+
+        this.enabled = Boolean(this.model);
+        this.disabledReason = this.enabled ? null : 'Не указана модель (VISUAL_QA_AI_MODEL) для OpenAI-совместимого провайдера';
+    }
+
+    async analyze({ prompt, images = [], maxTokens = 4096, json = false, tool = null }) {
+        const content = [];
+        for (const image of images) {
+            if (image.label) content.push({ type: 'text', text: image.label });
+            content.push({
+                type: 'image_url',
+                image_url: { url: `data:${image.mediaType || 'image/png'};base64,${image.data}` }
+            });
+        }
+        content.push({ type: 'text', text: prompt });
+
+        if (tool && !this.toolCalling) {
+            tool = null;
+            json = true;
+        }
+
+        const body = {
+            model: this.model,
+            max_tokens: maxTokens,
+            messages: [{ role: 'user', content }],
+            ...(tool ? {
+                tools: [{ type: 'function', function: tool }],
+                tool_choice: { type: 'function', function: { name: tool.name } }
+            } : {}),
+            ...(json && !tool && this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+        };
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw httpError(response.status, await response.text());
+        }
+
+        const data = await response.json();
+        const message = data.choices?.[0]?.message || {};
+        const text = message.content || '';
+        // Серверы без поддержки tools отвечают текстом - тогда JSON ищется в нём
+        const call = message.tool_calls?.find(item => item.function?.name === tool?.name);
+        return {
+            provider: this.name,
+            model: data.model || this.model,
+            text,
+            json: call ? extractJson(call.function.arguments) : (json || tool ? extractJson(text) : null),
+            usage: {
+                inputTokens: data.usage?.prompt_tokens || 0,
+                outputTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
+
+/**
+ * Ответы по умолчанию: "проблем нет" для каждой задачи анализатора
+ */
+const DEFAULT_FIXTURES = {
+    visualQA: {
+        overall_score: 100,
+        status: 'passed',
+        issues: [],
+        positive_aspects: [],
+        summary: 'Mock-провайдер: ответ из фикстуры'
+    },
+    accessibility: {
+        wcag_level: 'AA',
+        issues: [],
+        score: 100
+    },
+    comparison: {
+        has_differences: false,
+        is_regression: false,
+        difference_percent: 0,
+        changes: [],
+        recommendation: 'approve',
+        summary: 'Mock-провайдер: ответ из фикстуры'
+    },
+    responsive: {
+        consistent: true,
+        score: 100,
+        issues: [],
+        summary: 'Mock-провайдер: ответ из фикстуры'
+    }
+};
+
+/**
+ * Детерминированный провайдер без сети
+ * Фикстура - JSON { [task]: ответ }: объект возвращается как вызов инструмента,
+ * строка - как текст. Массив - ответы по очереди (последний повторяется),
+ * так проверяются повторные запросы после невалидного ответа.
+ * Задачи без ответа в фикстуре получают DEFAULT_FIXTURES.
+ */
+export class MockProvider {
+    /**
+     * @param {Object} options
+     * @param {string|Object} options.fixtures - путь к JSON-фикстуре (VISUAL_QA_AI_FIXTURES) или сам объект
+     */
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.model = options.model || 'mock';
+        this.fixtures = options.fixtures || process.env.VISUAL_QA_AI_FIXTURES || null;
+        this.enabled = true;
+        this.disabledReason = null;
+        this.calls = []; // Журнал запросов для проверок в тестах
+    }
+
+    async loadFixtures() {
+        if (typeof this.fixtures === 'string') {
+            this.fixtures = await fs.readJSON(this.fixtures);
+        }
+        return { ...DEFAULT_FIXTURES, ...(this.fixtures || {}) };
+    }
+
+    async analyze({ task, prompt, images = [], json = false, tool = null }) {
+        const attempt = this.calls.filter(call => call.task === task).length;
+        this.calls.push({ task, prompt, images: images.length, tool: tool?.name || null });
+
+        const fixtures = await this.loadFixtures();
+        let fixture = fixtures[task] ?? { issues: [], summary: `Mock-провайдер: нет ответа для задачи ${task}` };
+        if (Array.isArray(fixture)) {
+            fixture = fixture[Math.min(attempt, fixture.length - 1)];
+        }
+
+        const text = typeof fixture === 'string' ? fixture : '';
+        const output = text || JSON.stringify(fixture);
+
+        return {
+            provider: this.name,
+            model: this.model,
+            text,
+            json: typeof fixture === 'string' ? (json || tool ? extractJson(text) : null) : fixture,
+            // Оценка по длине текста: ~4 символа на токен
+            usage: {
+                inputTokens: Math.ceil(prompt.length / 4),
+                outputTokens: Math.ceil(output.length / 4)
+            }
+        };
+    }
+}
+
+export const PROVIDERS = {
+    anthropic: AnthropicProvider,
+    openai: OpenAICompatibleProvider,
+    mock: MockProvider
+};
+
+/**
+ * Провайдер по имени (options.provider → VISUAL_QA_AI_PROVIDER → anthropic)
+ * @param {Object} options - опции провайдера (apiKey, model, baseUrl, fixtures, ...)
+ */
+export function createProvider(options = {}) {
+    const name = options.provider || process.env.VISUAL_QA_AI_PROVIDER || 'anthropic';
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Неизвестный AI-провайдер: ${name}. Доступны: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider(options);
+}
+
+export default {
+    PROVIDERS,
+    createProvider,
+    extractJson,
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    MockProvider
+};
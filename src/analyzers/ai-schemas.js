@@ -0,0 +1,153 @@
+/**
+ * AISchemas - Схемы структурированных ответов AI-анализа
+ *
+ * Каждая задача AIVisionAnalyzer описана zod-схемой. Из неё строится
+ * инструмент (tool / function calling), через который модель возвращает
+ * результат, и ею же проверяется ответ перед тем, как он попадёт в отчёт:
+ *
+ *   const tool = toolDefinition('visualQA');   // { name, description, parameters }
+ *   const parsed = ANALYSIS_TOOLS.visualQA.schema.safeParse(response.json);
+ *
+ * Координаты bbox - пиксели присланного изображения (левый верхний угол, размер);
+ * анализатор переводит их в пиксели исходного скриншота (см. image-tiler.js).
+ */
+
+import { z } from 'zod';
+
+export const SEVERITIES = ['critical', 'warning', 'info'];
+export const CATEGORIES = ['layout', 'typography', 'colors', 'interaction', 'accessibility', 'content', 'other'];
+export const BREAKPOINTS = ['mobile', 'tablet', 'desktop'];
+export const RESPONSIVE_ISSUE_TYPES = ['missing_element', 'reordered_content', 'broken_navigation', 'layout_inconsistency', 'content_mismatch', 'other'];
+
+export const BoundingBoxSchema = z.object({
+    x: z.number().min(0),
+    y: z.number().min(0),
+    width: z.number().min(0),
+    height: z.number().min(0)
+}).describe('Область проблемы на изображении в пикселях: левый верхний угол и размер');
+
+export const AIIssueSchema = z.object({
+    severity: z.enum(SEVERITIES).describe('critical - блокирует релиз, warning - заметный дефект, info - рекомендация'),
+    category: z.enum(CATEGORIES),
+    message: z.string().min(1).describe('Описание проблемы'),
+    location: z.string().optional().describe('Где на странице, словами (header, карточка товара, футер)'),
+    bbox: BoundingBoxSchema.nullable().optional(),
+    wcag: z.string().nullable().optional().describe('Критерий WCAG, если проблема связана с доступностью, например "1.4.3 Contrast (Minimum)"'),
+    recommendation: z.string().min(1).describe('Как исправить (CSS/HTML или словами)')
+});
+
+export const VisualQASchema = z.object({
+    overall_score: z.number().min(0).max(100),
+    status: z.enum(['passed', 'warning', 'failed']),
+    issues: z.array(AIIssueSchema),
+    positive_aspects: z.array(z.string()).optional(),
+    summary: z.string().describe('Краткое заключение на 2-3 предложения')
+});
+
+export const AccessibilitySchema = z.object({
+    wcag_level: z.enum(['A', 'AA', 'AAA', 'FAIL']),
+    score: z.number().min(0).max(100),
+    issues: z.array(AIIssueSchema.extend({
+        wcag: z.string().min(1).describe('Критерий WCAG, например "1.4.3 Contrast (Minimum)"')
+    }))
+});
+
+export const ComparisonSchema = z.object({
+    has_differences: z.boolean(),
+    is_regression: z.boolean(),
+    difference_percent: z.number().min(0).max(100),
+    changes: z.array(z.object({
+        type: z.enum(['addition', 'removal', 'modification']),
+        severity: z.enum(SEVERITIES),
+        category: z.enum(CATEGORIES),
+        description: z.string().min(1).describe('Что изменилось'),
+        location: z.string().optional(),
+        bbox: BoundingBoxSchema.nullable().optional().describe('Область изменения на ТЕКУЩЕМ скриншоте, в пикселях'),
+        is_intentional: z.union([z.boolean(), z.literal('unknown')]),
+        recommendation: z.string().optional().describe('Что сделать, если это регрессия')
+    })),
+    recommendation: z.enum(['approve', 'review', 'reject']),
+    summary: z.string()
+});
+
+export const ResponsiveSchema = z.object({
+    consistent: z.boolean().describe('Страница одинаково полноценна на всех брейкпоинтах'),
+    score: z.number().min(0).max(100),
+    issues: z.array(AIIssueSchema.extend({
+        type: z.enum(RESPONSIVE_ISSUE_TYPES).describe('missing_element - элемент пропал, reordered_content - изменился порядок контента, broken_navigation - навигация недоступна или сломана'),
+        breakpoints: z.array(z.enum(BREAKPOINTS)).min(1).describe('Брейкпоинты, на которых видна проблема'),
+        bbox: BoundingBoxSchema.nullable().optional().describe('Область проблемы на скриншоте первого из breakpoints, в пикселях')
+    })),
+    summary: z.string()
+});
+
+/**
+ * Инструменты задач анализатора: имя, описание для модели и схема результата
+ */
+export const ANALYSIS_TOOLS = {
+    visualQA: {
+        name: 'report_visual_issues',
+        description: 'Сообщить результат визуальной проверки скриншота: оценку, статус и все найденные проблемы',
+        schema: VisualQASchema
+    },
+    accessibility: {
+        name: 'report_accessibility_issues',
+        description: 'Сообщить результат проверки скриншота на соответствие WCAG 2.1',
+        schema: AccessibilitySchema
+    },
+    comparison: {
+        name: 'report_visual_changes',
+        description: 'Сообщить различия между baseline и текущим скриншотом и оценку, регрессия ли это',
+        schema: ComparisonSchema
+    },
+    responsive: {
+        name: 'report_responsive_issues',
+        description: 'Сообщить расхождения одной страницы между мобильной, планшетной и десктопной версиями',
+        schema: ResponsiveSchema
+    }
+};
+
+/**
+ * Определение инструмента для провайдера: JSON Schema параметров из zod-схемы
+ * @param {string} task - ключ ANALYSIS_TOOLS
+ * @returns {{name: string, description: string, parameters: Object}}
+ */
+export function toolDefinition(task) {
+    const tool = ANALYSIS_TOOLS[task];
+    if (!tool) {
+        throw new Error(`Нет схемы ответа для задачи ${task}`);
+    }
+    const parameters = z.toJSONSchema(tool.schema);
+    delete parameters.$schema; // Провайдерам нужен только сам объект схемы
+    return { name: tool.name, description: tool.description, parameters };
+}
+
+/**
+ * Проверка ответа по схеме задачи
+ * @returns {{success: true, data: Object} | {success: false, errors: string}}
+ */
+export function validateAnalysis(task, value) {
+    if (value === null || value === undefined) {
+        return { success: false, errors: 'Ответ не содержит JSON с результатом' };
+    }
+    const parsed = ANALYSIS_TOOLS[task].schema.safeParse(value);
+    return parsed.success
+        ? { success: true, data: parsed.data }
+        : { success: false, errors: z.prettifyError(parsed.error) };
+}
+
+export default {
+    SEVERITIES,
+    CATEGORIES,
+    BREAKPOINTS,
+    RESPONSIVE_ISSUE_TYPES,
+    BoundingBoxSchema,
+    AIIssueSchema,
+    VisualQASchema,
+    AccessibilitySchema,
+    ComparisonSchema,
+    ResponsiveSchema,
+    ANALYSIS_TOOLS,
+    toolDefinition,
+    validateAnalysis
+};
@@ -0,0 +1,184 @@
+/**
+ * AIUsage - Учёт токенов и стоимости AI-анализа
+ *
+ * Каждый запрос к провайдеру (включая повторы после невалидного ответа)
+ * записывается с числом входных/выходных токенов и оценкой стоимости
+ * по таблице цен. Цены - USD за 1M токенов, ключ - модель или glob-шаблон:
+ *
+ *   { "claude-sonnet-4*": { "input": 3, "output": 15 }, "llava": { "input": 0, "output": 0 } }
+ *
+ * Таблица из файла (VISUAL_QA_AI_PRICES, --ai-prices) дополняет DEFAULT_PRICES.
+ * Бюджет (VISUAL_QA_AI_BUDGET_USD, --ai-budget) - после его превышения
+ * новые запросы не отправляются. Ответы из кэша ничего не стоят.
+ * С бюджетом нужна цена модели: расход модели без цены проверить нельзя.
+ */
+
+import fs from 'fs-extra';
+import { matchesPattern } from '../utils/helpers.js';
+
+/**
+ * Цены по умолчанию, USD за 1M токенов
+ * Для моделей без цены стоимость не считается (unpriced_requests)
+ */
+export const DEFAULT_PRICES = {
+    'claude-opus-4*': { input: 15, output: 75 },
+    'claude-sonnet-4*': { input: 3, output: 15 },
+    'claude-3-7-sonnet*': { input: 3, output: 15 },
+    'claude-3-5-sonnet*': { input: 3, output: 15 },
+    'claude-3-5-haiku*': { input: 0.8, output: 4 },
+    'claude-3-haiku*': { input: 0.25, output: 1.25 },
+    'gpt-4o-mini*': { input: 0.15, output: 0.6 },
+    'gpt-4o*': { input: 2.5, output: 10 },
+    'gpt-4.1-mini*': { input: 0.4, output: 1.6 },
+    'gpt-4.1*': { input: 2, output: 8 },
+    'mock': { input: 0, output: 0 }
+};
+
+/**
+ * Цена модели: точное совпадение, иначе самый длинный подходящий шаблон
+ * @param {string} model - модель из ответа провайдера
+ * @param {Object} prices - таблица цен
+ * @returns {{input: number, output: number}|null}
+ */
+export function resolvePrice(model, prices = DEFAULT_PRICES) {
+    if (!model) return null;
+    if (prices[model]) return prices[model];
+
+    const pattern = Object.keys(prices)
+        .filter(key => key.includes('*') && matchesPattern(model, key))
+        .sort((a, b) => b.length - a.length)[0];
+    return pattern ? prices[pattern] : null;
+}
+
+/**
+ * Стоимость запроса в USD
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @param {{input: number, output: number}|null} price
+ * @returns {number|null} null, если цена модели неизвестна
+ */
+export function estimateCost(usage, price) {
+    if (!price) return null;
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1_000_000;
+}
+
+function roundCost(value) {
+    return Math.round(value * 1_000_000) / 1_000_000;
+}
+
+export class UsageTracker {
+    /**
+     * @param {Object} options
+     * @param {Object|string} options.prices - таблица цен или путь к JSON (VISUAL_QA_AI_PRICES)
+     * @param {number} options.budgetUsd - бюджет запуска в USD (VISUAL_QA_AI_BUDGET_USD), 0/не задан - без ограничения
+     */
+    constructor(options = {}) {
+        this.prices = { ...DEFAULT_PRICES, ...this.loadPrices(options.prices ?? process.env.VISUAL_QA_AI_PRICES) };
+
+        const budget = Number(options.budgetUsd ?? process.env.VISUAL_QA_AI_BUDGET_USD ?? 0);
+        this.budgetUsd = Number.isFinite(budget) && budget > 0 ? budget : null;
+
+        this.reset();
+    }
+
+    loadPrices(source) {
+        if (!source) return {};
+        if (typeof source === 'object') return source;
+        try {
+            return fs.readJSONSync(source);
+        } catch (e) {
+            console.warn(`[UsageTracker] Не удалось прочитать таблицу цен ${source}: ${e.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Счётчики за текущий запуск
+     */
+    reset() {
+        this.requests = [];
+        this.skipped = 0;
+    }
+
+    get totalCost() {
+        return this.requests.reduce((sum, item) => sum + (item.cost_usd || 0), 0);
+    }
+
+    /**
+     * Бюджет исчерпан: следующий запрос не отправляется
+     * Ответ модели без цены тоже останавливает запросы - расход больше не известен
+     */
+    get exceeded() {
+        return this.budgetUsd !== null &&
+            (this.totalCost >= this.budgetUsd || this.requests.some(item => item.cost_usd === null));
+    }
+
+    /**
+     * Проверка перед запуском: при заданном бюджете у модели должна быть цена
+     * @param {string|null} model - модель провайдера
+     * @throws {Error} если бюджет задан, а цена модели неизвестна
+     */
+    assertBudgetable(model) {
+        if (this.budgetUsd === null || resolvePrice(model, this.prices)) return;
+        throw new Error(
+            `Бюджет AI-анализа ($${this.budgetUsd}) задан, но цена модели ${model || '(по умолчанию сервера)'} неизвестна: ` +
+            'добавьте её в таблицу цен (--ai-prices, VISUAL_QA_AI_PRICES) или уберите бюджет'
+        );
+    }
+
+    /**
+     * Запись ответа провайдера
+     * @param {Object} info - { task, operation, subject, attempt }
+     * @param {Object} response - ответ provider.analyze() ({ model, usage })
+     * @returns {Object} запись запроса
+     */
+    record(info, response) {
+        const usage = {
+            inputTokens: response.usage?.inputTokens || 0,
+            outputTokens: response.usage?.outputTokens || 0
+        };
+        const cost = estimateCost(usage, resolvePrice(response.model, this.prices));
+
+        const entry = {
+            task: info.task,
+            operation: info.operation,
+            subject: info.subject || null,
+            attempt: info.attempt || 1,
+            model: response.model,
+            input_tokens: usage.inputTokens,
+            output_tokens: usage.outputTokens,
+            cost_usd: cost === null ? null : roundCost(cost)
+        };
+        this.requests.push(entry);
+
+        if (cost === null && this.budgetUsd !== null) {
+            console.warn(`[UsageTracker] Нет цены для модели ${response.model}: расход не учитывается в бюджете, следующие запросы не отправляются`);
+        }
+        return entry;
+    }
+
+    /**
+     * Запрос, не отправленный из-за бюджета
+     */
+    skip() {
+        this.skipped++;
+    }
+
+    /**
+     * Итоги запуска для results.json и отчёта
+     */
+    stats() {
+        return {
+            requests: this.requests.length,
+            input_tokens: this.requests.reduce((sum, item) => sum + item.input_tokens, 0),
+            output_tokens: this.requests.reduce((sum, item) => sum + item.output_tokens, 0),
+            cost_usd: roundCost(this.totalCost),
+            unpriced_requests: this.requests.filter(item => item.cost_usd === null).length,
+            budget_usd: this.budgetUsd,
+            budget_exceeded: this.exceeded,
+            skipped: this.skipped,
+            calls: this.requests
+        };
+    }
+}
+
+export default UsageTracker;
@@ -1,35 +1,91 @@
 /**
  * AIVisionAnalyzer - AI-анализатор визуальных проблем
  *
- * Использует Claude Vision для интеллектуального анализа скриншотов:
+ * Использует vision-модель для интеллектуального анализа скриншотов:
  * - Обнаружение визуальных багов
  * - Проверка UX/UI паттернов
  * - Анализ accessibility
  * - Сравнение с baseline
+ * - Расхождения между мобильной, планшетной и десктопной версиями
+ *
+ * Модель подключается через провайдера (см. ai-providers.js):
+ * Claude, OpenAI-совместимый сервер или mock-фикстура для CI.
+ * Результат возвращается через инструмент и проверяется zod-схемой
+ * задачи (см. ai-schemas.js); невалидный ответ запрашивается повторно.
+ * Проверенные результаты кэшируются на диске (см. ai-cache.js),
+ * токены и стоимость запросов учитываются с бюджетом на запуск (см. ai-usage.js).
+ * Высокие и большие скриншоты режутся на фрагменты и уменьшаются (см. image-tiler.js),
+ * находки фрагментов склеиваются с координатами всей страницы.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs-extra';
 import path from 'path';
 import { withTimeout, RateLimiter, validateFilePath } from '../utils/helpers.js';
+import { createProvider } from './ai-providers.js';
+import { toolDefinition, validateAnalysis } from './ai-schemas.js';
+import { AICache, cacheKey } from './ai-cache.js';
+import { UsageTracker } from './ai-usage.js';
+import { tileImage, mergeFindings } from './image-tiler.js';
+
+// Тип изображения по расширению (режутся и уменьшаются только PNG)
+const MEDIA_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
 
 export class AIVisionAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {string|Object} options.provider - имя провайдера (anthropic, openai, mock) или готовый провайдер
+     * @param {string} options.model - модель провайдера
+     * @param {string} options.apiKey - API ключ провайдера
+     * @param {string} options.baseUrl - адрес OpenAI-совместимого API
+     * @param {string|Object} options.fixtures - фикстура mock-провайдера
+     * @param {number} options.maxRetries - сколько раз повторить запрос после ответа, не прошедшего схему
+     * @param {boolean} options.cache - кэшировать результаты на диске (false - --no-cache)
+     * @param {string} options.cacheDir - директория кэша
+     * @param {number} options.cacheTtlHours - время жизни записи кэша в часах
+     * @param {Object|string} options.prices - таблица цен моделей или путь к JSON
+     * @param {number} options.budgetUsd - бюджет запуска в USD: после превышения запросы не отправляются
+     * @param {number} options.imageMaxEdge - максимальная сторона изображения для модели (px)
+     * @param {number} options.imageMaxPixels - максимум пикселей изображения для модели
+     * @param {number} options.maxTiles - на сколько фрагментов максимум резать страницу
+     * @param {number} options.tileOverlap - перекрытие соседних фрагментов (доля высоты)
+     */
     constructor(options = {}) {
-        this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
-        this.model = options.model || 'claude-sonnet-4-20250514';
-        // Настройки timeout и rate limiting
+        this.provider = typeof options.provider === 'object' && options.provider !== null
+            ? options.provider
+            : createProvider(options);
+        this.model = this.provider.model;
+        // Настройки timeout, rate limiting и повторов
         this.timeout = options.timeout || 60000; // 60 секунд по умолчанию
+        this.maxRetries = options.maxRetries ?? 2;
         this.rateLimiter = new RateLimiter(
             options.maxRequestsPerMinute || 10,
             60000
         );
 
-        if (!this.apiKey) {
-            console.warn('⚠️ ANTHROPIC_API_KEY не установлен. AI-анализ будет недоступен.');
-            this.enabled = false;
-        } else {
-            this.client = new Anthropic({ apiKey: this.apiKey });
-            this.enabled = true;
+        this.cache = options.cache instanceof AICache
+            ? options.cache
+            : new AICache({ enabled: options.cache, dir: options.cacheDir, ttlHours: options.cacheTtlHours });
+        this.usage = new UsageTracker({ prices: options.prices, budgetUsd: options.budgetUsd });
+        this.imageOptions = {
+            maxEdge: options.imageMaxEdge,
+            maxPixels: options.imageMaxPixels,
+            maxTiles: options.maxTiles,
+            overlap: options.tileOverlap
+        };
+
+        this.enabled = this.provider.enabled;
+        this.disabledReason = this.provider.disabledReason;
+        if (!this.enabled) {
+            console.warn(`⚠️ ${this.disabledReason}. AI-анализ будет недоступен.`);
+        }
+        if (this.enabled) {
+            this.usage.assertBudgetable(this.model);
         }
 
         // Промпты для анализа
@@ -42,255 +98,398 @@ export class AIVisionAnalyzer {
     }
 
     /**
-     * Полный визуальный анализ скриншота
+     * Запрос к провайдеру с rate limiting, timeout и проверкой ответа по схеме
+     * Ответ, не прошедший схему, запрашивается повторно (не больше maxRetries раз)
+     * с ошибками валидации в промпте
+     * @param {string} task - задача (ключ this.prompts и ANALYSIS_TOOLS)
+     * @param {Array} images - [{ data, mediaType, label }]
+     * @param {string} prompt - текст промпта
+     * @param {string} operation - название операции для сообщения о timeout
+     * @param {Object} options
+     * @param {boolean} options.cache - false - не читать и не писать кэш для этого запроса
+     * @param {string} options.subject - что анализируется (имя файла), для учёта расходов
+     * @returns {Promise<Object>} проверенный результат
+     * @throws {Error} errorType 'invalid_response', если ни один ответ не прошёл схему,
+     *         'budget_exceeded', если бюджет запуска исчерпан
      */
-    async analyzeScreenshot(screenshotPath, metadata = {}) {
-        if (!this.enabled) {
-            return { skipped: true, reason: 'AI-анализ отключён (нет API ключа)' };
+    async request(task, images, prompt, operation, { cache = true, subject = null } = {}) {
+        const tool = toolDefinition(task);
+
+        // Тот же скриншот с тем же промптом, моделью и схемой уже анализировался
+        const key = cache && this.cache.enabled
+            ? cacheKey({ images, prompt, provider: this.provider.name, model: this.model, tool })
+            : null;
+        if (key) {
+            const cached = validateAnalysis(task, await this.cache.get(key));
+            if (cached.success) return cached.data;
         }
 
-        const imageData = await this.loadImage(screenshotPath);
-        if (!imageData) {
-            return { error: 'Не удалось загрузить изображение' };
-        }
+        let feedback = '';
+        let errors = null;
+
+        for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+            if (this.usage.exceeded) {
+                this.usage.skip();
+                const error = new Error(`Бюджет AI-анализа исчерпан ($${this.usage.budgetUsd})`);
+                error.errorType = 'budget_exceeded';
+                throw error;
+            }
 
-        try {
             // Rate limiting для защиты от 429 ошибок
             await this.rateLimiter.acquire();
 
-            // API запрос с timeout
             const response = await withTimeout(
-                this.client.messages.create({
-                model: this.model,
-                max_tokens: 4096,
-                messages: [{
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'image',
-                            source: {
-                                type: 'base64',
-                                media_type: 'image/png',
-                                data: imageData
-                            }
-                        },
-                        {
-                            type: 'text',
-                            text: this.prompts.visualQA.replace(
-                                '{{METADATA}}',
-                                JSON.stringify(metadata, null, 2)
-                            )
-                        }
-                    ]
-                }]
-            }),
+                this.provider.analyze({ task, prompt: prompt + feedback, images, maxTokens: 4096, tool }),
                 this.timeout,
-                'AI Screenshot Analysis'
+                operation
             );
+            this.usage.record({ task, operation, subject, attempt }, response);
 
-            return this.parseAnalysisResponse(response.content[0].text);
+            const result = validateAnalysis(task, response.json);
+            if (result.success) {
+                if (key) {
+                    await this.cache.set(key, result.data, { task, provider: this.provider.name, model: this.model });
+                }
+                return result.data;
+            }
+
+            errors = result.errors;
+            console.warn(`[AIVisionAnalyzer] ${operation}: ответ не прошёл схему (попытка ${attempt}/${this.maxRetries + 1})`);
+            feedback = `\n\nПредыдущий ответ не прошёл проверку схемы:\n${errors}\nВерни исправленный результат через инструмент ${tool.name}.`;
+        }
+
+        const error = new Error(`Ответ AI не соответствует схеме после ${this.maxRetries + 1} попыток`);
+        error.errorType = 'invalid_response';
+        error.validationErrors = errors;
+        throw error;
+    }
+
+    /**
+     * Полный визуальный анализ скриншота
+     * @param {Object} options - { cache: false } - не использовать кэш для этого запроса
+     */
+    async analyzeScreenshot(screenshotPath, metadata = {}, options = {}) {
+        if (!this.enabled) {
+            return { skipped: true, reason: `AI-анализ отключён (${this.disabledReason})` };
+        }
+
+        const image = await this.loadImage(screenshotPath, { viewport: metadata.viewport });
+        if (!image) {
+            return { error: 'Не удалось загрузить изображение' };
+        }
+
+        try {
+            const { parts, tileErrors } = await this.requestTiles(
+                'visualQA',
+                image,
+                this.prompts.visualQA.replace('{{METADATA}}', JSON.stringify(metadata, null, 2)),
+                'AI Screenshot Analysis',
+                { subject: path.basename(screenshotPath), ...options }
+            );
+            const results = parts.map(part => part.analysis);
+            const statusRank = ['passed', 'warning', 'failed'];
 
-        } catch (error) {
-            console.error('Ошибка AI-анализа:', error.message);
-            // Добавляем информацию о типе ошибки для отладки
-            const isTimeout = error.message.includes('timed out');
-            const isRateLimit = error.message.includes('rate') || error.status === 429;
             return {
-                error: error.message,
-                errorType: isTimeout ? 'timeout' : isRateLimit ? 'rate_limit' : 'api_error',
-                retryable: isTimeout || isRateLimit
+                overall_score: Math.min(...results.map(result => result.overall_score)),
+                status: statusRank[Math.max(...results.map(result => statusRank.indexOf(result.status)))],
+                issues: mergeFindings(parts.map(({ tile, analysis }) => ({ tile, findings: analysis.issues }))),
+                positive_aspects: [...new Set(results.flatMap(result => result.positive_aspects || []))],
+                summary: this.joinSummaries(parts, image),
+                ...this.imageInfo(image, tileErrors)
             };
+
+        } catch (error) {
+            console.error('Ошибка AI-анализа:', error.message);
+            return this.errorResult(error);
         }
     }
 
     /**
      * Сравнение двух скриншотов (текущий vs baseline)
      */
-    async compareScreenshots(currentPath, baselinePath, metadata = {}) {
+    async compareScreenshots(currentPath, baselinePath, metadata = {}, options = {}) {
         if (!this.enabled) {
             return { skipped: true, reason: 'AI-анализ отключён' };
         }
 
-        const currentImage = await this.loadImage(currentPath);
-        const baselineImage = await this.loadImage(baselinePath);
+        let currentImage = await this.loadImage(currentPath, { viewport: metadata.viewport });
+        let baselineImage = await this.loadImage(baselinePath, { viewport: metadata.viewport });
 
         if (!currentImage || !baselineImage) {
             return { error: 'Не удалось загрузить изображения для сравнения' };
         }
 
+        // Фрагменты сравниваются попарно; если страница изменила высоту так, что
+        // фрагментов стало другое число, - целиком, уменьшенными
+        if (currentImage.tiles.length !== baselineImage.tiles.length) {
+            currentImage = await this.loadImage(currentPath, { tile: false });
+            baselineImage = await this.loadImage(baselinePath, { tile: false });
+        }
+
         try {
-            const response = await this.client.messages.create({
-                model: this.model,
-                max_tokens: 4096,
-                messages: [{
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'text',
-                            text: 'BASELINE (эталон):'
-                        },
-                        {
-                            type: 'image',
-                            source: {
-                                type: 'base64',
-                                media_type: 'image/png',
-                                data: baselineImage
-                            }
-                        },
-                        {
-                            type: 'text',
-                            text: 'ТЕКУЩИЙ СКРИНШОТ:'
-                        },
-                        {
-                            type: 'image',
-                            source: {
-                                type: 'base64',
-                                media_type: 'image/png',
-                                data: currentImage
-                            }
-                        },
-                        {
-                            type: 'text',
-                            text: this.prompts.comparison.replace(
-                                '{{METADATA}}',
-                                JSON.stringify(metadata, null, 2)
-                            )
-                        }
-                    ]
-                }]
-            });
-
-            return this.parseComparisonResponse(response.content[0].text);
+            const { parts, tileErrors } = await this.requestTiles(
+                'comparison',
+                currentImage,
+                this.prompts.comparison.replace('{{METADATA}}', JSON.stringify(metadata, null, 2)),
+                'AI Screenshot Comparison',
+                { subject: path.basename(currentPath), ...options },
+                (tile, index) => [
+                    { data: baselineImage.tiles[index].data, mediaType: baselineImage.mediaType, label: 'BASELINE (эталон):' },
+                    { data: tile.data, mediaType: currentImage.mediaType, label: 'ТЕКУЩИЙ СКРИНШОТ:' }
+                ]
+            );
+            const results = parts.map(part => part.analysis);
+            const recommendationRank = ['approve', 'review', 'reject'];
+
+            return {
+                has_differences: results.some(result => result.has_differences),
+                is_regression: results.some(result => result.is_regression),
+                difference_percent: Math.max(...results.map(result => result.difference_percent)),
+                changes: mergeFindings(parts.map(({ tile, analysis }) => ({ tile, findings: analysis.changes })), 'description'),
+                recommendation: recommendationRank[Math.max(...results.map(result => recommendationRank.indexOf(result.recommendation)))],
+                summary: this.joinSummaries(parts, currentImage),
+                ...this.imageInfo(currentImage, tileErrors),
+                isComparison: true
+            };
 
         } catch (error) {
             console.error('Ошибка AI-сравнения:', error.message);
-            return { error: error.message };
+            return this.errorResult(error);
         }
     }
 
     /**
      * Анализ accessibility
      */
-    async analyzeAccessibility(screenshotPath, metadata = {}) {
+    async analyzeAccessibility(screenshotPath, metadata = {}, options = {}) {
         if (!this.enabled) {
             return { skipped: true };
         }
 
-        const imageData = await this.loadImage(screenshotPath);
-        if (!imageData) return { error: 'Не удалось загрузить изображение' };
+        const image = await this.loadImage(screenshotPath, { viewport: metadata.viewport });
+        if (!image) return { error: 'Не удалось загрузить изображение' };
 
         try {
-            const response = await this.client.messages.create({
-                model: this.model,
-                max_tokens: 4096,
-                messages: [{
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'image',
-                            source: {
-                                type: 'base64',
-                                media_type: 'image/png',
-                                data: imageData
-                            }
-                        },
-                        {
-                            type: 'text',
-                            text: this.prompts.accessibility
-                        }
-                    ]
-                }]
-            });
-
-            return this.parseAccessibilityResponse(response.content[0].text);
+            const { parts, tileErrors } = await this.requestTiles(
+                'accessibility',
+                image,
+                this.prompts.accessibility,
+                'AI Accessibility Analysis',
+                { subject: path.basename(screenshotPath), ...options }
+            );
+            const results = parts.map(part => part.analysis);
+            const levelRank = ['FAIL', 'A', 'AA', 'AAA'];
+
+            return {
+                wcag_level: levelRank[Math.min(...results.map(result => levelRank.indexOf(result.wcag_level)))],
+                score: Math.min(...results.map(result => result.score)),
+                issues: mergeFindings(parts.map(({ tile, analysis }) => ({ tile, findings: analysis.issues }))),
+                ...this.imageInfo(image, tileErrors),
+                checkType: 'accessibility'
+            };
 
         } catch (error) {
-            return { error: error.message };
+            return this.errorResult(error);
         }
     }
 
     /**
-     * Загрузка и кодирование изображения в base64
+     * Сравнение одной страницы на разных брейкпоинтах
+     * Скриншоты отправляются одним запросом: модель ищет пропавшие элементы,
+     * изменённый порядок контента и сломанную навигацию между версиями
+     * @param {Array<{path: string, breakpoint: string, device: string, viewport: Object}>} screenshots
+     *        скриншоты от узкого к широкому (breakpoint - mobile, tablet, desktop)
+     * @param {Object} metadata - url, браузер, режим
+     * @param {Object} options - { cache: false } - не использовать кэш для этого запроса
      */
-    async loadImage(imagePath) {
+    async analyzeResponsive(screenshots, metadata = {}, options = {}) {
+        if (!this.enabled) {
+            return { skipped: true, reason: `AI-анализ отключён (${this.disabledReason})` };
+        }
+        if (screenshots.length < 2) {
+            return { skipped: true, reason: 'Для сравнения нужны скриншоты минимум двух брейкпоинтов' };
+        }
+
+        // Брейкпоинты сравниваются на целых страницах: каждый скриншот уменьшается, но не режется
+        const images = [];
+        const loaded = {};
+        for (const shot of screenshots) {
+            const image = await this.loadImage(shot.path, { tile: false });
+            if (!image) {
+                return { error: `Не удалось загрузить изображение ${shot.path}` };
+            }
+            loaded[shot.breakpoint] = image.tiles[0];
+            const size = shot.viewport ? ` ${shot.viewport.width}×${shot.viewport.height}` : '';
+            images.push({ data: image.tiles[0].data, mediaType: image.mediaType, label: `${shot.breakpoint.toUpperCase()} (${shot.device}${size}):` });
+        }
+
         try {
-            const buffer = await fs.readFile(imagePath);
-            return buffer.toString('base64');
+            const analysis = await this.request(
+                'responsive',
+                images,
+                this.prompts.responsive
+                    .replace('{{BREAKPOINTS}}', screenshots.map(shot => shot.breakpoint).join(', '))
+                    .replace('{{METADATA}}', JSON.stringify(metadata, null, 2)),
+                'AI Responsive Analysis',
+                { subject: screenshots.map(shot => path.basename(shot.path)).join(', '), ...options }
+            );
+
+            // bbox - на скриншоте первого из breakpoints проблемы
+            const issues = analysis.issues.map(issue => mergeFindings([{
+                tile: loaded[issue.breakpoints[0]] || { index: 0, x: 0, y: 0, scale: 1 },
+                findings: [issue]
+            }])[0]);
+
+            return { ...analysis, issues, checkType: 'responsive' };
+
         } catch (error) {
-            console.error(`Ошибка загрузки изображения ${imagePath}:`, error.message);
-            return null;
+            console.error('Ошибка AI-анализа брейкпоинтов:', error.message);
+            return this.errorResult(error);
         }
     }
 
     /**
-     * Парсинг ответа анализа
+     * Запрос по каждому фрагменту изображения
+     * Ошибка одного фрагмента не отменяет остальные; если не удалось ни одного - бросается первая
+     * @param {string} task - задача (ключ this.prompts)
+     * @param {Object} image - результат loadImage()
+     * @param {string} prompt - промпт задачи (к нему добавляется положение фрагмента)
+     * @param {string} operation - название операции
+     * @param {Object} options - опции request()
+     * @param {Function} buildImages - (tile, index) => изображения запроса (по умолчанию - сам фрагмент)
+     * @returns {Promise<{parts: Array<{tile, analysis}>, tileErrors: Array}>}
      */
-    parseAnalysisResponse(text) {
-        try {
-            // Пытаемся найти JSON в ответе
-            const jsonMatch = text.match(/```json\n?([\s\S]*?)\n?```/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[1]);
+    async requestTiles(task, image, prompt, operation, options = {}, buildImages = null) {
+        const parts = [];
+        const errors = [];
+        const total = image.tiles.length;
+
+        for (const [index, tile] of image.tiles.entries()) {
+            const images = buildImages ? buildImages(tile, index) : [{ data: tile.data, mediaType: image.mediaType }];
+            const tilePrompt = total > 1
+                ? `${prompt}\n\nЭто фрагмент ${index + 1} из ${total} полной страницы ${image.width}×${image.height}px ` +
+                  `(по вертикали ${tile.y}–${tile.y + tile.height}px). Соседние фрагменты перекрываются: элемент, ` +
+                  'обрезанный краем фрагмента, не считай проблемой - он целиком виден в соседнем.'
+                : prompt;
+
+            try {
+                const analysis = await this.request(task, images, tilePrompt, operation, {
+                    ...options,
+                    subject: total > 1 ? `${options.subject}#${index + 1}` : options.subject
+                });
+                parts.push({ tile, analysis });
+            } catch (error) {
+                errors.push({ tile: index, error });
+                // Бюджет исчерпан - остальные фрагменты тоже не будут отправлены
+                if (error.errorType === 'budget_exceeded') break;
             }
+        }
 
-            // Если JSON не найден, структурируем текстовый ответ
-            return {
-                raw: text,
-                issues: this.extractIssuesFromText(text),
-                summary: text.substring(0, 500)
-            };
-        } catch (error) {
-            return { raw: text, parseError: true };
+        if (parts.length === 0) {
+            throw errors[0].error;
         }
+
+        const tileErrors = errors.map(({ tile, error }) => ({ tile, ...this.errorResult(error) }));
+        tileErrors.forEach(({ tile, error }) => {
+            console.warn(`[AIVisionAnalyzer] ${operation}: фрагмент ${tile + 1}/${total} не проанализирован: ${error}`);
+        });
+        return { parts, tileErrors };
     }
 
     /**
-     * Парсинг ответа сравнения
+     * Заключения фрагментов одним текстом
      */
-    parseComparisonResponse(text) {
-        const result = this.parseAnalysisResponse(text);
-        result.isComparison = true;
-        return result;
+    joinSummaries(parts, image) {
+        if (parts.length === 1) return parts[0].analysis.summary;
+        return parts.map(({ tile, analysis }) => `[${tile.index + 1}/${image.tiles.length}] ${analysis.summary}`).join(' ');
     }
 
     /**
-     * Парсинг ответа accessibility
+     * Как изображение было отправлено: размер, число фрагментов, масштаб и ошибки фрагментов
      */
-    parseAccessibilityResponse(text) {
-        const result = this.parseAnalysisResponse(text);
-        result.checkType = 'accessibility';
-        return result;
+    imageInfo(image, tileErrors = []) {
+        return {
+            image: {
+                width: image.width,
+                height: image.height,
+                tiles: image.tiles.length,
+                scale: Math.round(image.tiles[0].scale * 1000) / 1000
+            },
+            ...(tileErrors.length > 0 ? { incomplete: true, tile_errors: tileErrors } : {})
+        };
     }
 
     /**
-     * Извлечение проблем из текстового ответа
+     * Загрузка изображения для модели (см. image-tiler.js)
+     * Высокий PNG режется на фрагменты высотой в viewport с перекрытием, большой - уменьшается;
+     * маленький отправляется как есть одним фрагментом
+     * @param {string} imagePath - путь к изображению
+     * @param {Object} options
+     * @param {Object} options.viewport - viewport устройства: пропорция фрагмента
+     * @param {boolean} options.tile - false - не резать, только уменьшить
+     * @returns {Promise<{width: number, height: number, mediaType: string, tiles: Array}|null>}
+     *          tiles - [{ data (base64), index, x, y, width, height, scale }]
      */
-    extractIssuesFromText(text) {
-        const issues = [];
-        const lines = text.split('\n');
-
-        const severityKeywords = {
-            critical: ['критич', 'critical', 'блокир', 'серьёзн', 'major'],
-            warning: ['warning', 'предупрежд', 'внимание', 'minor'],
-            info: ['info', 'информац', 'рекомендац', 'suggestion']
-        };
-
-        for (const line of lines) {
-            const lowerLine = line.toLowerCase();
-
-            for (const [severity, keywords] of Object.entries(severityKeywords)) {
-                if (keywords.some(kw => lowerLine.includes(kw))) {
-                    issues.push({
-                        severity,
-                        message: line.trim(),
-                        source: 'ai-analysis'
-                    });
-                    break;
-                }
+    async loadImage(imagePath, options = {}) {
+        try {
+            const buffer = await fs.readFile(imagePath);
+            const mediaType = MEDIA_TYPES[path.extname(imagePath).toLowerCase()] || 'image/png';
+
+            if (mediaType !== 'image/png') {
+                return {
+                    width: null,
+                    height: null,
+                    mediaType,
+                    tiles: [{ index: 0, x: 0, y: 0, width: null, height: null, scale: 1, data: buffer.toString('base64') }]
+                };
             }
+
+            return { mediaType, ...tileImage(buffer, { ...this.imageOptions, ...options }) };
+        } catch (error) {
+            console.error(`Ошибка загрузки изображения ${imagePath}:`, error.message);
+            return null;
         }
+    }
+
+    /**
+     * Бюджет запуска исчерпан - дальнейший анализ не имеет смысла
+     */
+    get budgetExceeded() {
+        return this.usage.exceeded;
+    }
+
+    /**
+     * Статистика запуска: провайдер, модель, попадания в кэш, токены и стоимость
+     */
+    getStats() {
+        return {
+            provider: this.provider.name,
+            model: this.model,
+            cache: this.cache.stats(),
+            usage: this.usage.stats()
+        };
+    }
 
-        return issues;
+    /**
+     * Сброс счётчиков перед новым запуском (MCP-сервер переиспользует анализатор)
+     */
+    resetStats() {
+        this.cache.resetStats();
+        this.usage.reset();
+    }
+
+    /**
+     * Результат неудачного запроса с типом ошибки для отладки и повторов
+     */
+    errorResult(error) {
+        const isTimeout = error.message.includes('timed out');
+        const isRateLimit = error.message.includes('rate') || error.status === 429;
+        return {
+            error: error.message,
+            errorType: error.errorType || (isTimeout ? 'timeout' : isRateLimit ? 'rate_limit' : 'api_error'),
+            retryable: isTimeout || isRateLimit,
+            ...(error.validationErrors ? { validationErrors: error.validationErrors } : {})
+        };
     }
 
     /**
@@ -338,7 +537,8 @@ export class AIVisionAnalyzer {
    - Есть ли явные баги?
    - Соответствует ли современным стандартам?
 
-Ответь в формате JSON:
+Верни результат через инструмент report_visual_issues (если инструменты недоступны - JSON того же формата).
+bbox - область проблемы в пикселях скриншота, wcag - критерий WCAG, если проблема касается доступности:
 \`\`\`json
 {
   "overall_score": 0-100,
@@ -346,9 +546,11 @@ export class AIVisionAnalyzer {
   "issues": [
     {
       "severity": "critical" | "warning" | "info",
-      "category": "layout" | "typography" | "colors" | "interaction" | "other",
+      "category": "layout" | "typography" | "colors" | "interaction" | "accessibility" | "content" | "other",
       "message": "Описание проблемы",
       "location": "Где на странице (примерно)",
+      "bbox": { "x": 0, "y": 0, "width": 0, "height": 0 },
+      "wcag": "1.4.3 Contrast (Minimum)" | null,
       "recommendation": "Как исправить"
     }
   ],
@@ -391,15 +593,19 @@ export class AIVisionAnalyzer {
    - Есть ли skip links?
    - Логичен ли порядок элементов?
 
-Ответь в формате JSON:
+Верни результат через инструмент report_accessibility_issues (если инструменты недоступны - JSON того же формата).
+bbox - область проблемы в пикселях скриншота:
 \`\`\`json
 {
   "wcag_level": "A" | "AA" | "AAA" | "FAIL",
   "issues": [
     {
-      "wcag_criterion": "1.4.3 Contrast",
-      "severity": "critical" | "warning",
+      "wcag": "1.4.3 Contrast (Minimum)",
+      "severity": "critical" | "warning" | "info",
+      "category": "accessibility" | "colors" | "typography" | "interaction" | "layout" | "content" | "other",
       "message": "Описание",
+      "location": "Где на странице",
+      "bbox": { "x": 0, "y": 0, "width": 0, "height": 0 },
       "recommendation": "Как исправить"
     }
   ],
@@ -443,7 +649,8 @@ export class AIVisionAnalyzer {
    - Это регрессии (ухудшения)?
    - Это баги?
 
-Ответь в формате JSON:
+Верни результат через инструмент report_visual_changes (если инструменты недоступны - JSON того же формата).
+bbox - область изменения в пикселях ТЕКУЩЕГО скриншота:
 \`\`\`json
 {
   "has_differences": true | false,
@@ -453,9 +660,12 @@ export class AIVisionAnalyzer {
     {
       "type": "addition" | "removal" | "modification",
       "severity": "critical" | "warning" | "info",
+      "category": "layout" | "typography" | "colors" | "interaction" | "accessibility" | "content" | "other",
       "description": "Что изменилось",
       "location": "Где на странице",
-      "is_intentional": true | false | "unknown"
+      "bbox": { "x": 0, "y": 0, "width": 0, "height": 0 },
+      "is_intentional": true | false | "unknown",
+      "recommendation": "Что сделать, если это регрессия"
     }
   ],
   "recommendation": "approve" | "review" | "reject",
@@ -468,16 +678,56 @@ export class AIVisionAnalyzer {
      * Промпт для responsive проверки
      */
     getResponsivePrompt() {
-        return `Проанализируй скриншот мобильной/планшетной версии сайта.
+        return `Ты - эксперт по адаптивной вёрстке.
 
-Проверь:
-1. Адаптивность layout
-2. Размеры touch-элементов (min 44px)
-3. Читаемость текста без зума
-4. Отсутствие горизонтального скролла
-5. Правильность меню (burger menu если нужно)
+Перед тобой скриншоты ОДНОЙ страницы на разных брейкпоинтах: {{BREAKPOINTS}}.
+Каждому скриншоту предшествует подпись с брейкпоинтом, устройством и размером viewport.
+
+Метаданные:
+{{METADATA}}
+
+Сравни версии между собой и найди РАСХОЖДЕНИЯ, а не особенности отдельного скриншота:
+
+1. **ПРОПАВШИЕ ЭЛЕМЕНТЫ** (missing_element)
+   - Есть на десктопе, но нет на мобильном (кнопки, ссылки, цены, формы, важный текст)?
+   - Скрытый контент доступен через меню, аккордеон или вкладки?
 
-Ответь в JSON формате с issues и recommendations.`;
+2. **ПОРЯДОК КОНТЕНТА** (reordered_content)
+   - Блоки идут в другом порядке, и это меняет смысл или приоритет?
+   - Главное действие (CTA) ушло далеко вниз?
+
+3. **НАВИГАЦИЯ** (broken_navigation)
+   - Есть ли на узких экранах способ открыть меню (burger)?
+   - Не обрезаны ли пункты меню и не налезают ли друг на друга?
+
+4. **LAYOUT И КОНТЕНТ** (layout_inconsistency, content_mismatch)
+   - Колонки не перестроились, элементы вылезают за экран?
+   - Разные тексты, изображения или данные на разных версиях?
+
+Для каждой проблемы укажи breakpoints, на которых она видна, а bbox - в пикселях
+скриншота первого из них. Проблема, видимая на одном скриншоте без сравнения, не нужна.
+
+Верни результат через инструмент report_responsive_issues (если инструменты недоступны - JSON того же формата):
+\`\`\`json
+{
+  "consistent": true | false,
+  "score": 0-100,
+  "issues": [
+    {
+      "type": "missing_element" | "reordered_content" | "broken_navigation" | "layout_inconsistency" | "content_mismatch" | "other",
+      "breakpoints": ["mobile"],
+      "severity": "critical" | "warning" | "info",
+      "category": "layout" | "typography" | "colors" | "interaction" | "accessibility" | "content" | "other",
+      "message": "Кнопка «Купить» есть на desktop, но отсутствует на mobile",
+      "location": "Карточка товара",
+      "bbox": { "x": 0, "y": 0, "width": 0, "height": 0 },
+      "wcag": null,
+      "recommendation": "Как исправить"
+    }
+  ],
+  "summary": "Краткое заключение"
+}
+\`\`\``;
     }
 }
 
@@ -0,0 +1,183 @@
+/**
+ * ImageTiler - Подготовка скриншотов для vision-модели
+ *
+ * Full-page скриншот 4K или ultrawide превышает лимиты API на размер изображения,
+ * а при сжатии целиком текст становится нечитаемым. Высокая страница режется
+ * на фрагменты высотой в viewport с перекрытием, каждый фрагмент уменьшается
+ * до размера, удобного модели:
+ *
+ *   3840×12000 (viewport 3840×2160) → 7 фрагментов 1430×804, шаг 1836px исходника
+ *
+ * Координаты bbox из ответа по фрагменту переводятся обратно в пиксели
+ * исходного скриншота (toPagePosition), проблемы из зон перекрытия
+ * объединяются (mergeFindings).
+ */
+
+import { PNG } from 'pngjs';
+import { renderRegion } from '../utils/image.js';
+
+// Ограничения изображения для vision-моделей: длинная сторона и число пикселей
+// (больше - API уменьшает сам или отклоняет запрос)
+export const DEFAULT_MAX_EDGE = 1568;
+export const DEFAULT_MAX_PIXELS = 1_150_000;
+// Доля высоты фрагмента, которая повторяется в соседнем
+export const DEFAULT_TILE_OVERLAP = 0.15;
+// Больше фрагментов не отправляется: у очень длинных страниц растёт высота фрагмента
+export const DEFAULT_MAX_TILES = 8;
+
+/**
+ * Разбиение изображения на фрагменты
+ * @param {{width: number, height: number}} size - размер скриншота
+ * @param {Object} options
+ * @param {Object} options.viewport - viewport устройства (CSS px): высота фрагмента - его пропорция
+ *        (без viewport фрагменты квадратные)
+ * @param {boolean} options.tile - false - одно изображение, только уменьшение
+ * @param {number} options.maxEdge - максимальная сторона фрагмента после уменьшения
+ * @param {number} options.maxPixels - максимум пикселей фрагмента после уменьшения
+ * @param {number} options.overlap - перекрытие соседних фрагментов (доля высоты)
+ * @param {number} options.maxTiles - максимум фрагментов
+ * @returns {Array<{index: number, x: number, y: number, width: number, height: number, scale: number}>}
+ *          области в пикселях исходника и масштаб уменьшения
+ */
+export function planTiles({ width, height }, options = {}) {
+    const {
+        viewport = null,
+        tile = true,
+        maxEdge = DEFAULT_MAX_EDGE,
+        maxPixels = DEFAULT_MAX_PIXELS,
+        overlap = DEFAULT_TILE_OVERLAP,
+        maxTiles = DEFAULT_MAX_TILES
+    } = options;
+
+    const fitScale = (w, h) => Math.min(1, maxEdge / w, maxEdge / h, Math.sqrt(maxPixels / (w * h)));
+
+    let tileHeight = Math.round(viewport?.width ? width * viewport.height / viewport.width : width);
+    if (!tile || height <= tileHeight * (1 + overlap)) {
+        return [{ index: 0, x: 0, y: 0, width, height, scale: fitScale(width, height) }];
+    }
+
+    // Очень длинная страница: фрагменты выше viewport, но не больше maxTiles
+    const count = Math.ceil((height - tileHeight * overlap) / (tileHeight * (1 - overlap)));
+    if (count > maxTiles) {
+        tileHeight = Math.ceil(height / (maxTiles - (maxTiles - 1) * overlap));
+    }
+
+    const step = Math.max(1, Math.floor(tileHeight * (1 - overlap)));
+    const scale = fitScale(width, tileHeight);
+    const tiles = [];
+    for (let y = 0; ; y += step) {
+        const top = Math.min(y, height - tileHeight);
+        tiles.push({ index: tiles.length, x: 0, y: top, width, height: tileHeight, scale });
+        if (top + tileHeight >= height) break;
+    }
+    return tiles;
+}
+
+/**
+ * Фрагменты скриншота для отправки в модель
+ * Изображение, которое не нужно ни резать, ни уменьшать, отправляется как есть
+ * @param {Buffer} buffer - PNG
+ * @param {Object} options - см. planTiles
+ * @returns {{width: number, height: number, tiles: Array<{data: string, index, x, y, width, height, scale}>}}
+ */
+export function tileImage(buffer, options = {}) {
+    const source = PNG.sync.read(buffer);
+    const tiles = planTiles(source, options);
+
+    if (tiles.length === 1 && tiles[0].scale === 1) {
+        return { width: source.width, height: source.height, tiles: [{ ...tiles[0], data: buffer.toString('base64') }] };
+    }
+
+    return {
+        width: source.width,
+        height: source.height,
+        tiles: tiles.map(tile => ({ ...tile, data: renderRegion(source, tile, tile.scale).toString('base64') }))
+    };
+}
+
+/**
+ * Перевод bbox из пикселей фрагмента в пиксели исходного скриншота
+ */
+export function toPagePosition(bbox, tile) {
+    if (!bbox) return bbox;
+    return {
+        x: Math.round(bbox.x / tile.scale + tile.x),
+        y: Math.round(bbox.y / tile.scale + tile.y),
+        width: Math.round(bbox.width / tile.scale),
+        height: Math.round(bbox.height / tile.scale)
+    };
+}
+
+/**
+ * Области пересекаются или соприкасаются
+ */
+function touches(a, b) {
+    return Math.min(a.x + a.width, b.x + b.width) >= Math.max(a.x, b.x) &&
+        Math.min(a.y + a.height, b.y + b.height) >= Math.max(a.y, b.y);
+}
+
+/**
+ * Доля пересечения двух bbox (intersection over union)
+ */
+function overlapRatio(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    if (width <= 0 || height <= 0) return 0;
+    const intersection = width * height;
+    return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+const normalize = text => String(text || '').toLowerCase().replace(/[^a-zа-яё0-9]+/gi, ' ').trim();
+
+/**
+ * Склейка находок всех фрагментов: bbox в координатах страницы, повторы из зон
+ * перекрытия - одной записью. Повтор - та же категория в соседнем фрагменте и
+ * тот же текст или совпадающая область; области повторов должны пересекаться
+ * или соприкасаться (без bbox - фрагменты должны перекрываться), иначе одинаковые
+ * находки в разных местах страницы - разные проблемы
+ * @param {Array<{tile: Object, findings: Array}>} parts - находки каждого фрагмента
+ * @param {string} textField - поле с описанием находки (message, description)
+ * @returns {Array} находки с полем tile - номером фрагмента
+ */
+export function mergeFindings(parts, textField = 'message') {
+    const merged = [];
+    const severityRank = { critical: 0, warning: 1, info: 2 };
+    const tiles = new Map(parts.map(({ tile }) => [tile.index, tile]));
+
+    const isRepeat = (existing, translated) => {
+        if (existing.tile === translated.tile || existing.category !== translated.category) return false;
+        if (existing.bbox && translated.bbox) {
+            return touches(existing.bbox, translated.bbox) &&
+                (normalize(existing[textField]) === normalize(translated[textField]) ||
+                    overlapRatio(existing.bbox, translated.bbox) >= 0.5);
+        }
+        return normalize(existing[textField]) === normalize(translated[textField]) &&
+            touches(tiles.get(existing.tile), tiles.get(translated.tile));
+    };
+
+    for (const { tile, findings } of parts) {
+        for (const finding of findings || []) {
+            const translated = { ...finding, bbox: toPagePosition(finding.bbox, tile), tile: tile.index };
+            const duplicate = merged.find(existing => isRepeat(existing, translated));
+
+            if (!duplicate) {
+                merged.push(translated);
+            } else if (severityRank[translated.severity] < severityRank[duplicate.severity]) {
+                merged[merged.indexOf(duplicate)] = translated;
+            }
+        }
+    }
+
+    return merged;
+}
+
+export default {
+    DEFAULT_MAX_EDGE,
+    DEFAULT_MAX_PIXELS,
+    DEFAULT_TILE_OVERLAP,
+    DEFAULT_MAX_TILES,
+    planTiles,
+    tileImage,
+    toPagePosition,
+    mergeFindings
+};
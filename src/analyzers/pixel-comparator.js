@@ -5,27 +5,506 @@
  * - Генерация diff-изображений
  * - Настраиваемые пороги чувствительности
  * - Игнорирование anti-aliasing артефактов
+ * - Исключение областей с динамическим контентом (ignore regions)
+ * - Сравнение изображений разного размера (pad / crop / align)
+ * - Группировка различий в регионы с bounding box
+ * - Структурное сходство (SSIM) - глобально и по тайлам
  */
 
 import pixelmatch from 'pixelmatch';
 import { PNG } from 'pngjs';
 import fs from 'fs-extra';
 import path from 'path';
+import { hasManifest, readManifest, captureKey } from '../core/baseline-manifest.js';
+import { mapRegionsToElements } from '../core/region-mapper.js';
+import { matchesPattern } from '../utils/helpers.js';
+
+// Цвет заливки исключённых областей (как у mask в Playwright)
+export const MASK_COLOR = [255, 0, 255];
+
+/**
+ * Заливка прямоугольных областей изображения сплошным цветом
+ *
+ * @param {PNG} png - изображение pngjs
+ * @param {Array} regions - [{ x, y, width, height }] в пикселях изображения
+ * @param {number[]} color - [r, g, b]
+ * @returns {number} количество закрашенных пикселей (без учёта пересечений)
+ */
+export function fillRegions(png, regions = [], color = MASK_COLOR) {
+    const mask = new Uint8Array(png.width * png.height);
+    let filled = 0;
+
+    for (const region of regions) {
+        const x0 = Math.max(0, Math.floor(region.x));
+        const y0 = Math.max(0, Math.floor(region.y));
+        const x1 = Math.min(png.width, Math.ceil(region.x + region.width));
+        const y1 = Math.min(png.height, Math.ceil(region.y + region.height));
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const pos = png.width * y + x;
+                if (mask[pos]) continue;
+                mask[pos] = 1;
+                filled++;
+
+                const idx = pos << 2;
+                png.data[idx] = color[0];
+                png.data[idx + 1] = color[1];
+                png.data[idx + 2] = color[2];
+                png.data[idx + 3] = 255;
+            }
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * Стратегии сравнения изображений разного размера:
+ * - pad: дополнить меньшее изображение, добавленная область считается изменённой
+ * - crop: сравнить только общую область
+ * - align: совместить совпадающие строки сверху и снизу, вставленные/удалённые строки считаются изменёнными
+ * - fail: не сравнивать (sizeMismatch: true, success: false)
+ */
+export const SIZE_STRATEGIES = ['pad', 'crop', 'align', 'fail'];
+
+/**
+ * Хэши строк изображения по первым width пикселям (FNV-1a)
+ */
+function rowHashes(png, width) {
+    const hashes = new Uint32Array(png.height);
+    const rowBytes = width * 4;
+
+    for (let y = 0; y < png.height; y++) {
+        let hash = 2166136261;
+        const start = y * png.width * 4;
+        for (let i = start; i < start + rowBytes; i++) {
+            hash ^= png.data[i];
+            hash = Math.imul(hash, 16777619);
+        }
+        hashes[y] = hash >>> 0;
+    }
+    return hashes;
+}
+
+/**
+ * Соответствие строк холста строкам изображения для стратегии
+ * @returns {{ width, height, rows1: Int32Array, rows2: Int32Array, alignment }} -1 = строки нет
+ */
+function mapRows(img1, img2, strategy) {
+    const minWidth = Math.min(img1.width, img2.width);
+    const minHeight = Math.min(img1.height, img2.height);
+    const maxHeight = Math.max(img1.height, img2.height);
+
+    if (strategy === 'crop') {
+        const rows = Int32Array.from({ length: minHeight }, (_, y) => y);
+        return { width: minWidth, height: minHeight, rows1: rows, rows2: rows, alignment: null };
+    }
+
+    const width = Math.max(img1.width, img2.width);
+    const rows1 = new Int32Array(maxHeight).fill(-1);
+    const rows2 = new Int32Array(maxHeight).fill(-1);
+
+    if (strategy === 'pad') {
+        for (let y = 0; y < img1.height; y++) rows1[y] = y;
+        for (let y = 0; y < img2.height; y++) rows2[y] = y;
+        return { width, height: maxHeight, rows1, rows2, alignment: null };
+    }
+
+    // align: совпадающие строки сверху (шапка) и снизу (подвал) совмещаются,
+    // разница в высоте приходится на середину, где контент добавили или удалили
+    const hashes1 = rowHashes(img1, minWidth);
+    const hashes2 = rowHashes(img2, minWidth);
+
+    let topRows = 0;
+    while (topRows < minHeight && hashes1[topRows] === hashes2[topRows]) topRows++;
+
+    let bottomRows = 0;
+    while (
+        topRows + bottomRows < minHeight &&
+        hashes1[img1.height - 1 - bottomRows] === hashes2[img2.height - 1 - bottomRows]
+    ) bottomRows++;
+
+    for (const [img, rows] of [[img1, rows1], [img2, rows2]]) {
+        for (let y = 0; y < img.height - bottomRows; y++) rows[y] = y;
+        for (let k = 1; k <= bottomRows; k++) rows[maxHeight - k] = img.height - k;
+    }
+
+    return { width, height: maxHeight, rows1, rows2, alignment: { topRows, bottomRows } };
+}
+
+/**
+ * Приведение двух изображений к общему размеру по стратегии
+ *
+ * @param {PNG} img1 - baseline
+ * @param {PNG} img2 - текущее изображение
+ * @param {string} strategy - 'pad' | 'crop' | 'align'
+ * @returns {{ image1: PNG, image2: PNG, width, height, padMask: Uint8Array, paddedPixels, croppedPixels, alignment }}
+ *          padMask отмечает пиксели, которые есть только на одном изображении
+ */
+export function normalizeSize(img1, img2, strategy = 'align') {
+    const { width, height, rows1, rows2, alignment } = mapRows(img1, img2, strategy);
+    const image1 = new PNG({ width, height });
+    const image2 = new PNG({ width, height });
+    const padMask = new Uint8Array(width * height);
+    let paddedPixels = 0;
+
+    for (let y = 0; y < height; y++) {
+        const sources = [[img1, image1, rows1[y]], [img2, image2, rows2[y]]];
+
+        for (const [src, dst, srcY] of sources) {
+            if (srcY < 0) continue;
+            const copyWidth = Math.min(src.width, width);
+            src.data.copy(dst.data, y * width * 4, srcY * src.width * 4, (srcY * src.width + copyWidth) * 4);
+        }
+
+        for (let x = 0; x < width; x++) {
+            const inImage1 = rows1[y] >= 0 && x < img1.width;
+            const inImage2 = rows2[y] >= 0 && x < img2.width;
+            if (inImage1 && inImage2) continue;
+
+            padMask[y * width + x] = 1;
+            paddedPixels++;
+        }
+    }
+
+    const croppedPixels = strategy === 'crop'
+        ? Math.max(img1.width * img1.height, img2.width * img2.height) - width * height
+        : 0;
+
+    return { image1, image2, width, height, padMask, paddedPixels, croppedPixels, alignment };
+}
+
+/**
+ * Группировка изменённых пикселей в связные регионы
+ * Пиксели объединяются по сетке ячеек cellSize×cellSize: соседние (в т.ч. по диагонали)
+ * ячейки с изменениями образуют один регион, поэтому близкие правки текста не дробятся
+ *
+ * @param {PNG} diff - diff-изображение pixelmatch
+ * @param {number[]} color - цвет изменённых пикселей [r, g, b]
+ * @param {Object} options
+ * @param {number} options.cellSize - размер ячейки (зазор, который ещё объединяет пиксели), px
+ * @param {number} options.maxRegions - сколько крупнейших регионов вернуть
+ * @returns {Array<{x, y, width, height, area, centroid: {x, y}}>} по убыванию площади
+ */
+export function clusterDiffRegions(diff, color, options = {}) {
+    const { cellSize = 8, maxRegions = 20 } = options;
+    const { width, height, data } = diff;
+    const cols = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const cellCount = cols * rows;
+
+    // Статистика по ячейкам: число пикселей, суммы координат и границы
+    const count = new Uint32Array(cellCount);
+    const sumX = new Float64Array(cellCount);
+    const sumY = new Float64Array(cellCount);
+    const minX = new Int32Array(cellCount).fill(width);
+    const minY = new Int32Array(cellCount).fill(height);
+    const maxX = new Int32Array(cellCount).fill(-1);
+    const maxY = new Int32Array(cellCount).fill(-1);
+
+    for (let y = 0; y < height; y++) {
+        const cellRow = Math.floor(y / cellSize) * cols;
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) << 2;
+            if (data[idx] !== color[0] || data[idx + 1] !== color[1] || data[idx + 2] !== color[2]) continue;
+
+            const cell = cellRow + Math.floor(x / cellSize);
+            count[cell]++;
+            sumX[cell] += x;
+            sumY[cell] += y;
+            if (x < minX[cell]) minX[cell] = x;
+            if (y < minY[cell]) minY[cell] = y;
+            if (x > maxX[cell]) maxX[cell] = x;
+            if (y > maxY[cell]) maxY[cell] = y;
+        }
+    }
+
+    // Связные компоненты по ячейкам (обход в ширину)
+    const visited = new Uint8Array(cellCount);
+    const queue = new Int32Array(cellCount);
+    const regions = [];
+
+    for (let start = 0; start < cellCount; start++) {
+        if (!count[start] || visited[start]) continue;
+
+        const region = { x0: width, y0: height, x1: -1, y1: -1, area: 0, sx: 0, sy: 0 };
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = start;
+        visited[start] = 1;
+
+        while (head < tail) {
+            const cell = queue[head++];
+            region.area += count[cell];
+            region.sx += sumX[cell];
+            region.sy += sumY[cell];
+            region.x0 = Math.min(region.x0, minX[cell]);
+            region.y0 = Math.min(region.y0, minY[cell]);
+            region.x1 = Math.max(region.x1, maxX[cell]);
+            region.y1 = Math.max(region.y1, maxY[cell]);
+
+            const cx = cell % cols;
+            const cy = Math.floor(cell / cols);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = cx + dx;
+                    const ny = cy + dy;
+                    if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+                    const next = ny * cols + nx;
+                    if (!count[next] || visited[next]) continue;
+                    visited[next] = 1;
+                    queue[tail++] = next;
+                }
+            }
+        }
+
+        regions.push({
+            x: region.x0,
+            y: region.y0,
+            width: region.x1 - region.x0 + 1,
+            height: region.y1 - region.y0 + 1,
+            area: region.area,
+            centroid: {
+                x: Math.round(region.sx / region.area),
+                y: Math.round(region.sy / region.area)
+            }
+        });
+    }
+
+    return regions
+        .sort((a, b) => b.area - a.area)
+        .slice(0, maxRegions);
+}
+
+// Метрики, по которым analyzeResults классифицирует различия
+export const METRICS = ['pixel', 'ssim'];
+
+// Порядок статусов сравнения: при двух метриках выбирается худший
+const STATUS_RANK = { passed: 0, warning: 1, failed: 2 };
+
+// Константы SSIM для 8-битных каналов: (K1·L)², (K2·L)²
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+/**
+ * Яркость пикселей (Rec. 601) - SSIM считается по одному каналу
+ */
+function luminance(png) {
+    const { data } = png;
+    const luma = new Float32Array(png.width * png.height);
+    for (let pos = 0, idx = 0; pos < luma.length; pos++, idx += 4) {
+        luma[pos] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+    }
+    return luma;
+}
+
+/**
+ * Структурное сходство (SSIM) двух изображений одного размера
+ * Считается по непересекающимся окнам windowSize×windowSize и усредняется
+ * глобально и по тайлам tileSize×tileSize. Сглаживание шрифтов почти не меняет
+ * структуру окна, а небольшое, но заметное изменение роняет SSIM своего тайла,
+ * даже если на всей странице изменилась доля процента пикселей
+ *
+ * @param {PNG} img1
+ * @param {PNG} img2
+ * @param {Object} options
+ * @param {number} options.windowSize - размер окна SSIM, px
+ * @param {number} options.tileSize - размер тайла, px
+ * @param {number} options.worstTiles - сколько худших тайлов вернуть
+ * @returns {{ssim: number, ssimMin: number, tiles: Array<{x, y, width, height, ssim}>}}
+ */
+export function computeSSIM(img1, img2, options = {}) {
+    const { windowSize = 8, tileSize = 256, worstTiles = 10 } = options;
+    const { width, height } = img1;
+    const luma1 = luminance(img1);
+    const luma2 = luminance(img2);
+
+    const tileCols = Math.ceil(width / tileSize);
+    const tileRows = Math.ceil(height / tileSize);
+    const tileSum = new Float64Array(tileCols * tileRows);
+    const tileWindows = new Uint32Array(tileCols * tileRows);
+    let totalSum = 0;
+    let totalWindows = 0;
+
+    for (let wy = 0; wy < height; wy += windowSize) {
+        const y1 = Math.min(wy + windowSize, height);
+        for (let wx = 0; wx < width; wx += windowSize) {
+            const x1 = Math.min(wx + windowSize, width);
+
+            let sum1 = 0, sum2 = 0, sq1 = 0, sq2 = 0, cross = 0;
+            for (let y = wy; y < y1; y++) {
+                for (let pos = y * width + wx, end = y * width + x1; pos < end; pos++) {
+                    const a = luma1[pos];
+                    const b = luma2[pos];
+                    sum1 += a;
+                    sum2 += b;
+                    sq1 += a * a;
+                    sq2 += b * b;
+                    cross += a * b;
+                }
+            }
+
+            const n = (x1 - wx) * (y1 - wy);
+            const mean1 = sum1 / n;
+            const mean2 = sum2 / n;
+            const var1 = Math.max(sq1 / n - mean1 * mean1, 0);
+            const var2 = Math.max(sq2 / n - mean2 * mean2, 0);
+            const cov = cross / n - mean1 * mean2;
+
+            const ssim = ((2 * mean1 * mean2 + SSIM_C1) * (2 * cov + SSIM_C2)) /
+                ((mean1 * mean1 + mean2 * mean2 + SSIM_C1) * (var1 + var2 + SSIM_C2));
+
+            const tile = Math.floor(wy / tileSize) * tileCols + Math.floor(wx / tileSize);
+            tileSum[tile] += ssim;
+            tileWindows[tile]++;
+            totalSum += ssim;
+            totalWindows++;
+        }
+    }
+
+    const round = value => Math.round(value * 10000) / 10000;
+    const tiles = [];
+    for (let tile = 0; tile < tileSum.length; tile++) {
+        const x = (tile % tileCols) * tileSize;
+        const y = Math.floor(tile / tileCols) * tileSize;
+        tiles.push({
+            x,
+            y,
+            width: Math.min(tileSize, width - x),
+            height: Math.min(tileSize, height - y),
+            ssim: round(tileSum[tile] / tileWindows[tile])
+        });
+    }
+    tiles.sort((a, b) => a.ssim - b.ssim);
+
+    return {
+        ssim: round(totalSum / Math.max(totalWindows, 1)),
+        ssimMin: tiles.length > 0 ? tiles[0].ssim : 1,
+        tiles: tiles.filter(tile => tile.ssim < 1).slice(0, worstTiles)
+    };
+}
+
+// Пороги по умолчанию, если в quality-standards.json их нет
+const DEFAULT_THRESHOLDS = {
+    metric: 'pixel',
+    pixel_diff_percent: 0.1,
+    warning_diff_percent: 1.0,
+    ssim_acceptable: 0.99,
+    ssim_warning: 0.95,
+    color_tolerance: 10,
+    anti_aliasing_tolerance: 0
+};
+
+/**
+ * Пороги сравнения разных браузеров из cross_browser.tolerance
+ * font_rendering_tolerance - допустимое снижение SSIM худшего тайла в процентах:
+ * различия сглаживания шрифтов его почти не снижают, сломанная вёрстка - снижает.
+ * rendering_diff_percent - допустимая доля различающихся пикселей: вердикт - худший из двух.
+ * Высота full-page скриншота у движков почти всегда разная, поэтому сравнивается
+ * общая область (crop), а разница размеров сама по себе не даёт предупреждения
+ * @param {Object} tolerance - секция cross_browser.tolerance
+ * @param {Object} base - пороги страницы/устройства из resolveThresholds()
+ */
+export function crossBrowserThresholds(tolerance = {}, base = {}) {
+    const fontTolerance = (tolerance.font_rendering_tolerance ?? 3) / 100;
+    const renderingPercent = tolerance.rendering_diff_percent ?? base.acceptablePercent;
+    return {
+        ...base,
+        metric: 'ssim',
+        requirePixels: true,
+        acceptableSsim: 1 - fontTolerance,
+        warningSsim: 1 - fontTolerance * 2,
+        acceptablePercent: renderingPercent,
+        warningPercent: renderingPercent * 2,
+        sizeStrategy: 'crop',
+        warnOnSizeMismatch: false,
+        sources: [...(base.sources || []), 'cross_browser.tolerance']
+    };
+}
 
 export class PixelComparator {
+    /**
+     * @param {Object} options
+     * @param {Object} options.standards - секция visual_regression из quality-standards.json:
+     *        пороги, переопределения для страниц и устройств, стратегия размеров, тайлы SSIM
+     */
     constructor(options = {}) {
-        // Настройки сравнения
-        this.threshold = options.threshold || 0.1;           // Порог чувствительности (0-1)
-        this.includeAA = options.includeAA ?? true;          // Учитывать anti-aliasing
+        this.standards = options.standards || {};
+        const base = this.resolveThresholds();
+
+        // Настройки сравнения (явные опции важнее quality-standards.json)
+        this.threshold = options.threshold ?? base.colorTolerance / 100; // Порог чувствительности (0-1)
+        // Допустимая доля пикселей сглаживания, % (includeAA: true - сглаживание всегда различие)
+        this.antiAliasingTolerance = options.includeAA ? 0 : (options.antiAliasingTolerance ?? base.antiAliasingTolerance);
         this.alpha = options.alpha || 0.1;                   // Прозрачность фона в diff
         this.diffColor = options.diffColor || [255, 0, 0];   // Цвет различий (красный)
         this.aaColor = options.aaColor || [255, 255, 0];     // Цвет AA-различий (жёлтый)
+        this.sizeStrategy = options.sizeStrategy || this.standards.size_mismatch?.strategy || 'align'; // Изображения разного размера (SIZE_STRATEGIES)
+        this.clusterCellSize = options.clusterCellSize || 8; // Зазор, объединяющий различия в один регион
+        this.maxRegions = options.maxRegions || 20;          // Сколько крупнейших регионов различий вернуть
+        this.ssim = options.ssim ?? true;                    // Считать структурное сходство (SSIM)
+        this.ssimTileSize = options.ssimTileSize || this.standards.similarity?.tile_size || 256; // Размер тайла для SSIM по областям
+    }
+
+    /**
+     * Пороги для конкретной страницы и устройства
+     * База - visual_regression.threshold и similarity, поверх неё применяются
+     * visual_regression.overrides.pages (шаблон URL) и overrides.devices (ID устройства)
+     * @param {Object} target
+     * @param {string} target.url - URL страницы
+     * @param {string} target.device - ID устройства (device_id)
+     * @returns {Object} пороги для compare() и analyzeResults() с полем sources - что применилось
+     */
+    resolveThresholds({ url = null, device = null } = {}) {
+        const { threshold = {}, similarity = {}, overrides = {} } = this.standards;
+        const pick = ({ description, tile_size, ...values } = {}) => values;
+
+        const values = { ...DEFAULT_THRESHOLDS, ...pick(threshold), ...pick(similarity) };
+        const sources = [this.standards.threshold ? 'visual_regression.threshold' : 'defaults'];
+
+        if (url) {
+            for (const [pattern, override] of Object.entries(overrides.pages || {})) {
+                if (!matchesPattern(url, pattern)) continue;
+                Object.assign(values, pick(override));
+                sources.push(`overrides.pages['${pattern}']`);
+            }
+        }
+        if (device && overrides.devices?.[device]) {
+            Object.assign(values, pick(overrides.devices[device]));
+            sources.push(`overrides.devices['${device}']`);
+        }
+
+        return {
+            metric: values.metric,
+            acceptablePercent: values.pixel_diff_percent,
+            warningPercent: values.warning_diff_percent,
+            acceptableSsim: values.ssim_acceptable,
+            warningSsim: values.ssim_warning,
+            colorTolerance: values.color_tolerance,
+            antiAliasingTolerance: values.anti_aliasing_tolerance,
+            sources
+        };
     }
 
     /**
      * Сравнение двух PNG изображений
+     * @param {Object} options
+     * @param {Array} options.ignoreRegions - области [{ x, y, width, height }], исключаемые из сравнения
+     * @param {string} options.sizeStrategy - стратегия для изображений разного размера (по умолчанию из конструктора)
+     * @param {Object} options.thresholds - пороги страницы/устройства из resolveThresholds()
+     *        (color_tolerance - порог цвета pixelmatch в %, anti_aliasing_tolerance - доля
+     *        пикселей сглаживания в %, которая не считается различиями)
      */
-    async compare(image1Path, image2Path, outputDiffPath = null) {
+    async compare(image1Path, image2Path, outputDiffPath = null, options = {}) {
+        const { ignoreRegions = [], sizeStrategy = this.sizeStrategy, layouts = {}, thresholds = null } = options;
+        const colorThreshold = thresholds ? thresholds.colorTolerance / 100 : this.threshold;
+        const aaTolerance = (thresholds ? thresholds.antiAliasingTolerance : this.antiAliasingTolerance) || 0;
+
+        if (!SIZE_STRATEGIES.includes(sizeStrategy)) {
+            throw new Error(`Неизвестная стратегия сравнения размеров "${sizeStrategy}". Доступны: ${SIZE_STRATEGIES.join(', ')}`);
+        }
+
         // Загружаем изображения
         const img1 = await this.loadPNG(image1Path);
         const img2 = await this.loadPNG(image2Path);
@@ -38,39 +517,89 @@ export class PixelComparator {
         }
 
         // Проверяем размеры
-        if (img1.width !== img2.width || img1.height !== img2.height) {
+        const sizeMismatch = img1.width !== img2.width || img1.height !== img2.height;
+        const sizeInfo = {
+            sizeMismatch,
+            heightDelta: img2.height - img1.height,
+            widthDelta: img2.width - img1.width,
+            image1: { width: img1.width, height: img1.height },
+            image2: { width: img2.width, height: img2.height }
+        };
+
+        if (sizeMismatch && sizeStrategy === 'fail') {
             return {
                 success: false,
-                sizeMismatch: true,
-                image1: { width: img1.width, height: img1.height },
-                image2: { width: img2.width, height: img2.height },
+                ...sizeInfo,
                 message: `Размеры изображений различаются: ${img1.width}x${img1.height} vs ${img2.width}x${img2.height}`
             };
         }
 
+        // Закрашиваем исключённые области одинаково на обоих изображениях
+        const ignoredPixels = fillRegions(img1, ignoreRegions);
+        fillRegions(img2, ignoreRegions);
+
+        // Приводим к общему размеру: область, которая есть только на одном
+        // изображении, закрашивается одинаково и считается изменённой
+        let base = img1;
+        let current = img2;
+        let sizeResult = null;
+        if (sizeMismatch) {
+            sizeResult = normalizeSize(img1, img2, sizeStrategy);
+            base = sizeResult.image1;
+            current = sizeResult.image2;
+            this.fillMask(base, sizeResult.padMask, MASK_COLOR);
+            this.fillMask(current, sizeResult.padMask, MASK_COLOR);
+        }
+
         // Создаём буфер для diff
-        const { width, height } = img1;
+        const { width, height } = base;
         const diff = new PNG({ width, height });
 
         // Выполняем сравнение
-        const diffPixels = pixelmatch(
-            img1.data,
-            img2.data,
+        let diffPixels = pixelmatch(
+            base.data,
+            current.data,
             diff.data,
             width,
             height,
             {
-                threshold: this.threshold,
-                includeAA: this.includeAA,
+                threshold: colorThreshold,
+                includeAA: aaTolerance <= 0,
                 alpha: this.alpha,
                 diffColor: this.diffColor,
                 aaColor: this.aaColor
             }
         );
 
-        // Вычисляем процент различий
+        // Пиксели сглаживания сверх допустимой доли площади считаются различиями
+        const aaPixels = aaTolerance > 0 ? this.countColor(diff, this.aaColor) : 0;
+        const aaAllowed = Math.floor((width * height - ignoredPixels) * aaTolerance / 100);
+        diffPixels += Math.max(0, aaPixels - aaAllowed);
+
+        if (sizeResult?.paddedPixels) {
+            this.fillMask(diff, sizeResult.padMask, this.diffColor);
+            diffPixels += sizeResult.paddedPixels;
+        }
+
+        // Регионы различий (bounding box, площадь, центр) в пикселях diff-изображения,
+        // привязанные к элементам DOM, если известны раскладки baseline и текущего снимка
+        const regions = diffPixels > 0
+            ? mapRegionsToElements(
+                clusterDiffRegions(diff, this.diffColor, { cellSize: this.clusterCellSize, maxRegions: this.maxRegions }),
+                layouts
+            )
+            : [];
+
+        // Структурное сходство: исключённые и дополненные области закрашены
+        // одинаково на обоих изображениях и SSIM не снижают
+        const similarity = this.ssim
+            ? computeSSIM(base, current, { tileSize: this.ssimTileSize })
+            : null;
+
+        // Вычисляем процент различий (только по сравниваемой площади)
         const totalPixels = width * height;
-        const diffPercent = (diffPixels / totalPixels) * 100;
+        const comparedPixels = Math.max(totalPixels - ignoredPixels, 1);
+        const diffPercent = (diffPixels / comparedPixels) * 100;
 
         // Сохраняем diff если нужно
         if (outputDiffPath && diffPixels > 0) {
@@ -83,12 +612,82 @@ export class PixelComparator {
             match: diffPixels === 0,
             diffPixels,
             totalPixels,
+            ignoredPixels,
+            ignoredRegions: ignoreRegions.length,
             diffPercent: parseFloat(diffPercent.toFixed(4)),
+            aaPixels,
             dimensions: { width, height },
+            regions,
+            ...(similarity ? { ssim: similarity.ssim, ssimMin: similarity.ssimMin, ssimTiles: similarity.tiles } : {}),
+            ...sizeInfo,
+            ...(sizeResult ? {
+                sizeStrategy,
+                paddedPixels: sizeResult.paddedPixels,
+                croppedPixels: sizeResult.croppedPixels,
+                alignment: sizeResult.alignment
+            } : {}),
             diffImagePath: diffPixels > 0 ? outputDiffPath : null
         };
     }
 
+    /**
+     * Число пикселей заданного цвета (пиксели сглаживания в diff pixelmatch)
+     */
+    countColor(png, color) {
+        let count = 0;
+        for (let idx = 0; idx < png.data.length; idx += 4) {
+            if (png.data[idx] === color[0] && png.data[idx + 1] === color[1] && png.data[idx + 2] === color[2]) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Заливка пикселей по маске (1 = закрасить)
+     */
+    fillMask(png, mask, color) {
+        for (let pos = 0; pos < mask.length; pos++) {
+            if (!mask[pos]) continue;
+            const idx = pos << 2;
+            png.data[idx] = color[0];
+            png.data[idx + 1] = color[1];
+            png.data[idx + 2] = color[2];
+            png.data[idx + 3] = 255;
+        }
+    }
+
+    /**
+     * Сопоставление файлов двух папок
+     * Если в обеих папках есть manifest.json, пары строятся по устройству, браузеру,
+     * режиму, состоянию и области захвата - имена файлов могут отличаться
+     * @returns {Promise<Array<{file, baselinePath, currentPath}>>}
+     */
+    async pairFiles(baselineDir, currentDir) {
+        if (await hasManifest(baselineDir) && await hasManifest(currentDir)) {
+            const baselineManifest = await readManifest(baselineDir);
+            const currentManifest = await readManifest(currentDir);
+
+            const pairs = new Map();
+            for (const entry of baselineManifest.baselines) {
+                pairs.set(captureKey(entry), { file: entry.file, baselinePath: path.join(baselineDir, entry.file), currentPath: null });
+            }
+            for (const entry of currentManifest.baselines) {
+                const key = captureKey(entry);
+                const pair = pairs.get(key) || { file: entry.file, baselinePath: null };
+                pairs.set(key, { ...pair, currentPath: path.join(currentDir, entry.file) });
+            }
+            return Array.from(pairs.values());
+        }
+
+        const baselineFiles = await this.getPNGFiles(baselineDir);
+        const currentFiles = await this.getPNGFiles(currentDir);
+
+        return Array.from(new Set([...baselineFiles, ...currentFiles])).map(file => ({
+            file,
+            baselinePath: path.join(baselineDir, file),
+            currentPath: path.join(currentDir, file)
+        }));
+    }
+
     /**
      * Пакетное сравнение директорий
      */
@@ -105,22 +704,17 @@ export class PixelComparator {
             }
         };
 
-        // Получаем списки файлов
-        const baselineFiles = await this.getPNGFiles(baselineDir);
-        const currentFiles = await this.getPNGFiles(currentDir);
+        // Пары файлов: по manifest.json, если он есть в обеих папках, иначе по имени
+        const pairs = await this.pairFiles(baselineDir, currentDir);
 
-        const allFiles = new Set([...baselineFiles, ...currentFiles]);
-
-        for (const file of allFiles) {
-            const baselinePath = path.join(baselineDir, file);
-            const currentPath = path.join(currentDir, file);
+        for (const { file, baselinePath, currentPath } of pairs) {
             const diffPath = path.join(outputDir, `diff_${file}`);
 
             results.summary.total++;
 
             // Проверяем наличие файлов
-            const hasBaseline = await fs.pathExists(baselinePath);
-            const hasCurrent = await fs.pathExists(currentPath);
+            const hasBaseline = Boolean(baselinePath) && await fs.pathExists(baselinePath);
+            const hasCurrent = Boolean(currentPath) && await fs.pathExists(currentPath);
 
             if (!hasBaseline && hasCurrent) {
                 // Новый файл
@@ -144,10 +738,20 @@ export class PixelComparator {
                 continue;
             }
 
-            // Сравниваем
-            const comparison = await this.compare(baselinePath, currentPath, diffPath);
+            // Сравниваем (с областями, сохранёнными вместе с baseline)
+            const [baselineMeta, currentMeta] = await Promise.all([
+                this.readMetadata(baselinePath),
+                this.readMetadata(currentPath)
+            ]);
+            // Пороги страницы и устройства - по метаданным baseline
+            const thresholds = this.resolveThresholds({ url: baselineMeta?.url, device: baselineMeta?.device });
+            const comparison = await this.compare(baselinePath, currentPath, diffPath, {
+                ignoreRegions: baselineMeta?.ignoreRegions || [],
+                layouts: { baseline: baselineMeta?.layout || null, current: currentMeta?.layout || null },
+                thresholds
+            });
 
-            if (comparison.success && comparison.match) {
+            if (comparison.success && comparison.match && !comparison.sizeMismatch) {
                 results.comparisons.push({
                     file,
                     status: 'matched',
@@ -155,11 +759,19 @@ export class PixelComparator {
                 });
                 results.summary.matched++;
             } else if (comparison.success) {
+                const analysis = this.analyzeResults(comparison, thresholds);
                 results.comparisons.push({
                     file,
                     status: 'different',
+                    verdict: analysis.status,
+                    message: analysis.message,
+                    thresholds: analysis.thresholds,
                     diffPercent: comparison.diffPercent,
                     diffPixels: comparison.diffPixels,
+                    ...(comparison.sizeMismatch ? { heightDelta: comparison.heightDelta, widthDelta: comparison.widthDelta } : {}),
+                    regions: comparison.regions,
+                    ssim: comparison.ssim,
+                    ssimMin: comparison.ssimMin,
                     diffImage: diffPath
                 });
                 results.summary.different++;
@@ -175,6 +787,46 @@ export class PixelComparator {
         return results;
     }
 
+    /**
+     * Чтение исключённых областей из метаданных рядом со скриншотом (name.png → name.json)
+     */
+    async readIgnoreRegions(imagePath) {
+        return (await this.readMetadata(imagePath))?.ignoreRegions || [];
+    }
+
+    /**
+     * Раскладка элементов DOM из метаданных рядом со скриншотом (см. region-mapper.js)
+     */
+    async readLayout(imagePath) {
+        return (await this.readMetadata(imagePath))?.layout || null;
+    }
+
+    /**
+     * Метаданные захвата рядом со скриншотом (name.png → name.json)
+     */
+    async readMetadata(imagePath) {
+        const metaPath = imagePath.replace(/\.png$/i, '.json');
+        try {
+            if (await fs.pathExists(metaPath)) {
+                return await fs.readJSON(metaPath);
+            }
+        } catch (error) {
+            console.warn(`[PixelComparator] Не удалось прочитать ${metaPath}: ${error.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * Объединение списков исключённых областей без дубликатов
+     */
+    mergeIgnoreRegions(...lists) {
+        const seen = new Map();
+        for (const region of lists.flat().filter(Boolean)) {
+            seen.set(`${region.x},${region.y},${region.width},${region.height}`, region);
+        }
+        return Array.from(seen.values());
+    }
+
     /**
      * Загрузка PNG файла
      */
@@ -218,19 +870,86 @@ export class PixelComparator {
 
     /**
      * Анализ результатов сравнения с порогами
+     * @param {Object} thresholds - пороги из resolveThresholds() (по умолчанию - из quality-standards.json)
      */
-    analyzeResults(comparison, thresholds = {}) {
-        const {
-            acceptablePercent = 0.1,    // Приемлемо: < 0.1%
-            warningPercent = 1.0,       // Предупреждение: 0.1% - 1%
-            // > 1% = ошибка
-        } = thresholds;
+    analyzeResults(comparison, thresholds = this.resolveThresholds()) {
+        let result = this.classifyDiff(comparison, thresholds);
+        if (result.status === 'error') return result;
+
+        // Какие пороги применились - чтобы результат можно было проверить по конфигу
+        result.thresholds = {
+            metric: thresholds.metric || 'pixel',
+            pixel_diff_percent: thresholds.acceptablePercent,
+            warning_diff_percent: thresholds.warningPercent,
+            ssim_acceptable: thresholds.acceptableSsim,
+            ssim_warning: thresholds.warningSsim,
+            color_tolerance: thresholds.colorTolerance,
+            anti_aliasing_tolerance: thresholds.antiAliasingTolerance,
+            sources: thresholds.sources
+        };
+
+        // Обе метрики в результате, независимо от той, по которой классифицировали
+        result.metric = thresholds.metric === 'ssim' && comparison.ssimMin !== undefined ? 'ssim' : 'pixel';
+        if (comparison.ssim !== undefined) {
+            result.ssim = comparison.ssim;
+            result.ssimMin = comparison.ssimMin;
+        }
+
+        // Изменение размера страницы - отдельный сигнал, даже если пиксели совпали
+        // (кроме сравнения браузеров: высота страницы у движков почти всегда разная)
+        if (comparison.sizeMismatch) {
+            const { heightDelta, widthDelta } = comparison;
+            const deltas = [
+                heightDelta ? `высота ${heightDelta > 0 ? '+' : ''}${heightDelta}px` : null,
+                widthDelta ? `ширина ${widthDelta > 0 ? '+' : ''}${widthDelta}px` : null
+            ].filter(Boolean).join(', ');
+
+            const warn = thresholds.warnOnSizeMismatch !== false;
+            result = {
+                ...result,
+                ...(warn && result.status === 'passed' ? { status: 'warning', severity: 'warning' } : {}),
+                message: `${result.message} (${deltas}, стратегия ${comparison.sizeStrategy})`,
+                heightDelta,
+                widthDelta,
+                ...(warn ? { requiresReview: true } : {})
+            };
+        }
+
+        // Что именно изменилось: крупнейшие регионы с привязкой к элементам
+        if (comparison.regions?.length > 0) {
+            const changes = [...new Set(comparison.regions.slice(0, 3).map(region => region.description).filter(Boolean))];
+            result = {
+                ...result,
+                ...(result.status !== 'passed' && changes.length > 0 ? { message: `${result.message}: ${changes.join('; ')}` } : {}),
+                regions: comparison.regions
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Классификация различий по порогам
+     * @param {Object} thresholds
+     * @param {string} thresholds.metric - 'pixel' (доля изменённых пикселей) или 'ssim' (худший тайл SSIM)
+     * @param {number} thresholds.acceptablePercent - pixel: приемлемая доля различий, %
+     * @param {number} thresholds.warningPercent - pixel: граница предупреждения, %
+     * @param {number} thresholds.acceptableSsim - ssim: приемлемое сходство
+     * @param {number} thresholds.warningSsim - ssim: граница предупреждения
+     * @param {boolean} thresholds.requirePixels - ssim: доля пикселей тоже должна уложиться в пороги
+     */
+    classifyDiff(comparison, thresholds = {}) {
+        const { metric = 'pixel' } = thresholds;
+
+        if (!METRICS.includes(metric)) {
+            throw new Error(`Неизвестная метрика сравнения "${metric}". Доступны: ${METRICS.join(', ')}`);
+        }
 
         if (!comparison.success) {
             return {
                 status: 'error',
                 severity: 'critical',
-                message: comparison.error || 'Ошибка сравнения'
+                message: comparison.error || comparison.message || 'Ошибка сравнения'
             };
         }
 
@@ -242,6 +961,26 @@ export class PixelComparator {
             };
         }
 
+        if (metric === 'ssim' && comparison.ssimMin !== undefined) {
+            const similarity = this.classifySimilarity(comparison, thresholds);
+            if (!thresholds.requirePixels) return similarity;
+
+            const pixels = this.classifyPixels(comparison, thresholds);
+            return STATUS_RANK[pixels.status] > STATUS_RANK[similarity.status] ? pixels : similarity;
+        }
+
+        return this.classifyPixels(comparison, thresholds);
+    }
+
+    /**
+     * Классификация по доле изменённых пикселей
+     */
+    classifyPixels(comparison, thresholds = {}) {
+        const {
+            acceptablePercent = 0.1,    // Приемлемо: < 0.1%
+            warningPercent = 1.0,       // Предупреждение: 0.1% - 1%
+            // > 1% = ошибка
+        } = thresholds;
         const { diffPercent } = comparison;
 
         if (diffPercent < acceptablePercent) {
@@ -269,6 +1008,44 @@ export class PixelComparator {
         };
     }
 
+    /**
+     * Классификация по SSIM худшего тайла
+     * Глобальный SSIM большой страницы "размывает" локальное изменение,
+     * поэтому решение принимается по самому изменившемуся тайлу
+     */
+    classifySimilarity(comparison, thresholds = {}) {
+        const {
+            acceptableSsim = 0.99,      // Приемлемо: >= 0.99
+            warningSsim = 0.95          // Предупреждение: 0.95 - 0.99, ниже - ошибка
+        } = thresholds;
+        const { ssim, ssimMin, diffPercent } = comparison;
+        const details = `SSIM ${ssim}, худший тайл ${ssimMin}, пиксели ${diffPercent}%`;
+
+        if (ssimMin >= acceptableSsim) {
+            return {
+                status: 'passed',
+                severity: 'none',
+                message: `Структурно идентичны: ${details} (допустимо >= ${acceptableSsim})`
+            };
+        }
+
+        if (ssimMin >= warningSsim) {
+            return {
+                status: 'warning',
+                severity: 'warning',
+                message: `Незначительные структурные различия: ${details}`,
+                requiresReview: true
+            };
+        }
+
+        return {
+            status: 'failed',
+            severity: 'critical',
+            message: `Значительные структурные различия: ${details}`,
+            requiresReview: true
+        };
+    }
+
     /**
      * Создание side-by-side сравнения
      */
@@ -8,10 +8,11 @@
  *   visual-qa check https://example.com --profile standard
  *   visual-qa baseline https://example.com
  *   visual-qa compare --baseline ./baselines --current ./current
+ *   visual-qa approve --failed --by anna
  *   visual-qa report --open
  */
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import path from 'path';
@@ -19,8 +20,10 @@ import fs from 'fs-extra';
 
 import { VisualQAAgent } from './core/visual-agent.js';
 import { AIVisionAnalyzer } from './analyzers/ai-vision-analyzer.js';
-import { PixelComparator } from './analyzers/pixel-comparator.js';
+import { AICache } from './analyzers/ai-cache.js';
 import { HTMLReporter } from './reporters/html-reporter.js';
+import { parseLimit } from './core/site-crawler.js';
+import { pluralize } from './utils/helpers.js';
 
 const program = new Command();
 
@@ -29,6 +32,98 @@ program
     .description('🔍 Автономный агент для визуальной проверки веб-интерфейсов')
     .version('1.0.0');
 
+/**
+ * Накопление повторяющихся опций (--cookie a=1 --cookie b=2)
+ */
+function collect(value, previous = []) {
+    return [...previous, value];
+}
+
+/**
+ * Неотрицательное целое для лимитов обхода (--depth, --max-pages, --page-concurrency)
+ */
+function nonNegativeInt(value) {
+    try {
+        return parseLimit(value, 'Значение');
+    } catch {
+        throw new InvalidArgumentError('ожидается неотрицательное целое число.');
+    }
+}
+
+/**
+ * Попадания в кэш AI для сводки запуска
+ */
+function formatCacheStats(cache) {
+    if (!cache?.enabled) return ' (кэш AI отключён)';
+    const lookups = cache.hits + cache.misses;
+    return lookups > 0 ? ` (кэш AI: ${cache.hits} из ${lookups}, ${cache.hit_rate}%)` : '';
+}
+
+/**
+ * Токены и стоимость AI-анализа для сводки запуска
+ */
+function formatUsage(usage) {
+    if (!usage?.requests) return 'запросов к модели не было';
+    const cost = usage.unpriced_requests === usage.requests
+        ? 'стоимость неизвестна'
+        : `~$${usage.cost_usd.toFixed(4)}${usage.unpriced_requests > 0 ? ` (без цены: ${usage.unpriced_requests})` : ''}`;
+    const budget = usage.budget_usd ? ` из бюджета $${usage.budget_usd}` : '';
+    return `запросов ${usage.requests}, токены ${usage.input_tokens} → ${usage.output_tokens}, ${cost}${budget}`;
+}
+
+/**
+ * Сборка настроек авторизации из опций CLI
+ */
+function buildAuthOptions(options) {
+    const auth = {};
+
+    if (options.storageState) auth.storageState = options.storageState;
+    if (options.loginScript) auth.loginScript = options.loginScript;
+
+    if (options.cookie?.length) {
+        auth.cookies = options.cookie.map(pair => {
+            const index = pair.indexOf('=');
+            if (index <= 0) throw new Error(`Неверный формат cookie "${pair}", ожидается name=value`);
+            return { name: pair.slice(0, index).trim(), value: pair.slice(index + 1) };
+        });
+    }
+
+    if (options.header?.length) {
+        auth.headers = {};
+        for (const pair of options.header) {
+            const index = pair.indexOf(':');
+            if (index <= 0) throw new Error(`Неверный формат заголовка "${pair}", ожидается Name: value`);
+            auth.headers[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+        }
+    }
+
+    return Object.keys(auth).length > 0 ? auth : null;
+}
+
+/**
+ * Сборка исключаемых областей из опций CLI
+ */
+function buildIgnoreOptions(options) {
+    const regions = (options.ignoreRegion || []).map(value => {
+        const [x, y, width, height] = value.split(',').map(Number);
+        if ([x, y, width, height].some(n => !Number.isFinite(n))) {
+            throw new Error(`Неверный формат области "${value}", ожидается x,y,width,height`);
+        }
+        return { x, y, width, height };
+    });
+
+    return { selectors: options.ignore || [], regions };
+}
+
+/**
+ * Accessibility-режимы из --a11y: список через запятую или все из devices.json
+ */
+function buildAccessibilityModes(options) {
+    return typeof options.a11y === 'string'
+        ? options.a11y.split(',').map(m => m.trim()).filter(Boolean)
+        : Boolean(options.a11y);
+}
+
 /**
  * Команда: check - проверка страницы
  */
@@ -36,40 +131,105 @@ program
     .command('check <url>')
     .description('Проверить страницу на всех устройствах')
     .option('-p, --profile <name>', 'Профиль проверки (quick/standard/comprehensive/mobile_first)', 'standard')
-    .option('--ai', 'Включить AI-анализ (требует ANTHROPIC_API_KEY)', false)
+    .option('--ai', 'Включить AI-анализ (требует ключ или локальную модель провайдера)', false)
+    .option('--ai-provider <name>', 'AI-провайдер: anthropic, openai (OpenAI-совместимый API), mock (по умолчанию VISUAL_QA_AI_PROVIDER или anthropic)')
+    .option('--ai-model <name>', 'Модель AI-провайдера (по умолчанию VISUAL_QA_AI_MODEL)')
+    .option('--ai-responsive', 'AI-сравнение мобильной, планшетной и десктопной версий (пропавшие элементы, порядок контента, навигация)', false)
+    .option('--no-cache', 'Не использовать кэш ответов AI (отправить все скриншоты в модель заново)')
+    .option('--cache-ttl <hours>', 'Время жизни записей кэша AI в часах (0 - бессрочно)')
+    .option('--ai-budget <usd>', 'Бюджет AI-анализа в USD: после превышения скриншоты не отправляются (по умолчанию VISUAL_QA_AI_BUDGET_USD)')
+    .option('--ai-prices <file>', 'JSON с ценами моделей, USD за 1M токенов (по умолчанию VISUAL_QA_AI_PRICES)')
     .option('--compare', 'Сравнить с baseline если есть', false)
+    .option('--baselines <dir>', 'Директория baseline для --compare', './baselines')
     .option('-o, --output <dir>', 'Директория для отчёта', './reports')
+    .option('--storage-state <file>', 'Файл storageState Playwright (cookies + localStorage)')
+    .option('--cookie <name=value>', 'Cookie для всех запросов (можно повторять)', collect)
+    .option('--header <name:value>', 'Дополнительный HTTP заголовок (можно повторять)', collect)
+    .option('--login-script <file>', 'ES-модуль с функцией async ({ page, context, url }) для входа')
+    .option('--states <file>', 'JSON-файл с состояниями страницы [{ name, steps }] (меню, модалки, формы)')
+    .option('--ignore <selector>', 'CSS-селектор области, исключаемой из сравнения (можно повторять)', collect)
+    .option('--ignore-region <x,y,w,h>', 'Прямоугольная область в CSS-пикселях, исключаемая из сравнения (можно повторять)', collect)
+    .option('--capture <mode>', 'Режим захвата: full (вся страница), viewport (первый экран), element', 'full')
+    .option('--selector <css>', 'Селектор компонента для --capture element')
+    .option('--a11y [modes]', 'Accessibility-режимы через запятую: reduced_motion, forced_colors, high_contrast (без значения - все из devices.json)')
+    .option('--cross-browser [reference]', 'Сравнить браузеры с эталонным движком (по умолчанию первый из cross_browser.required_browsers)')
+    .option('--concurrency <n>', 'Сколько устройств проверять параллельно (контекстов браузера)', '3')
     .action(async (url, options) => {
         console.log(chalk.cyan('\n🔍 Visual QA Agent\n'));
         console.log(chalk.gray(`URL: ${url}`));
         console.log(chalk.gray(`Профиль: ${options.profile}`));
-        console.log(chalk.gray(`AI-анализ: ${options.ai ? 'включён' : 'отключён'}\n`));
+        console.log(chalk.gray(`AI-анализ: ${options.ai ? 'включён' : 'отключён'}${options.aiResponsive ? ', сравнение брейкпоинтов' : ''}\n`));
 
         const spinner = ora('Инициализация...').start();
 
         try {
             // Инициализация
-            const agent = new VisualQAAgent({ reportsPath: options.output });
+            const agent = new VisualQAAgent({
+                reportsPath: options.output,
+                baselinesPath: options.baselines,
+                concurrency: options.concurrency
+            });
             await agent.init();
             spinner.succeed('Агент инициализирован');
 
+            const aiAnalyzer = options.ai || options.aiResponsive
+                ? new AIVisionAnalyzer({
+                    provider: options.aiProvider,
+                    model: options.aiModel,
+                    cache: options.cache,
+                    cacheTtlHours: options.cacheTtl,
+                    budgetUsd: options.aiBudget,
+                    prices: options.aiPrices
+                })
+                : null;
+
             // Проверка страницы
             spinner.start('Проверка страницы на всех устройствах...');
             const results = await agent.checkPage(url, {
-                profile: options.profile
+                profile: options.profile,
+                auth: buildAuthOptions(options),
+                states: options.states ? await fs.readJSON(options.states) : undefined,
+                ignore: buildIgnoreOptions(options),
+                captureMode: options.capture,
+                selector: options.selector,
+                accessibilityModes: buildAccessibilityModes(options),
+                crossBrowser: Boolean(options.crossBrowser),
+                referenceBrowser: typeof options.crossBrowser === 'string' ? options.crossBrowser : undefined,
+                responsiveAI: options.aiResponsive ? aiAnalyzer : null
             });
             spinner.succeed(`Проверено ${results.summary.total} конфигураций`);
 
+            if (results.responsive) {
+                const found = results.issues.filter(issue => issue.type === 'responsive_consistency');
+                console.log(chalk.bold(`\n📐 Сравнение брейкпоинтов (AI): ${results.responsive.length} ${pluralize(results.responsive.length, 'сравнение', 'сравнения', 'сравнений')}, расхождений ${found.length}`));
+                results.responsive.filter(review => review.error).forEach(review => {
+                    console.log(chalk.red(`   ✗ ${review.emulation}${review.state ? `, ${review.state}` : ''}: ${review.error}`));
+                });
+                found.forEach(issue => {
+                    console.log(chalk.yellow(`   ⚠ ${issue.title}`));
+                });
+            }
+
+            if (results.crossBrowser) {
+                const divergent = results.crossBrowser.matrix
+                    .flatMap(row => Object.entries(row.browsers).map(([browser, cell]) => ({ row, browser, cell })))
+                    .filter(({ cell }) => cell.status === 'warning' || cell.status === 'failed');
+                console.log(chalk.bold(`\n🌐 Кросс-браузерное сравнение (эталон: ${results.crossBrowser.reference}): расхождений ${divergent.length}`));
+                divergent.forEach(({ row, browser, cell }) => {
+                    console.log(chalk.yellow(`   ⚠ ${row.device} (${browser}): ${cell.message}`));
+                });
+            }
+
             // AI-анализ если включён
             if (options.ai) {
                 spinner.start('AI-анализ скриншотов...');
-                const aiAnalyzer = new AIVisionAnalyzer();
 
                 for (const check of results.checks) {
+                    if (aiAnalyzer.budgetExceeded) break;
                     if (check.screenshot && aiAnalyzer.enabled) {
                         const analysis = await aiAnalyzer.analyzeScreenshot(
                             check.screenshot,
-                            { device: check.device, browser: check.browser, url }
+                            { device: check.device, browser: check.browser, viewport: check.viewport, url }
                         );
 
                         if (analysis.issues) {
@@ -78,37 +238,29 @@ program
                         check.aiAnalysis = analysis;
                     }
                 }
-                spinner.succeed('AI-анализ завершён');
+
+                results.ai = aiAnalyzer.getStats();
+                if (results.ai.usage.budget_exceeded) {
+                    const analyzed = results.checks.filter(check => check.aiAnalysis && !check.aiAnalysis.error).length;
+                    spinner.warn(`AI-анализ остановлен: бюджет $${results.ai.usage.budget_usd} исчерпан, проанализировано ${analyzed} из ${results.checks.filter(check => check.screenshot).length}`);
+                } else {
+                    spinner.succeed(`AI-анализ завершён${formatCacheStats(results.ai.cache)}`);
+                }
+            } else if (aiAnalyzer) {
+                results.ai = aiAnalyzer.getStats();
             }
 
-            // Сравнение с baseline если есть
+            // Сравнение с baseline если есть (baseline ищется через manifest.json)
             if (options.compare) {
                 spinner.start('Сравнение с baseline...');
-                const comparator = new PixelComparator();
-                const baselineDir = path.join('./baselines', agent.urlToSlug(url));
-
-                if (await fs.pathExists(baselineDir)) {
-                    for (const check of results.checks) {
-                        if (check.screenshot) {
-                            const baselinePath = path.join(
-                                baselineDir,
-                                `${check.device?.toLowerCase().replace(/\s+/g, '_')}_${check.browser}.png`
-                            );
-
-                            if (await fs.pathExists(baselinePath)) {
-                                const diffPath = check.screenshot.replace('.png', '_diff.png');
-                                const comparison = await comparator.compare(
-                                    baselinePath,
-                                    check.screenshot,
-                                    diffPath
-                                );
-                                check.comparison = comparator.analyzeResults(comparison);
-                            }
-                        }
-                    }
-                    spinner.succeed('Сравнение завершено');
-                } else {
+                const { found, compared, missing } = await agent.compareWithBaseline(results);
+
+                if (!found) {
                     spinner.warn('Baseline не найден - пропускаем сравнение');
+                } else if (compared === 0) {
+                    spinner.warn(`В baseline нет снимков для этих проверок (${missing}) - создайте их командой baseline`);
+                } else {
+                    spinner.succeed(`Сравнение завершено: ${compared}${missing > 0 ? `, без baseline: ${missing}` : ''}`);
                 }
             }
 
@@ -123,6 +275,10 @@ program
             console.log(chalk.green(`   ✓ Пройдено: ${results.summary.passed}`));
             console.log(chalk.yellow(`   ⚠ Предупреждений: ${results.summary.warnings || 0}`));
             console.log(chalk.red(`   ✗ Ошибок: ${results.summary.failed}`));
+            if (results.ai) {
+                console.log(chalk.gray(`   🤖 AI: ${results.ai.provider} (${results.ai.model})${formatCacheStats(results.ai.cache)}`));
+                console.log(chalk.gray(`   💰 ${formatUsage(results.ai.usage)}`));
+            }
 
             // Совет
             console.log(chalk.gray(`\n💡 Откройте отчёт: npx serve ${options.output}/latest -p 3333\n`));
@@ -144,18 +300,35 @@ program
     .description('Сохранить эталонные скриншоты (baseline)')
     .option('-p, --profile <name>', 'Профиль устройств', 'standard')
     .option('-o, --output <dir>', 'Директория для baseline', './baselines')
+    .option('--storage-state <file>', 'Файл storageState Playwright (cookies + localStorage)')
+    .option('--cookie <name=value>', 'Cookie для всех запросов (можно повторять)', collect)
+    .option('--header <name:value>', 'Дополнительный HTTP заголовок (можно повторять)', collect)
+    .option('--login-script <file>', 'ES-модуль с функцией async ({ page, context, url }) для входа')
+    .option('--states <file>', 'JSON-файл с состояниями страницы [{ name, steps }] (меню, модалки, формы)')
+    .option('--ignore <selector>', 'CSS-селектор области, исключаемой из сравнения (можно повторять)', collect)
+    .option('--ignore-region <x,y,w,h>', 'Прямоугольная область в CSS-пикселях, исключаемая из сравнения (можно повторять)', collect)
+    .option('--capture <mode>', 'Режим захвата: full (вся страница), viewport (первый экран), element', 'full')
+    .option('--selector <css>', 'Селектор компонента для --capture element')
+    .option('--concurrency <n>', 'Сколько устройств снимать параллельно (контекстов браузера)', '3')
     .action(async (url, options) => {
         console.log(chalk.cyan('\n📸 Сохранение baseline\n'));
 
         const spinner = ora('Инициализация...').start();
 
         try {
-            const agent = new VisualQAAgent({ baselinesPath: options.output });
+            const agent = new VisualQAAgent({ baselinesPath: options.output, concurrency: options.concurrency });
             await agent.init();
             spinner.succeed('Агент инициализирован');
 
             spinner.start('Создание скриншотов...');
-            const baselinePath = await agent.saveBaseline(url, { profile: options.profile });
+            const baselinePath = await agent.saveBaseline(url, {
+                profile: options.profile,
+                auth: buildAuthOptions(options),
+                states: options.states ? await fs.readJSON(options.states) : undefined,
+                ignore: buildIgnoreOptions(options),
+                captureMode: options.capture,
+                selector: options.selector
+            });
             spinner.succeed(`Baseline сохранён: ${baselinePath}`);
 
             console.log(chalk.green('\n✓ Готово! Используйте --compare при следующей проверке\n'));
@@ -166,6 +339,156 @@ program
         }
     });
 
+/**
+ * Команда: sweep - проход по диапазону ширин
+ */
+program
+    .command('sweep <url>')
+    .description('Проверить страницу на непрерывном диапазоне ширин (breakpoint sweep)')
+    .option('--from <px>', 'Начальная ширина (по умолчанию responsiveness.sweep.from)')
+    .option('--to <px>', 'Конечная ширина (по умолчанию responsiveness.sweep.to)')
+    .option('--step <px>', 'Шаг (по умолчанию responsiveness.sweep.step)')
+    .option('--height <px>', 'Высота viewport')
+    .option('-b, --browser <name>', 'Браузер', 'chromium')
+    .option('--no-refine', 'Не уточнять границы диапазонов до 1px')
+    .option('-o, --output <dir>', 'Директория для отчёта', './reports')
+    .option('--storage-state <file>', 'Файл storageState Playwright (cookies + localStorage)')
+    .option('--cookie <name=value>', 'Cookie для всех запросов (можно повторять)', collect)
+    .option('--header <name:value>', 'Дополнительный HTTP заголовок (можно повторять)', collect)
+    .option('--login-script <file>', 'ES-модуль с функцией async ({ page, context, url }) для входа')
+    .action(async (url, options) => {
+        console.log(chalk.cyan('\n↔️  Breakpoint sweep\n'));
+
+        const spinner = ora('Инициализация...').start();
+        const toNumber = value => (value === undefined ? undefined : Number(value));
+
+        try {
+            const agent = new VisualQAAgent({ reportsPath: options.output });
+            await agent.init();
+            spinner.succeed('Агент инициализирован');
+
+            spinner.start('Проход по ширинам...');
+            const results = await agent.sweepPage(url, {
+                from: toNumber(options.from),
+                to: toNumber(options.to),
+                step: toNumber(options.step),
+                height: toNumber(options.height),
+                browserType: options.browser,
+                refine: options.refine,
+                auth: buildAuthOptions(options)
+            });
+            spinner.succeed(`Проверено ширин: ${results.summary.total}`);
+
+            const reporter = new HTMLReporter({ outputDir: options.output });
+            const reportPath = await reporter.generate(results, { title: 'Visual QA Breakpoint Sweep' });
+
+            if (results.issues.length === 0) {
+                console.log(chalk.green('\n✓ Проблем на всём диапазоне не найдено'));
+            } else {
+                console.log('\n' + chalk.bold('📊 Проблемы по диапазонам ширин:'));
+                for (const issue of results.issues) {
+                    const color = issue.severity === 'critical' ? chalk.red : chalk.yellow;
+                    console.log(color(`   ✗ ${issue.title}`));
+                }
+            }
+
+            console.log(chalk.gray(`\n💡 Отчёт с filmstrip: ${reportPath}\n`));
+
+            process.exit(results.summary.failed > 0 ? 1 : 0);
+
+        } catch (error) {
+            spinner.fail(`Ошибка: ${error.message}`);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Команда: crawl - проверка всего сайта
+ */
+program
+    .command('crawl <url>')
+    .description('Найти страницы сайта (sitemap.xml и ссылки) и проверить каждую')
+    .option('-p, --profile <name>', 'Профиль проверки (quick/standard/comprehensive/mobile_first)', 'quick')
+    .option('--depth <n>', 'Глубина обхода ссылок (0 - только стартовая страница или sitemap)', nonNegativeInt, 2)
+    .option('--max-pages <n>', 'Максимум проверяемых страниц', nonNegativeInt, 20)
+    .option('--include <pattern>', 'Проверять только страницы по шаблону, например /blog/* (можно повторять)', collect)
+    .option('--exclude <pattern>', 'Пропускать страницы по шаблону (можно повторять)', collect)
+    .option('--sitemap', 'Добавить страницы из <origin>/sitemap.xml', false)
+    .option('--page-concurrency <n>', 'Сколько страниц проверять одновременно', nonNegativeInt, 2)
+    .option('--concurrency <n>', 'Сколько контекстов браузера открывать одновременно', '3')
+    .option('-o, --output <dir>', 'Директория для отчёта', './reports')
+    .option('--storage-state <file>', 'Файл storageState Playwright (cookies + localStorage)')
+    .option('--cookie <name=value>', 'Cookie для всех запросов (можно повторять)', collect)
+    .option('--header <name:value>', 'Дополнительный HTTP заголовок (можно повторять)', collect)
+    .option('--login-script <file>', 'ES-модуль с функцией async ({ page, context, url }) для входа')
+    .option('--states <file>', 'JSON-файл с состояниями страницы [{ name, steps }] - для каждой страницы')
+    .option('--ignore <selector>', 'CSS-селектор области, исключаемой из сравнения (можно повторять)', collect)
+    .option('--ignore-region <x,y,w,h>', 'Прямоугольная область в CSS-пикселях, исключаемая из сравнения (можно повторять)', collect)
+    .option('--capture <mode>', 'Режим захвата: full (вся страница), viewport (первый экран), element', 'full')
+    .option('--selector <css>', 'Селектор компонента для --capture element')
+    .option('--a11y [modes]', 'Accessibility-режимы через запятую: reduced_motion, forced_colors, high_contrast (без значения - все из devices.json)')
+    .action(async (url, options) => {
+        console.log(chalk.cyan('\n🕸️  Проверка сайта\n'));
+        console.log(chalk.gray(`Старт: ${url}`));
+        console.log(chalk.gray(`Профиль: ${options.profile}\n`));
+
+        const spinner = ora('Инициализация...').start();
+
+        try {
+            const agent = new VisualQAAgent({
+                reportsPath: options.output,
+                concurrency: options.concurrency
+            });
+            await agent.init();
+            spinner.succeed('Агент инициализирован');
+
+            // Обход и проверки печатают прогресс по страницам
+            spinner.stop();
+            const results = await agent.crawlSite(url, {
+                profile: options.profile,
+                maxDepth: options.depth,
+                maxPages: options.maxPages,
+                include: options.include,
+                exclude: options.exclude,
+                sitemap: options.sitemap,
+                pageConcurrency: options.pageConcurrency,
+                auth: buildAuthOptions(options),
+                states: options.states ? await fs.readJSON(options.states) : undefined,
+                ignore: buildIgnoreOptions(options),
+                captureMode: options.capture,
+                selector: options.selector,
+                accessibilityModes: buildAccessibilityModes(options)
+            });
+
+            const reporter = new HTMLReporter({ outputDir: options.output });
+            const reportPath = await reporter.generate(results, { title: 'Visual QA Site Report' });
+
+            const { summary } = results;
+            console.log('\n' + chalk.bold('📊 Страницы:'));
+            for (const page of results.pages) {
+                const color = { passed: chalk.green, warning: chalk.yellow }[page.status] || chalk.red;
+                const details = page.error || `${page.issues_count} ${pluralize(page.issues_count, 'проблема', 'проблемы', 'проблем')}`;
+                console.log(color(`   ${page.status === 'passed' ? '✓' : '✗'} ${page.url}`) + chalk.gray(` - ${details}`));
+            }
+
+            console.log('\n' + chalk.bold('📋 Сводка:'));
+            console.log(`   Страниц: ${summary.pages} (с ошибками: ${summary.pages_failed})`);
+            console.log(`   Проверок: ${summary.total}, пройдено: ${summary.passed}, ошибок: ${summary.failed}, предупреждений: ${summary.warnings}`);
+            console.log(`   Проблем на сайте: ${results.issues.length}`);
+            if (summary.blocks_release) {
+                console.log(chalk.red('   🛑 Блокирует релиз'));
+            }
+
+            console.log(chalk.gray(`\n💡 Отчёт: ${reportPath}\n`));
+
+            process.exit(summary.failed > 0 ? 1 : 0);
+
+        } catch (error) {
+            spinner.fail(`Ошибка: ${error.message}`);
+            process.exit(1);
+        }
+    });
+
 /**
  * Команда: compare - сравнение директорий
  */
@@ -175,13 +498,18 @@ program
     .requiredOption('-b, --baseline <dir>', 'Директория baseline')
     .requiredOption('-c, --current <dir>', 'Директория текущих скриншотов')
     .option('-o, --output <dir>', 'Директория для diff', './reports/diff')
+    .option('--size-strategy <name>', 'Снимки разного размера: align (совместить строки), pad, crop, fail (по умолчанию из quality-standards.json)')
     .action(async (options) => {
         console.log(chalk.cyan('\n🔄 Сравнение скриншотов\n'));
 
+        // Пороги и переопределения берутся из quality-standards.json
+        const agent = new VisualQAAgent();
+        await agent.init();
+
         const spinner = ora('Сравнение...').start();
 
         try {
-            const comparator = new PixelComparator();
+            const comparator = agent.createComparator({ sizeStrategy: options.sizeStrategy });
             const results = await comparator.compareDirectories(
                 options.baseline,
                 options.current,
@@ -197,6 +525,15 @@ program
             console.log(chalk.gray(`   ➖ Отсутствует: ${results.summary.missing}`));
 
             if (results.summary.different > 0) {
+                for (const comparison of results.comparisons.filter(c => c.status === 'different')) {
+                    const ssim = comparison.ssim !== undefined ? `, SSIM ${comparison.ssim} (худший тайл ${comparison.ssimMin})` : '';
+                    console.log(chalk.red(`\n   ✗ ${comparison.file}: ${comparison.diffPercent}%${ssim} → ${comparison.verdict}`));
+                    const { metric, pixel_diff_percent: percent, ssim_acceptable: ssimAcceptable, sources } = comparison.thresholds;
+                    console.log(chalk.gray(`     Пороги: ${metric === 'ssim' ? `SSIM >= ${ssimAcceptable}` : `< ${percent}%`} (${sources.join(' → ')})`));
+                    (comparison.regions || []).slice(0, 3).forEach(region => {
+                        console.log(chalk.gray(`     - ${region.description}`));
+                    });
+                }
                 console.log(chalk.yellow(`\n⚠ Найдены различия! Проверьте: ${options.output}\n`));
             }
 
@@ -212,6 +549,61 @@ program
         }
     });
 
+/**
+ * Команда: approve - одобрение текущих скриншотов как baseline
+ */
+program
+    .command('approve')
+    .description('Принять текущие скриншоты последней проверки как новые baseline')
+    .option('-r, --results <file>', 'results.json проверки', './reports/latest/results.json')
+    .option('-d, --device <id>', 'ID устройства (можно повторять)', collect)
+    .option('-b, --browser <name>', 'Браузер (можно повторять)', collect)
+    .option('--failed', 'Все проверки, не прошедшие сравнение с baseline', false)
+    .option('--all', 'Все проверки со скриншотами', false)
+    .option('--by <name>', 'Кто одобряет (по умолчанию пользователь ОС)')
+    .option('-m, --comment <text>', 'Комментарий к одобрению')
+    .option('--baselines <dir>', 'Директория baseline', './baselines')
+    .action(async (options) => {
+        console.log(chalk.cyan('\n✅ Одобрение baseline\n'));
+
+        try {
+            if (!await fs.pathExists(options.results)) {
+                throw new Error(`Результаты не найдены: ${options.results}. Сначала выполните visual-qa check`);
+            }
+
+            const results = await fs.readJSON(options.results);
+            const agent = new VisualQAAgent({ baselinesPath: options.baselines });
+            await agent.init();
+
+            const { baselinePaths, approved, skipped } = await agent.approveBaselines(results, {
+                devices: options.device || [],
+                browsers: options.browser || [],
+                failedOnly: options.failed,
+                all: options.all,
+                approvedBy: options.by,
+                comment: options.comment
+            });
+
+            for (const item of approved) {
+                console.log(chalk.green(`   ✓ ${item.page ? `${item.page} → ` : ''}${item.file}`) + chalk.gray(` (${item.approved_by})`));
+            }
+            for (const item of skipped) {
+                console.log(chalk.yellow(`   ⚠ ${item.page ? `${item.page}: ` : ''}${item.device} (${item.browser}): ${item.reason}`));
+            }
+
+            if (approved.length === 0) {
+                console.log(chalk.yellow('\nНет проверок, подходящих под условия\n'));
+                return;
+            }
+
+            console.log(chalk.gray(`\nBaseline обновлён: ${baselinePaths.join(', ')} (${approved.length})\n`));
+
+        } catch (error) {
+            console.error(chalk.red(`Ошибка: ${error.message}`));
+            process.exit(1);
+        }
+    });
+
 /**
  * Команда: analyze - AI-анализ скриншота
  */
@@ -219,18 +611,31 @@ program
     .command('analyze <image>')
     .description('AI-анализ скриншота на визуальные проблемы')
     .option('--accessibility', 'Проверка accessibility', false)
+    .option('--ai-provider <name>', 'AI-провайдер: anthropic, openai (OpenAI-совместимый API), mock')
+    .option('--ai-model <name>', 'Модель AI-провайдера')
+    .option('--no-cache', 'Не использовать кэш ответов AI')
+    .option('--cache-ttl <hours>', 'Время жизни записей кэша AI в часах (0 - бессрочно)')
+    .option('--ai-prices <file>', 'JSON с ценами моделей, USD за 1M токенов')
     .action(async (imagePath, options) => {
         console.log(chalk.cyan('\n🤖 AI-анализ скриншота\n'));
 
         const spinner = ora('Анализ...').start();
 
         try {
-            const analyzer = new AIVisionAnalyzer();
+            const analyzer = new AIVisionAnalyzer({
+                provider: options.aiProvider,
+                model: options.aiModel,
+                cache: options.cache,
+                cacheTtlHours: options.cacheTtl,
+                prices: options.aiPrices
+            });
 
             if (!analyzer.enabled) {
-                spinner.fail('ANTHROPIC_API_KEY не установлен');
-                console.log(chalk.yellow('\nУстановите переменную окружения:\n'));
-                console.log(chalk.gray('  export ANTHROPIC_API_KEY=your-key\n'));
+                spinner.fail(analyzer.disabledReason);
+                console.log(chalk.yellow('\nУстановите переменные окружения:\n'));
+                console.log(chalk.gray('  export ANTHROPIC_API_KEY=your-key'));
+                console.log(chalk.gray('  # или OpenAI-совместимый сервер (например, локальная модель)'));
+                console.log(chalk.gray('  export VISUAL_QA_AI_PROVIDER=openai VISUAL_QA_AI_BASE_URL=http://localhost:11434/v1 VISUAL_QA_AI_MODEL=llava\n'));
                 process.exit(1);
             }
 
@@ -241,10 +646,12 @@ program
                 results = await analyzer.analyzeScreenshot(imagePath);
             }
 
-            spinner.succeed('Анализ завершён');
+            const stats = analyzer.getStats();
+            spinner.succeed(`Анализ завершён${formatCacheStats(stats.cache)}`);
 
             console.log('\n' + chalk.bold('📋 Результаты анализа:\n'));
             console.log(JSON.stringify(results, null, 2));
+            console.log(chalk.gray(`\n💰 ${formatUsage(stats.usage)}`));
 
         } catch (error) {
             spinner.fail(`Ошибка: ${error.message}`);
@@ -252,6 +659,37 @@ program
         }
     });
 
+/**
+ * Команда: cache - обслуживание кэша ответов AI
+ */
+program
+    .command('cache')
+    .description('Кэш ответов AI: число записей, удаление просроченных или всех')
+    .option('--dir <dir>', 'Директория кэша (по умолчанию VISUAL_QA_AI_CACHE_DIR или .visual-qa-cache/ai)')
+    .option('--prune', 'Удалить просроченные записи', false)
+    .option('--clear', 'Удалить все записи', false)
+    .action(async (options) => {
+        const cache = new AICache({ dir: options.dir });
+
+        if (options.clear) {
+            const removed = await cache.clear();
+            console.log(chalk.green(`\n✓ Кэш AI очищен: удалено записей ${removed}\n`));
+            return;
+        }
+
+        if (options.prune) {
+            const { removed, kept } = await cache.prune();
+            console.log(chalk.green(`\n✓ Удалено просроченных записей: ${removed}, осталось: ${kept}\n`));
+            return;
+        }
+
+        const entries = await cache.listEntries();
+        console.log(chalk.cyan('\n🗄️  Кэш ответов AI\n'));
+        console.log(`   Директория: ${cache.dir}`);
+        console.log(`   Записей: ${entries.length}`);
+        console.log(`   TTL: ${cache.ttlHours > 0 ? `${cache.ttlHours} ч` : 'бессрочно'}\n`);
+    });
+
 /**
  * Команда: devices - список доступных устройств
  */
@@ -267,7 +705,8 @@ program
         for (const [name, profile] of Object.entries(agent.devices.test_profiles)) {
             console.log(chalk.bold(`  ${name}`) + chalk.gray(` - ${profile.description}`));
             console.log(chalk.gray(`    Браузеры: ${profile.browsers.join(', ')}`));
-            console.log(chalk.gray(`    Устройств: ${profile.devices === 'all' ? 'все' : profile.devices.length}\n`));
+            console.log(chalk.gray(`    Устройств: ${profile.devices === 'all' ? 'все' : profile.devices.length}`));
+            console.log(chalk.gray(`    Ориентации: ${profile.orientations ? (Array.isArray(profile.orientations) ? profile.orientations.join(', ') : 'portrait + landscape') : 'только основная'}\n`));
         }
 
         console.log(chalk.cyan('📋 Все устройства:\n'));
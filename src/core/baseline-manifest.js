@@ -0,0 +1,178 @@
+/**
+ * BaselineManifest - manifest.json в папке baseline страницы
+ *
+ * Единственный источник правды о том, какой файл является baseline
+ * для комбинации устройство × браузер × режим × состояние × область захвата.
+ * Сравнение ищет baseline через manifest, а не угадывает имя файла:
+ *
+ *   {
+ *     "version": 1,
+ *     "url": "https://example.com",
+ *     "updated_at": "2026-01-01T00:00:00.000Z",
+ *     "baselines": [
+ *       { "file": "iphone_14_pro_chromium.png", "device_id": "iphone_14_pro", "browser": "chromium",
+ *         "color_scheme": "light", "emulation": "light", "viewport": { "width": 393, "height": 852 },
+ *         "url": "https://example.com", "state": null, "capture_mode": "full", "selector": null,
+ *         "hash": "sha256:...", "created_at": "..." }
+ *     ],
+ *     "approvals": [
+ *       { "file": "iphone_14_pro_chromium.png", "approved_by": "anna", "approved_at": "...", "comment": "Новый header" }
+ *     ]
+ *   }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+export const MANIFEST_FILE = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Хэш содержимого файла (для контроля подмены baseline)
+ */
+export async function hashFile(filePath) {
+    const buffer = await fs.readFile(filePath);
+    return `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+}
+
+/**
+ * Ключ захвата: по нему проверка находит свой baseline
+ * @param {Object} entry - { device_id, browser, emulation, state, capture_mode, selector }
+ */
+export function captureKey(entry) {
+    return [
+        entry.device_id,
+        entry.browser,
+        entry.emulation || 'light',
+        entry.state || '',
+        entry.capture_mode || 'full',
+        entry.capture_mode === 'element' ? entry.selector || '' : ''
+    ].join('|');
+}
+
+/**
+ * Запись manifest по метаданным захвата (metadata из captureScreenshot / saveBaseline)
+ */
+export function entryFromMetadata(file, metadata, hash) {
+    return {
+        file,
+        device_id: metadata.device,
+        browser: metadata.browser,
+        color_scheme: metadata.colorScheme || 'light',
+        emulation: metadata.emulation || (metadata.colorScheme === 'dark' ? 'dark' : 'light'),
+        viewport: metadata.viewport || null,
+        url: metadata.url || null,
+        state: metadata.state || null,
+        capture_mode: metadata.captureMode || 'full',
+        selector: metadata.selector || null,
+        hash,
+        created_at: metadata.timestamp || new Date().toISOString()
+    };
+}
+
+/**
+ * Manifest для папок, созданных до появления manifest.json:
+ * записи собираются из json-метаданных рядом с каждым png
+ */
+async function buildLegacyManifest(baselineDir) {
+    const manifest = { version: MANIFEST_VERSION, url: null, updated_at: null, baselines: [], approvals: [] };
+    if (!await fs.pathExists(baselineDir)) return manifest;
+
+    const files = (await fs.readdir(baselineDir)).filter(f => f.toLowerCase().endsWith('.png'));
+    for (const file of files) {
+        const metaPath = path.join(baselineDir, file.replace(/\.png$/i, '.json'));
+        if (!await fs.pathExists(metaPath)) continue;
+
+        try {
+            const metadata = await fs.readJSON(metaPath);
+            if (!metadata.device || !metadata.browser) continue;
+            manifest.baselines.push(entryFromMetadata(file, metadata, await hashFile(path.join(baselineDir, file))));
+            manifest.url = manifest.url || metadata.url || null;
+        } catch (e) {
+            console.warn(`[BaselineManifest] ${metaPath}: ${e.message}`);
+        }
+    }
+    return manifest;
+}
+
+/**
+ * Есть ли в папке manifest.json
+ */
+export async function hasManifest(baselineDir) {
+    return fs.pathExists(path.join(baselineDir, MANIFEST_FILE));
+}
+
+/**
+ * Чтение manifest.json
+ * Для старых папок без manifest записи восстанавливаются из json-метаданных
+ * @param {string} baselineDir - папка baseline страницы
+ */
+export async function readManifest(baselineDir) {
+    const manifestPath = path.join(baselineDir, MANIFEST_FILE);
+    if (!await fs.pathExists(manifestPath)) {
+        return buildLegacyManifest(baselineDir);
+    }
+
+    const manifest = await fs.readJSON(manifestPath);
+    return {
+        ...manifest,
+        baselines: manifest.baselines || [],
+        approvals: manifest.approvals || []
+    };
+}
+
+/**
+ * Сохранение manifest.json
+ */
+export async function writeManifest(baselineDir, manifest) {
+    await fs.ensureDir(baselineDir);
+    await fs.writeJSON(path.join(baselineDir, MANIFEST_FILE), manifest, { spaces: 2 });
+}
+
+/**
+ * Добавление или замена записи baseline (по ключу захвата)
+ */
+export function upsertBaseline(manifest, entry) {
+    const key = captureKey(entry);
+    manifest.baselines = manifest.baselines.filter(existing => captureKey(existing) !== key);
+    manifest.baselines.push(entry);
+    manifest.updated_at = new Date().toISOString();
+    return manifest;
+}
+
+/**
+ * Поиск baseline для проверки
+ * @param {Object} manifest - результат readManifest()
+ * @param {Object} query - { device_id, browser, emulation, state, capture_mode, selector }
+ * @returns {Object|null} запись manifest
+ */
+export function findBaseline(manifest, query) {
+    const key = captureKey(query);
+    return manifest.baselines.find(entry => captureKey(entry) === key) || null;
+}
+
+/**
+ * Добавление записи об одобрении в журнал
+ * @param {Object} manifest - результат readManifest()
+ * @param {Object} approval - { file, device_id, browser, approved_by, approved_at, ... }
+ */
+export function recordApproval(manifest, approval) {
+    manifest.approvals.push(approval);
+    manifest.updated_at = approval.approved_at;
+    return manifest;
+}
+
+export default {
+    MANIFEST_FILE,
+    MANIFEST_VERSION,
+    hashFile,
+    captureKey,
+    entryFromMetadata,
+    hasManifest,
+    readManifest,
+    writeManifest,
+    upsertBaseline,
+    findBaseline,
+    recordApproval
+};
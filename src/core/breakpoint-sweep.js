@@ -0,0 +1,117 @@
+/**
+ * BreakpointSweep - Проход страницы по непрерывному диапазону ширин
+ *
+ * Профили устройств проверяют несколько фиксированных ширин, а ошибки вёрстки
+ * часто живут между ними (900px между tablet и laptop). Sweep меняет ширину
+ * одной страницы с шагом `step`, добавляя брейкпоинты из responsiveness.breakpoints
+ * и ширину на 1px меньше каждого из них - там переключаются media queries.
+ *
+ *   widths: 320, 340, ..., 767, 768, ..., 1023, 1024, ...
+ *   ranges: [{ from: 768, to: 912 }] - где проблема проявляется
+ */
+
+import { PNG } from 'pngjs';
+import { renderRegion } from '../utils/image.js';
+
+/**
+ * Ширины прохода: шаги диапазона + брейкпоинты и ширины перед ними
+ * @param {Object} options
+ * @param {number} options.from - начальная ширина, px
+ * @param {number} options.to - конечная ширина, px
+ * @param {number} options.step - шаг, px
+ * @param {Object} breakpoints - responsiveness.breakpoints { name: width }
+ * @returns {number[]} отсортированные уникальные ширины
+ */
+export function sweepWidths({ from, to, step }, breakpoints = {}) {
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from <= 0 || to < from) {
+        throw new Error(`Неверный диапазон ширин ${from}–${to}px`);
+    }
+    if (!Number.isFinite(step) || step <= 0) {
+        throw new Error(`Неверный шаг ${step}px`);
+    }
+
+    const widths = new Set();
+    for (let width = from; width < to; width += step) {
+        widths.add(width);
+    }
+    widths.add(to);
+
+    // Брейкпоинты - якоря: ширина брейкпоинта и на 1px меньше
+    for (const value of Object.values(breakpoints)) {
+        for (const width of [value - 1, value]) {
+            if (width >= from && width <= to) widths.add(width);
+        }
+    }
+
+    return Array.from(widths).sort((a, b) => a - b);
+}
+
+/**
+ * Имя брейкпоинта, в диапазоне которого лежит ширина (mobile_l: 425 ≤ w < 768)
+ */
+export function breakpointFor(width, breakpoints = {}) {
+    let match = null;
+    for (const [name, value] of Object.entries(breakpoints).sort((a, b) => a[1] - b[1])) {
+        if (width >= value) match = name;
+    }
+    return match;
+}
+
+/**
+ * Объединение ширин, на которых есть проблема, в непрерывные диапазоны
+ * Диапазон прерывается, если на соседней проверенной ширине проблемы нет
+ * @param {number[]} widths - все проверенные ширины (по возрастанию)
+ * @param {Set<number>} present - ширины, на которых проблема найдена
+ * @returns {Array<{from: number, to: number, widths: number[]}>}
+ */
+export function groupRanges(widths, present) {
+    const ranges = [];
+    let current = null;
+
+    for (const width of widths) {
+        if (present.has(width)) {
+            if (!current) {
+                current = { from: width, to: width, widths: [] };
+                ranges.push(current);
+            }
+            current.to = width;
+            current.widths.push(width);
+        } else {
+            current = null;
+        }
+    }
+
+    return ranges;
+}
+
+/**
+ * Равномерная выборка не больше limit элементов (первый и последний всегда входят)
+ */
+export function sample(items, limit) {
+    if (items.length <= limit) return items;
+    const result = [];
+    for (let i = 0; i < limit; i++) {
+        result.push(items[Math.round(i * (items.length - 1) / (limit - 1))]);
+    }
+    return [...new Set(result)];
+}
+
+/**
+ * Уменьшенная копия PNG для filmstrip (усреднение блоков пикселей)
+ * @param {Buffer} buffer - PNG
+ * @param {number} targetWidth - ширина миниатюры, px
+ * @returns {Buffer} PNG
+ */
+export function thumbnail(buffer, targetWidth) {
+    const source = PNG.sync.read(buffer);
+    const scale = Math.min(targetWidth / source.width, 1);
+    return renderRegion(source, { x: 0, y: 0, width: source.width, height: source.height }, scale);
+}
+
+export default {
+    sweepWidths,
+    breakpointFor,
+    groupRanges,
+    sample,
+    thumbnail
+};
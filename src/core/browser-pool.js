@@ -0,0 +1,161 @@
+/**
+ * BrowserPool - Пул браузеров для проверок
+ *
+ * Один браузер на движок (chromium/firefox/webkit) запускается лениво и
+ * переиспользуется всеми проверками. Для каждого устройства создаётся
+ * свой контекст, одновременно открыто не больше `concurrency` контекстов.
+ *
+ *   const release = pool.hold();
+ *   try {
+ *       const { context, close } = await pool.openContext('chromium', { viewport });
+ *       ...
+ *       await close();
+ *   } finally {
+ *       await release(); // последний держатель закрывает браузеры
+ *   }
+ */
+
+export const DEFAULT_CONCURRENCY = 3;
+
+export class BrowserPool {
+    /**
+     * @param {Object} launchers - { chromium, firefox, webkit } из Playwright
+     * @param {Object} options
+     * @param {number} options.concurrency - максимум одновременно открытых контекстов
+     * @param {Object} options.launchOptions - опции browserType.launch()
+     */
+    constructor(launchers, options = {}) {
+        this.launchers = launchers;
+        this.concurrency = BrowserPool.normalizeConcurrency(options.concurrency);
+        this.launchOptions = options.launchOptions || { headless: true };
+
+        this.browsers = new Map(); // browserType → Promise<Browser>
+        this.holders = 0;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    /**
+     * Приведение concurrency к целому числу >= 1
+     */
+    static normalizeConcurrency(value) {
+        const parsed = parseInt(value, 10);
+        return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_CONCURRENCY;
+    }
+
+    /**
+     * Удержание браузеров открытыми на время серии проверок
+     * @returns {Function} async release() - закрывает браузеры, если держателей не осталось
+     */
+    hold() {
+        this.holders++;
+        let released = false;
+
+        return async () => {
+            if (released) return;
+            released = true;
+            this.holders--;
+            if (this.holders === 0) {
+                await this.close();
+            }
+        };
+    }
+
+    /**
+     * Браузер нужного движка (запускается при первом обращении)
+     */
+    async getBrowser(browserType) {
+        const launcher = this.launchers[browserType];
+        if (!launcher) {
+            throw new Error(`Неизвестный браузер: ${browserType}`);
+        }
+
+        if (!this.browsers.has(browserType)) {
+            const launching = launcher.launch(this.launchOptions);
+            this.browsers.set(browserType, launching);
+            // Неудачный запуск не должен оставаться в пуле
+            const forget = () => {
+                if (this.browsers.get(browserType) === launching) {
+                    this.browsers.delete(browserType);
+                }
+            };
+            launching.catch(forget);
+
+            const browser = await launching;
+            browser.on('disconnected', forget);
+            return browser;
+        }
+
+        return this.browsers.get(browserType);
+    }
+
+    /**
+     * Открытие нового контекста с ожиданием свободного слота
+     * @returns {Promise<{context: BrowserContext, close: Function}>}
+     */
+    async openContext(browserType, contextOptions = {}) {
+        const release = this.hold();
+        await this.acquireSlot();
+
+        let context;
+        try {
+            const browser = await this.getBrowser(browserType);
+            context = await browser.newContext(contextOptions);
+        } catch (error) {
+            this.releaseSlot();
+            await release();
+            throw error;
+        }
+
+        let closed = false;
+        const close = async () => {
+            if (closed) return;
+            closed = true;
+            try {
+                await context.close();
+            } catch (e) {
+                // Контекст уже закрыт вместе с браузером
+            }
+            this.releaseSlot();
+            await release();
+        };
+
+        return { context, close };
+    }
+
+    /**
+     * Ожидание свободного слота (semaphore pattern)
+     */
+    async acquireSlot() {
+        while (this.active >= this.concurrency) {
+            await new Promise(resolve => this.queue.push(resolve));
+        }
+        this.active++;
+    }
+
+    releaseSlot() {
+        this.active--;
+        if (this.queue.length > 0) {
+            this.queue.shift()();
+        }
+    }
+
+    /**
+     * Закрытие всех запущенных браузеров
+     */
+    async close() {
+        const launching = Array.from(this.browsers.values());
+        this.browsers.clear();
+
+        await Promise.all(launching.map(async (promise) => {
+            try {
+                const browser = await promise;
+                await browser.close();
+            } catch (e) {
+                // Браузер не запустился или уже закрыт
+            }
+        }));
+    }
+}
+
+export default BrowserPool;
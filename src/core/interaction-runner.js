@@ -0,0 +1,166 @@
+/**
+ * InteractionRunner - Декларативные шаги взаимодействия перед скриншотом
+ *
+ * Позволяет привести страницу в нужное состояние (открыть меню, модалку,
+ * заполнить форму) до захвата скриншота и детекции проблем:
+ *
+ *   [
+ *     { action: 'click', selector: '.burger' },
+ *     { action: 'waitForSelector', selector: '.menu', state: 'visible' }
+ *   ]
+ */
+
+import { validateUrl } from '../utils/helpers.js';
+
+const DEFAULT_STEP_TIMEOUT = 10000;
+
+/**
+ * Поддерживаемые действия и их обязательные поля
+ */
+export const STEP_ACTIONS = {
+    goto: ['url'],
+    click: ['selector'],
+    fill: ['selector', 'value'],
+    hover: ['selector'],
+    press: ['key'],
+    waitForSelector: ['selector'],
+    scrollTo: [],
+    evaluate: ['script'],
+    wait: ['ms']
+};
+
+/**
+ * Проверка списка шагов до запуска браузера
+ *
+ * @param {Array} steps - шаги взаимодействия
+ * @throws {Error} если шаг неизвестен или в нём не хватает полей
+ */
+export function validateSteps(steps) {
+    if (!Array.isArray(steps)) {
+        throw new Error('Шаги взаимодействия должны быть массивом');
+    }
+
+    steps.forEach((step, index) => {
+        const required = STEP_ACTIONS[step?.action];
+        if (!required) {
+            throw new Error(`Шаг ${index + 1}: неизвестное действие "${step?.action}". Доступны: ${Object.keys(STEP_ACTIONS).join(', ')}`);
+        }
+        const missing = required.filter(field => step[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Шаг ${index + 1} (${step.action}): не указаны поля ${missing.join(', ')}`);
+        }
+    });
+}
+
+/**
+ * Проверка списка именованных состояний страницы
+ *
+ * @param {Array} states - [{ name, steps }]
+ * @throws {Error} если имена не уникальны или шаги невалидны
+ */
+export function validateStates(states) {
+    if (!Array.isArray(states)) {
+        throw new Error('Состояния страницы должны быть массивом');
+    }
+
+    const names = new Set();
+    for (const state of states) {
+        if (!state?.name || typeof state.name !== 'string') {
+            throw new Error('У каждого состояния должно быть имя (name)');
+        }
+        if (names.has(state.name)) {
+            throw new Error(`Состояние "${state.name}" указано дважды`);
+        }
+        names.add(state.name);
+        validateSteps(state.steps || []);
+    }
+}
+
+/**
+ * Безопасное имя состояния для имён файлов и ID проверок
+ */
+export function stateToSlug(name) {
+    return name.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 50);
+}
+
+/**
+ * Выполнение одного шага
+ */
+async function runStep(page, step) {
+    const timeout = step.timeout || DEFAULT_STEP_TIMEOUT;
+
+    switch (step.action) {
+        case 'goto': {
+            const target = new URL(step.url, page.url()).href;
+            validateUrl(target);
+            await page.goto(target, { waitUntil: step.waitUntil || 'networkidle', timeout: step.timeout || 30000 });
+            break;
+        }
+        case 'click':
+            await page.click(step.selector, { timeout });
+            break;
+        case 'fill':
+            await page.fill(step.selector, String(step.value), { timeout });
+            break;
+        case 'hover':
+            await page.hover(step.selector, { timeout });
+            break;
+        case 'press':
+            if (step.selector) {
+                await page.press(step.selector, step.key, { timeout });
+            } else {
+                await page.keyboard.press(step.key);
+            }
+            break;
+        case 'waitForSelector':
+            await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+            break;
+        case 'scrollTo':
+            if (step.selector) {
+                await page.locator(step.selector).first().scrollIntoViewIfNeeded({ timeout });
+            } else {
+                await page.evaluate(({ x, y }) => window.scrollTo(x, y), { x: step.x || 0, y: step.y || 0 });
+            }
+            break;
+        case 'evaluate':
+            await page.evaluate(step.script);
+            break;
+        case 'wait':
+            await page.waitForTimeout(step.ms);
+            break;
+        default:
+            throw new Error(`Неизвестное действие: ${step.action}`);
+    }
+}
+
+/**
+ * Последовательное выполнение шагов на открытой странице
+ *
+ * @param {Page} page - страница Playwright
+ * @param {Array} steps - шаги взаимодействия
+ * @returns {Promise<void>}
+ * @throws {Error} с номером шага, если шаг не выполнился
+ */
+export async function runSteps(page, steps = []) {
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        try {
+            await runStep(page, step);
+        } catch (error) {
+            throw new Error(`Шаг ${i + 1} (${step.action}${step.selector ? ` ${step.selector}` : ''}) не выполнен: ${error.message}`);
+        }
+    }
+
+    if (steps.length > 0) {
+        // Даём завершиться анимациям после последнего действия
+        await page.waitForTimeout(300);
+    }
+}
+
+export default {
+    STEP_ACTIONS,
+    validateSteps,
+    validateStates,
+    stateToSlug,
+    runSteps
+};
@@ -5,6 +5,8 @@
  * с конкретными указаниями по исправлению для другого агента.
  */
 
+import { evaluateWithSelector } from '../utils/helpers.js';
+
 export class IssueDetector {
     constructor(standards) {
         this.standards = standards;
@@ -46,6 +48,29 @@ export class IssueDetector {
         const overlapIssues = await this.checkOverlap(page, device);
         issues.push(...overlapIssues);
 
+        // 8. Проверка выравнивания соседних элементов
+        const alignmentIssues = await this.checkAlignment(page, device);
+        issues.push(...alignmentIssues);
+
+        // 9. Проверка минимальных отступов
+        const spacingIssues = await this.checkSpacing(page, device);
+        issues.push(...spacingIssues);
+
+        // 10. Accessibility-режимы эмуляции
+        if (metadata.emulation === 'forced_colors') {
+            const forcedColorsIssues = await this.checkForcedColors(page, device);
+            issues.push(...forcedColorsIssues);
+        }
+        if (metadata.emulation === 'reduced_motion') {
+            const motionIssues = await this.checkReducedMotion(page, device);
+            issues.push(...motionIssues);
+        }
+
+        // 11. Core Web Vitals (измерены при захвате скриншота)
+        if (metadata.webVitals) {
+            issues.push(...this.checkWebVitals(metadata.webVitals, device));
+        }
+
         // Сортировка по приоритету
         return this.prioritizeIssues(issues);
     }
@@ -414,10 +439,679 @@ export class IssueDetector {
 
     /**
      * Проверка наложения элементов
+     * Ищет видимые текстовые и интерактивные элементы, чьи боксы пересекаются.
+     * Пары предок/потомок и намеренные оверлеи (position: fixed/sticky) пропускаются.
      */
     async checkOverlap(page, device) {
-        // Упрощённая проверка - можно расширить
-        return [];
+        const issues = [];
+        const config = this.standards?.layout_checks?.overlap || {};
+        if (config.enabled === false) return issues;
+
+        const severity = config.severity || 'critical';
+        const minArea = config.min_area_px || 16;
+
+        try {
+            const overlaps = await evaluateWithSelector(page, (getSelector, minArea) => {
+                const results = [];
+
+                function isVisible(el, style) {
+                    const rect = el.getBoundingClientRect();
+                    return style.display !== 'none' &&
+                           style.visibility !== 'hidden' &&
+                           style.opacity !== '0' &&
+                           rect.width > 0 &&
+                           rect.height > 0;
+                }
+
+                // Элемент внутри fixed/sticky контейнера - намеренный оверлей
+                // (результат кэшируется: предки общие у многих кандидатов)
+                const overlayCache = new Map();
+                function isInOverlay(el) {
+                    if (!el || el === document.body) return false;
+                    if (overlayCache.has(el)) return overlayCache.get(el);
+
+                    const position = window.getComputedStyle(el).position;
+                    const result = position === 'fixed' || position === 'sticky' || isInOverlay(el.parentElement);
+                    overlayCache.set(el, result);
+                    return result;
+                }
+
+                // Наибольшее пересечение прямоугольников двух элементов
+                function largestIntersection(rectsA, rectsB) {
+                    let best = null;
+                    for (const a of rectsA) {
+                        for (const b of rectsB) {
+                            const width = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+                            const height = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+                            if (width <= 1 || height <= 1) continue;
+                            if (!best || width * height > best.width * best.height) {
+                                best = { x: Math.max(a.left, b.left), y: Math.max(a.top, b.top), width, height };
+                            }
+                        }
+                    }
+                    return best;
+                }
+
+                function hasOwnText(el) {
+                    return Array.from(el.childNodes).some(n =>
+                        n.nodeType === Node.TEXT_NODE && n.textContent.trim().length > 0
+                    );
+                }
+
+                const interactiveSelector = 'a, button, input, select, textarea, [role="button"], [role="link"]';
+                const candidates = [];
+
+                document.querySelectorAll('body *').forEach(el => {
+                    if (candidates.length >= 500) return;
+                    const isInteractive = el.matches(interactiveSelector);
+                    if (!isInteractive && !hasOwnText(el)) return;
+
+                    const style = window.getComputedStyle(el);
+                    if (!isVisible(el, style) || isInOverlay(el)) return;
+
+                    // Строчные боксы, а не общий bounding box: inline-элемент, перенесённый
+                    // на несколько строк, иначе "перекрывает" соседей по этим строкам
+                    const rects = Array.from(el.getClientRects())
+                        .filter(rect => rect.width > 0 && rect.height > 0)
+                        .map(rect => ({
+                            left: rect.left + window.scrollX,
+                            top: rect.top + window.scrollY,
+                            right: rect.right + window.scrollX,
+                            bottom: rect.bottom + window.scrollY
+                        }));
+                    if (rects.length === 0) return;
+
+                    candidates.push({ el, kind: isInteractive ? 'interactive' : 'text', rects });
+                });
+
+                for (let i = 0; i < candidates.length; i++) {
+                    const a = candidates[i];
+                    for (let j = i + 1; j < candidates.length; j++) {
+                        const b = candidates[j];
+                        if (a.el.contains(b.el) || b.el.contains(a.el)) continue;
+
+                        const intersection = largestIntersection(a.rects, b.rects);
+                        if (!intersection || intersection.width * intersection.height < minArea) continue;
+                        const { width, height } = intersection;
+
+                        results.push({
+                            tag: a.el.tagName.toLowerCase(),
+                            kind: a.kind,
+                            text: a.el.textContent?.trim().substring(0, 30) || '',
+                            selector: getSelector(a.el),
+                            overlapsWith: {
+                                tag: b.el.tagName.toLowerCase(),
+                                kind: b.kind,
+                                text: b.el.textContent?.trim().substring(0, 30) || '',
+                                selector: getSelector(b.el)
+                            },
+                            intersection: {
+                                x: Math.round(intersection.x),
+                                y: Math.round(intersection.y),
+                                width: Math.round(width),
+                                height: Math.round(height),
+                                area: Math.round(width * height)
+                            }
+                        });
+                    }
+                }
+
+                return results
+                    .sort((x, y) => y.intersection.area - x.intersection.area)
+                    .slice(0, 5);
+            }, minArea);
+
+            for (const el of overlaps) {
+                const other = el.overlapsWith;
+                issues.push({
+                    id: `overlap-${el.selector}-${other.selector}-${device.id}`,
+                    type: 'layout',
+                    severity,
+                    title: `Наложение элементов: ${el.selector} и ${other.selector}`,
+                    description: `${el.selector} перекрывает ${other.selector} на площади ${el.intersection.area}px² (${el.intersection.width}x${el.intersection.height}px в точке ${el.intersection.x},${el.intersection.y})`,
+                    device: device.name,
+                    viewport: device.viewport,
+                    element: el,
+                    fix: {
+                        action: 'css_change',
+                        target: el.selector,
+                        suggestion: `Разведите ${el.selector} и ${other.selector}: уберите отрицательные margin/абсолютное позиционирование или добавьте отступ не меньше ${el.intersection.height}px`,
+                        css: `${el.selector} {\n  position: relative;\n  margin-bottom: ${el.intersection.height}px;\n}`
+                    },
+                    wcag: null,
+                    blocks_release: severity === 'critical'
+                });
+            }
+        } catch (e) {
+            console.warn(`[IssueDetector] checkOverlap: ${e.message}`);
+        }
+        return issues;
+    }
+
+    /**
+     * Проверка выравнивания
+     * Ищет соседние элементы одного контейнера, которые почти выровнены:
+     * в колонке расходятся левые края, в строке - верхние, больше чем на tolerance_px.
+     */
+    async checkAlignment(page, device) {
+        const issues = [];
+        const config = this.standards?.layout_checks?.alignment || {};
+        if (config.enabled === false) return issues;
+
+        const tolerance = config.tolerance_px ?? 2;
+        const nearMiss = config.near_miss_px || 6;
+        const severity = config.severity || 'warning';
+
+        try {
+            const misaligned = await evaluateWithSelector(page, (getSelector, { tolerance, nearMiss }) => {
+                const results = [];
+
+                function isLaidOut(el) {
+                    const style = window.getComputedStyle(el);
+                    const rect = el.getBoundingClientRect();
+                    return style.display !== 'none' &&
+                           style.display !== 'inline' &&
+                           style.visibility !== 'hidden' &&
+                           !['absolute', 'fixed'].includes(style.position) &&
+                           rect.width > 0 &&
+                           rect.height > 0;
+                }
+
+                for (const parent of document.querySelectorAll('body, body *')) {
+                    const children = Array.from(parent.children).filter(isLaidOut);
+                    if (children.length < 2) continue;
+
+                    for (let i = 1; i < children.length; i++) {
+                        const prev = children[i - 1].getBoundingClientRect();
+                        const curr = children[i].getBoundingClientRect();
+
+                        // В строке сравниваем верх, в колонке - левый край
+                        const inRow = curr.left >= prev.right - 1;
+                        const inColumn = curr.top >= prev.bottom - 1;
+                        if (inRow === inColumn) continue;
+
+                        const offset = inRow ? curr.top - prev.top : curr.left - prev.left;
+                        const absOffset = Math.abs(offset);
+                        if (absOffset <= tolerance || absOffset > nearMiss) continue;
+
+                        results.push({
+                            tag: children[i].tagName.toLowerCase(),
+                            selector: getSelector(children[i]),
+                            reference: getSelector(children[i - 1]),
+                            container: getSelector(parent),
+                            axis: inRow ? 'row' : 'column',
+                            offset: Math.round(offset * 10) / 10
+                        });
+
+                        if (results.length >= 5) return results;
+                    }
+                }
+                return results;
+            }, { tolerance, nearMiss });
+
+            for (const el of misaligned) {
+                const edge = el.axis === 'row' ? 'top' : 'left';
+                const property = el.axis === 'row' ? 'margin-top' : 'margin-left';
+                issues.push({
+                    id: `alignment-${el.selector}-${device.id}`,
+                    type: 'layout',
+                    severity,
+                    title: `Элемент не выровнен: ${el.selector}`,
+                    description: `${el.selector} смещён на ${el.offset}px по ${edge === 'top' ? 'верхнему' : 'левому'} краю относительно ${el.reference} в ${el.container} (допуск ${tolerance}px)`,
+                    device: device.name,
+                    viewport: device.viewport,
+                    element: el,
+                    fix: {
+                        action: 'css_change',
+                        target: el.selector,
+                        suggestion: `Выровняйте ${el.selector} по ${el.reference}: уберите лишний ${property} или используйте align-items/justify-items у ${el.container}`,
+                        css: el.axis === 'row'
+                            ? `${el.container} {\n  align-items: flex-start;\n}`
+                            : `${el.selector} {\n  ${property}: 0;\n}`
+                    },
+                    wcag: null,
+                    blocks_release: severity === 'critical'
+                });
+            }
+        } catch (e) {
+            console.warn(`[IssueDetector] checkAlignment: ${e.message}`);
+        }
+        return issues;
+    }
+
+    /**
+     * Проверка минимальных отступов между соседними
+     * интерактивными элементами и текстовыми блоками
+     */
+    async checkSpacing(page, device) {
+        const issues = [];
+        const config = this.standards?.layout_checks?.spacing || {};
+        if (config.enabled === false) return issues;
+
+        const minSpacing = config.min_spacing_px ?? 8;
+        const severity = config.severity || 'warning';
+
+        try {
+            const tooClose = await evaluateWithSelector(page, (getSelector, minSpacing) => {
+                const results = [];
+                const interactiveSelector = 'a, button, input, select, textarea, [role="button"], [role="link"]';
+                const textBlockSelector = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, figcaption';
+
+                function hasOwnText(el) {
+                    return Array.from(el.childNodes).some(n =>
+                        n.nodeType === Node.TEXT_NODE && n.textContent.trim().length > 0
+                    );
+                }
+
+                function isBlock(el) {
+                    const style = window.getComputedStyle(el);
+                    const rect = el.getBoundingClientRect();
+                    if (style.display === 'none' || style.visibility === 'hidden') return false;
+                    if (rect.width === 0 || rect.height === 0) return false;
+                    if (el.matches(interactiveSelector)) {
+                        // Ссылки внутри текста отделены пробелами - это не блоки
+                        return !(el.parentElement && hasOwnText(el.parentElement));
+                    }
+                    return el.matches(textBlockSelector) && style.display !== 'inline';
+                }
+
+                for (const parent of document.querySelectorAll('body, body *')) {
+                    const children = Array.from(parent.children).filter(isBlock);
+
+                    for (let i = 1; i < children.length; i++) {
+                        const prev = children[i - 1].getBoundingClientRect();
+                        const curr = children[i].getBoundingClientRect();
+
+                        const verticalOverlap = Math.min(prev.bottom, curr.bottom) - Math.max(prev.top, curr.top);
+                        const horizontalOverlap = Math.min(prev.right, curr.right) - Math.max(prev.left, curr.left);
+
+                        let gap = null;
+                        if (verticalOverlap > 0 && horizontalOverlap <= 0) {
+                            gap = Math.max(curr.left - prev.right, prev.left - curr.right);
+                        } else if (horizontalOverlap > 0 && verticalOverlap <= 0) {
+                            gap = Math.max(curr.top - prev.bottom, prev.top - curr.bottom);
+                        }
+
+                        // Пересечения обрабатывает checkOverlap
+                        if (gap === null || gap < 0 || gap >= minSpacing) continue;
+
+                        results.push({
+                            tag: children[i].tagName.toLowerCase(),
+                            selector: getSelector(children[i]),
+                            neighbor: getSelector(children[i - 1]),
+                            direction: verticalOverlap > 0 ? 'horizontal' : 'vertical',
+                            gap: Math.round(gap * 10) / 10
+                        });
+
+                        if (results.length >= 5) return results;
+                    }
+                }
+                return results;
+            }, minSpacing);
+
+            for (const el of tooClose) {
+                const property = el.direction === 'horizontal' ? 'margin-left' : 'margin-top';
+                issues.push({
+                    id: `spacing-${el.selector}-${device.id}`,
+                    type: 'layout',
+                    severity,
+                    title: `Недостаточный отступ: ${el.selector}`,
+                    description: `Между ${el.neighbor} и ${el.selector} ${el.gap}px (минимум ${minSpacing}px)`,
+                    device: device.name,
+                    viewport: device.viewport,
+                    element: el,
+                    fix: {
+                        action: 'css_change',
+                        target: el.selector,
+                        suggestion: `Увеличьте отступ между ${el.neighbor} и ${el.selector} до минимум ${minSpacing}px`,
+                        css: `${el.selector} {\n  ${property}: ${minSpacing}px;\n}`
+                    },
+                    wcag: null,
+                    blocks_release: severity === 'critical'
+                });
+            }
+        } catch (e) {
+            console.warn(`[IssueDetector] checkSpacing: ${e.message}`);
+        }
+        return issues;
+    }
+
+    /**
+     * Проверка режима forced-colors (Windows High Contrast)
+     * Сравнивает элементы с forced-colors: none и active - браузер заменяет
+     * фоны и тени системными цветами, и элементы, выделенные только ими, пропадают
+     */
+    async checkForcedColors(page, device) {
+        const issues = [];
+        const config = this.standards?.accessibility?.checks?.forced_colors || {};
+        if (config.enabled === false) return issues;
+
+        const severity = config.severity || 'warning';
+
+        const snapshot = () => evaluateWithSelector(page, (getSelector) => {
+            const selector = 'a, button, input, select, textarea, [role="button"], [role="link"], [role="checkbox"], [role="tab"], hr, [class*="icon"], [class*="badge"], [class*="divider"]';
+
+            return Array.from(document.querySelectorAll(selector)).map(el => {
+                const style = getComputedStyle(el);
+                const rect = el.getBoundingClientRect();
+                const hasBorder = ['Top', 'Right', 'Bottom', 'Left'].some(side =>
+                    style[`border${side}Style`] !== 'none' && parseFloat(style[`border${side}Width`]) > 0
+                );
+                const hasText = Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+
+                return {
+                    tag: el.tagName.toLowerCase(),
+                    selector: getSelector(el),
+                    visible: rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none',
+                    interactive: el.matches('a, button, input, select, textarea, [role="button"], [role="link"], [role="checkbox"], [role="tab"]'),
+                    hasText,
+                    hasBorder,
+                    hasOutline: style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0,
+                    hasShadow: style.boxShadow !== 'none',
+                    hasBackground: style.backgroundColor !== 'rgba(0, 0, 0, 0)' && style.backgroundColor !== 'transparent',
+                    hasBackgroundImage: style.backgroundImage !== 'none',
+                    adjustNone: style.forcedColorAdjust === 'none'
+                };
+            });
+        });
+
+        try {
+            await page.emulateMedia({ forcedColors: 'none' });
+            const normal = await snapshot();
+            await page.emulateMedia({ forcedColors: 'active' });
+            const forced = await snapshot();
+
+            // DOM не меняется между снимками - сравниваем по порядку
+            const problems = [];
+            for (let i = 0; i < Math.min(normal.length, forced.length); i++) {
+                const before = normal[i];
+                const after = forced[i];
+                if (!before.visible || after.adjustNone || before.selector !== after.selector) continue;
+
+                const visuallyFilled = before.hasBackground || before.hasShadow || before.hasBackgroundImage;
+                const outlined = after.hasBorder || after.hasOutline;
+
+                if (!after.visible) {
+                    problems.push({ ...after, problem: 'hidden' });
+                } else if (!after.hasText && !outlined && visuallyFilled && !['input', 'select', 'textarea'].includes(after.tag)) {
+                    // Иконки, бейджи, разделители без текста держатся только на фоне/картинке
+                    problems.push({ ...after, problem: 'invisible' });
+                } else if (after.interactive && visuallyFilled && !before.hasBorder && !outlined) {
+                    problems.push({ ...after, problem: 'no_border' });
+                }
+                if (problems.length >= 5) break;
+            }
+
+            for (const el of problems) {
+                const lostBorder = el.problem === 'no_border';
+                issues.push({
+                    id: `forced-colors-${el.selector}-${device.id}`,
+                    type: 'accessibility',
+                    severity,
+                    title: lostBorder
+                        ? `Элемент теряет границы в forced-colors: ${el.selector}`
+                        : `Элемент невидим в forced-colors: ${el.selector}`,
+                    description: lostBorder
+                        ? `${el.selector} выделен только фоном или тенью, которые заменяются системными цветами - границы кнопки не видны`
+                        : `${el.selector} отображается только за счёт фона или background-image и пропадает в режиме высокой контрастности`,
+                    device: device.name,
+                    viewport: device.viewport,
+                    element: el,
+                    fix: {
+                        action: 'css_change',
+                        target: el.selector,
+                        suggestion: lostBorder
+                            ? `Добавьте ${el.selector} прозрачную рамку - в forced-colors она станет видимой`
+                            : `Используйте для ${el.selector} inline SVG с fill: currentColor или задайте forced-color-adjust: none с системными цветами`,
+                        css: lostBorder
+                            ? `${el.selector} {\n  border: 1px solid transparent;\n}`
+                            : `@media (forced-colors: active) {\n  ${el.selector} {\n    forced-color-adjust: none;\n    background-color: CanvasText;\n  }\n}`
+                    },
+                    wcag: '1.4.11',
+                    blocks_release: severity === 'critical'
+                });
+            }
+        } catch (e) {
+            console.warn(`[IssueDetector] checkForcedColors: ${e.message}`);
+        }
+        return issues;
+    }
+
+    /**
+     * Проверка prefers-reduced-motion
+     * Бесконечные анимации, которые продолжаются при reducedMotion: 'reduce'
+     */
+    async checkReducedMotion(page, device) {
+        const issues = [];
+        const config = this.standards?.accessibility?.checks?.motion_reduced || {};
+        if (config.enabled === false) return issues;
+
+        const severity = config.severity || 'info';
+
+        try {
+            const animated = await page.evaluate(() => {
+                const results = [];
+                const seen = new Set();
+
+                for (const animation of document.getAnimations()) {
+                    const el = animation.effect?.target;
+                    const timing = animation.effect?.getComputedTiming?.();
+                    if (!el || animation.playState !== 'running' || timing?.iterations !== Infinity) continue;
+
+                    const selector = el.id ? `#${el.id}` :
+                                     (el.className && typeof el.className === 'string' && el.className.trim())
+                                         ? `.${el.className.trim().split(' ')[0]}` :
+                                     el.tagName.toLowerCase();
+                    if (seen.has(selector)) continue;
+                    seen.add(selector);
+
+                    results.push({
+                        tag: el.tagName.toLowerCase(),
+                        selector,
+                        animation: animation.animationName || animation.id || null
+                    });
+                    if (results.length >= 5) break;
+                }
+                return results;
+            });
+
+            for (const el of animated) {
+                issues.push({
+                    id: `reduced-motion-${el.selector}-${device.id}`,
+                    type: 'accessibility',
+                    severity,
+                    title: `Анимация игнорирует prefers-reduced-motion: ${el.selector}`,
+                    description: `Бесконечная анимация${el.animation ? ` ${el.animation}` : ''} на ${el.selector} продолжается при включённом уменьшении движения`,
+                    device: device.name,
+                    viewport: device.viewport,
+                    element: el,
+                    fix: {
+                        action: 'css_change',
+                        target: el.selector,
+                        suggestion: `Отключите анимацию ${el.selector} в медиа-запросе prefers-reduced-motion`,
+                        css: `@media (prefers-reduced-motion: reduce) {\n  ${el.selector} {\n    animation: none;\n  }\n}`
+                    },
+                    wcag: '2.3.3',
+                    blocks_release: severity === 'critical'
+                });
+            }
+        } catch (e) {
+            console.warn(`[IssueDetector] checkReducedMotion: ${e.message}`);
+        }
+        return issues;
+    }
+
+    /**
+     * Проверка Core Web Vitals по порогам performance_visual
+     * Проблемой считается только рейтинг poor
+     * @param {Object} webVitals - результат rateWebVitals()
+     */
+    checkWebVitals(webVitals, device) {
+        const issues = [];
+        const standards = this.standards?.performance_visual || {};
+
+        const { lcp, cls, fcp } = webVitals;
+
+        if (lcp?.rating === 'poor') {
+            const severity = standards.largest_contentful_paint?.severity || 'warning';
+            const element = lcp.element;
+            const target = element?.selector || 'body';
+            const isImage = element?.tag === 'img' && element.src;
+
+            issues.push({
+                id: `web-vitals-lcp-${device.id}`,
+                type: 'performance',
+                severity,
+                title: `Медленная отрисовка основного контента (LCP ${lcp.value}ms)`,
+                description: `Largest Contentful Paint ${lcp.value}ms при пороге ${lcp.thresholds.needs_improvement}ms` +
+                    (element ? `. Самый крупный элемент: ${target}` : ''),
+                device: device.name,
+                viewport: device.viewport,
+                element: element ? { ...element, metric: 'LCP', value: lcp.value } : null,
+                fix: {
+                    action: isImage ? 'html_change' : 'optimize_loading',
+                    target,
+                    suggestion: isImage
+                        ? `Загрузите изображение ${target} раньше: preload с fetchpriority="high" и без loading="lazy", сожмите его или отдавайте в WebP/AVIF`
+                        : `Ускорьте отрисовку ${target}: уберите блокирующие CSS/JS из <head>, подгрузите шрифты с font-display: swap, не рендерьте блок на клиенте`,
+                    ...(isImage ? { html: `<link rel="preload" as="image" href="${element.src}" fetchpriority="high">` } : {})
+                },
+                wcag: null,
+                blocks_release: severity === 'critical'
+            });
+        }
+
+        if (cls?.rating === 'poor') {
+            const severity = standards.cumulative_layout_shift?.severity || 'warning';
+            const source = cls.sources?.[0];
+            const target = source?.selector || 'body';
+            const sourcesList = (cls.sources || []).map(s => `${s.selector} (${s.value})`).join(', ');
+
+            issues.push({
+                id: `web-vitals-cls-${device.id}`,
+                type: 'performance',
+                severity,
+                title: `Сдвиги макета при загрузке (CLS ${cls.value})`,
+                description: `Cumulative Layout Shift ${cls.value} при пороге ${cls.thresholds.needs_improvement}` +
+                    (sourcesList ? `. Сдвигаются: ${sourcesList}` : ''),
+                device: device.name,
+                viewport: device.viewport,
+                element: source ? { ...source, metric: 'CLS', sources: cls.sources } : null,
+                fix: {
+                    action: 'css_change',
+                    target,
+                    suggestion: `Зарезервируйте место под ${target} до загрузки: задайте width/height или aspect-ratio изображениям и min-height блокам с динамическим контентом`,
+                    ...(source?.height ? { css: `${target} {\n  min-height: ${Math.round(source.height)}px;\n}` } : {})
+                },
+                wcag: null,
+                blocks_release: severity === 'critical'
+            });
+        }
+
+        if (fcp?.rating === 'poor') {
+            const severity = standards.first_contentful_paint?.severity || 'warning';
+
+            issues.push({
+                id: `web-vitals-fcp-${device.id}`,
+                type: 'performance',
+                severity,
+                title: `Долгий белый экран (FCP ${fcp.value}ms)`,
+                description: `First Contentful Paint ${fcp.value}ms при пороге ${fcp.thresholds.needs_improvement}ms`,
+                device: device.name,
+                viewport: device.viewport,
+                element: null,
+                fix: {
+                    action: 'optimize_loading',
+                    target: 'head',
+                    suggestion: 'Встройте критический CSS в <head>, подключайте скрипты с defer, уменьшите число блокирующих запросов и используйте font-display: swap',
+                    html: '<script src="app.js" defer></script>'
+                },
+                wcag: null,
+                blocks_release: severity === 'critical'
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Расхождение рендеринга браузера с эталонным движком
+     * Регионы различий уже привязаны к элементам DOM (см. region-mapper.js)
+     * @param {Object} divergence - { browser, reference, comparison, screenshot, diffImage }
+     *        comparison - результат PixelComparator.analyzeResults() со статусом warning/failed
+     * @param {Object} device - { id, name, viewport }
+     */
+    checkCrossBrowser(divergence, device) {
+        const { browser, reference, comparison } = divergence;
+        const region = comparison.regions?.[0];
+        const element = region?.elements?.[0];
+        const target = element?.label || 'body';
+        const severity = comparison.status === 'failed' ? 'critical' : 'warning';
+        const changes = [...new Set((comparison.regions || []).slice(0, 3).map(r => r.description))];
+
+        return [{
+            id: `cross-browser-${browser}-${device.id}${element ? `-${element.label}` : ''}`,
+            type: 'cross_browser',
+            severity,
+            browser,
+            reference,
+            title: `[${browser}] Вёрстка расходится с ${reference}${element ? `: ${target}` : ''}`,
+            description: `${browser} отрисовывает страницу иначе, чем ${reference}: ` +
+                `${comparison.ssim !== undefined ? `SSIM ${comparison.ssim} (худший тайл ${comparison.ssimMin}), ` : ''}` +
+                `${divergence.diffPercent}% пикселей` +
+                (changes.length > 0 ? `. ${changes.join('; ')}` : ''),
+            device: device.name,
+            viewport: device.viewport,
+            element: element ? { selector: element.key, label: element.label, tag: element.tag, [reference]: element.baseline, [browser]: element.current } : null,
+            fix: {
+                action: 'css_change',
+                target,
+                suggestion: `Сравните ${target} в ${browser} и ${reference}: проверьте flex/grid-свойства без поддержки или с другими значениями по умолчанию, ` +
+                    'vendor-префиксы, размеры шрифтов и line-height, а также сброс стилей форм и кнопок (appearance)'
+            },
+            wcag: null,
+            blocks_release: severity === 'critical'
+        }];
+    }
+
+    /**
+     * Расхождения между брейкпоинтами из AI-анализа (AIVisionAnalyzer.analyzeResponsive)
+     * @param {Object} review - { breakpoints: [{ breakpoint, device, device_id, viewport }], issues }
+     */
+    checkResponsiveConsistency(review) {
+        const titles = {
+            missing_element: 'Элемент пропадает на части брейкпоинтов',
+            reordered_content: 'Порядок контента меняется между брейкпоинтами',
+            broken_navigation: 'Навигация недоступна на части брейкпоинтов',
+            layout_inconsistency: 'Вёрстка не перестраивается между брейкпоинтами',
+            content_mismatch: 'Контент различается между брейкпоинтами',
+            other: 'Расхождение между брейкпоинтами'
+        };
+
+        return (review.issues || []).map(issue => {
+            const affected = review.breakpoints.find(item => item.breakpoint === issue.breakpoints[0]) || review.breakpoints[0];
+            const target = issue.location || 'body';
+
+            return {
+                id: `responsive-${issue.type}-${affected.device_id}-${target.toLowerCase().replace(/[^a-zа-яё0-9]+/gi, '-')}`,
+                type: 'responsive_consistency',
+                severity: issue.severity,
+                title: `[${issue.breakpoints.join(', ')}] ${titles[issue.type]}: ${target}`,
+                description: issue.message,
+                device: affected.device,
+                viewport: affected.viewport,
+                breakpoints: issue.breakpoints,
+                bbox: issue.bbox || null,
+                element: null,
+                fix: {
+                    action: 'css_change',
+                    target,
+                    suggestion: issue.recommendation
+                },
+                wcag: issue.wcag || null,
+                blocks_release: issue.severity === 'critical'
+            };
+        });
     }
 
     /**
@@ -429,7 +1123,7 @@ export class IssueDetector {
         const isMobile = device.is_mobile || device.has_touch;
 
         try {
-            const audit = await page.evaluate(({ minTouchSize, isMobile, viewportWidth }) => {
+            const audit = await evaluateWithSelector(page, (getSelector, { minTouchSize, isMobile, viewportWidth }) => {
                 const results = {
                     total: 0,
                     valid: [],
@@ -475,18 +1169,6 @@ export class IssueDetector {
                 }
 
                 // Функция получения селектора
-                function getSelector(el) {
-                    if (el.id) return `#${el.id}`;
-                    if (el.className && typeof el.className === 'string') {
-                        const classes = el.className.split(' ').filter(c => c && !c.includes(':'));
-                        if (classes.length > 0) return `.${classes[0]}`;
-                    }
-                    // Построение уникального селектора
-                    let selector = el.tagName.toLowerCase();
-                    if (el.type) selector += `[type="${el.type}"]`;
-                    if (el.name) selector += `[name="${el.name}"]`;
-                    return selector;
-                }
 
                 const rects = []; // Для проверки наложений
 
@@ -635,7 +1317,10 @@ export class IssueDetector {
             by_type: {
                 layout: issues.filter(i => i.type === 'layout').length,
                 accessibility: issues.filter(i => i.type === 'accessibility').length,
-                typography: issues.filter(i => i.type === 'typography').length
+                typography: issues.filter(i => i.type === 'typography').length,
+                performance: issues.filter(i => i.type === 'performance').length,
+                cross_browser: issues.filter(i => i.type === 'cross_browser').length,
+                responsive_consistency: issues.filter(i => i.type === 'responsive_consistency').length
             },
             action_required: critical.length > 0
                 ? `БЛОКЕР: Исправьте ${critical.length} критических проблем перед релизом`
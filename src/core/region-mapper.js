@@ -0,0 +1,211 @@
+/**
+ * RegionMapper - Привязка регионов различий к элементам DOM
+ *
+ * При захвате снимается раскладка значимых элементов страницы (landmarks,
+ * заголовки, изображения, кнопки, элементы с id). При сравнении каждый
+ * регион из PixelComparator сопоставляется с элементами под ним, а раскладки
+ * baseline и текущего снимка сравниваются: вместо "0.8% пикселей изменилось"
+ * отчёт говорит "footer сдвинулся на 12px вниз".
+ *
+ *   layout = { scale, area, elements: [{ key, label, tag, x, y, width, height }] }
+ *
+ * Координаты элементов - CSS-пиксели документа, координаты регионов -
+ * пиксели скриншота (с учётом deviceScaleFactor и области захвата).
+ */
+
+export const MAX_LAYOUT_ELEMENTS = 300;
+
+// Сдвиг или изменение размера меньше порога считаем субпиксельным шумом
+const MOVE_THRESHOLD = 1;
+
+/**
+ * Снимок раскладки значимых элементов страницы
+ * @param {Page} page - страница Playwright
+ * @param {number} scale - deviceScaleFactor устройства
+ * @param {Object|null} area - захваченная область в CSS-пикселях (null = вся страница)
+ * @returns {Promise<Object>} { scale, area, elements }
+ */
+export async function snapshotLayout(page, scale = 1, area = null) {
+    const elements = await page.evaluate((limit) => {
+        const selector = [
+            'header', 'nav', 'main', 'footer', 'aside', 'section', 'article', 'form',
+            'h1', 'h2', 'h3', 'img', 'picture', 'video', 'button', 'table',
+            '[role="banner"]', '[role="navigation"]', '[role="main"]', '[role="contentinfo"]',
+            '[role="dialog"]', '[id]'
+        ].join(', ');
+
+        // Стабильный ключ: путь по nth-of-type до ближайшего предка с id
+        function keyOf(el) {
+            const parts = [];
+            let node = el;
+            while (node && node.nodeType === 1 && node !== document.documentElement) {
+                if (node.id) {
+                    parts.unshift(`#${CSS.escape(node.id)}`);
+                    break;
+                }
+                const tag = node.tagName.toLowerCase();
+                let index = 1;
+                let sibling = node.previousElementSibling;
+                while (sibling) {
+                    if (sibling.tagName === node.tagName) index++;
+                    sibling = sibling.previousElementSibling;
+                }
+                parts.unshift(`${tag}:nth-of-type(${index})`);
+                node = node.parentElement;
+            }
+            return parts.join(' > ');
+        }
+
+        // Читаемое имя для отчёта: footer, nav#menu, img.logo
+        function labelOf(el) {
+            const tag = el.tagName.toLowerCase();
+            if (el.id) return `${tag}#${el.id}`;
+            if (el.className && typeof el.className === 'string') {
+                const cls = el.className.split(' ').find(c => c && !c.includes(':'));
+                if (cls) return `${tag}.${cls}`;
+            }
+            return tag;
+        }
+
+        const result = [];
+        for (const el of document.querySelectorAll(selector)) {
+            if (result.length >= limit) break;
+
+            const rect = el.getBoundingClientRect();
+            if (rect.width < 1 || rect.height < 1) continue;
+            const style = window.getComputedStyle(el);
+            if (style.visibility === 'hidden' || style.display === 'none') continue;
+
+            result.push({
+                key: keyOf(el),
+                label: labelOf(el),
+                tag: el.tagName.toLowerCase(),
+                x: Math.round(rect.left + window.scrollX),
+                y: Math.round(rect.top + window.scrollY),
+                width: Math.round(rect.width),
+                height: Math.round(rect.height)
+            });
+        }
+        return result;
+    }, MAX_LAYOUT_ELEMENTS);
+
+    return { scale, area, elements };
+}
+
+/**
+ * Регион скриншота → прямоугольник в CSS-пикселях документа
+ */
+function regionToPage(region, layout) {
+    const scale = layout?.scale || 1;
+    const offsetX = layout?.area?.x || 0;
+    const offsetY = layout?.area?.y || 0;
+    return {
+        x: region.x / scale + offsetX,
+        y: region.y / scale + offsetY,
+        width: region.width / scale,
+        height: region.height / scale
+    };
+}
+
+function intersection(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Насколько элемент совпадает с регионом (IoU)
+ * Самый точный кандидат - элемент, который регион покрывает почти целиком
+ */
+function matchScore(box, rect) {
+    const overlap = intersection(box, rect);
+    if (overlap === 0) return 0;
+    return overlap / (box.width * box.height + rect.width * rect.height - overlap);
+}
+
+/**
+ * Описание изменения элемента между baseline и текущим снимком
+ */
+export function describeChange(label, before, after) {
+    if (!before) return `${label}: появился`;
+    if (!after) return `${label}: исчез`;
+
+    const changes = [];
+    const dx = after.x - before.x;
+    const dy = after.y - before.y;
+    const dw = after.width - before.width;
+    const dh = after.height - before.height;
+
+    if (Math.abs(dy) >= MOVE_THRESHOLD) changes.push(`сдвинулся на ${Math.abs(dy)}px ${dy > 0 ? 'вниз' : 'вверх'}`);
+    if (Math.abs(dx) >= MOVE_THRESHOLD) changes.push(`сдвинулся на ${Math.abs(dx)}px ${dx > 0 ? 'вправо' : 'влево'}`);
+    if (Math.abs(dw) >= MOVE_THRESHOLD) changes.push(`ширина ${dw > 0 ? '+' : ''}${dw}px`);
+    if (Math.abs(dh) >= MOVE_THRESHOLD) changes.push(`высота ${dh > 0 ? '+' : ''}${dh}px`);
+
+    if (changes.length === 0) return `${label}: изменилось содержимое`;
+    return `${label}: ${changes.join(', ')}`;
+}
+
+/**
+ * Сопоставление регионов различий с элементами DOM
+ * @param {Array} regions - результат clusterDiffRegions()
+ * @param {Object} layouts
+ * @param {Object} layouts.baseline - раскладка baseline (snapshotLayout)
+ * @param {Object} layouts.current - раскладка текущего снимка
+ * @param {number} maxElements - сколько элементов привязать к региону
+ * @returns {Array} регионы с полями elements и description
+ */
+export function mapRegionsToElements(regions, { baseline = null, current = null } = {}, maxElements = 3) {
+    if (!regions?.length) return [];
+
+    const before = new Map((baseline?.elements || []).map(el => [el.key, el]));
+    const after = new Map((current?.elements || []).map(el => [el.key, el]));
+
+    return regions.map(region => {
+        const size = `${region.width}×${region.height}px в (${region.x}, ${region.y})`;
+        if (!baseline && !current) {
+            return { ...region, elements: [], description: `Изменена область ${size}` };
+        }
+
+        // Кандидаты из обеих раскладок: исчезнувший элемент есть только в baseline
+        const candidates = new Map();
+        for (const [layout, boxes] of [[current, after], [baseline, before]]) {
+            if (!layout) continue;
+            const rect = regionToPage(region, layout);
+            for (const el of boxes.values()) {
+                const score = matchScore(el, rect);
+                if (score > (candidates.get(el.key)?.score || 0)) {
+                    candidates.set(el.key, { el, score });
+                }
+            }
+        }
+
+        const elements = Array.from(candidates.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxElements)
+            .map(({ el }) => {
+                const prev = baseline ? before.get(el.key) || null : el;
+                const next = current ? after.get(el.key) || null : el;
+                return {
+                    key: el.key,
+                    label: el.label,
+                    tag: el.tag,
+                    baseline: prev && { x: prev.x, y: prev.y, width: prev.width, height: prev.height },
+                    current: next && { x: next.x, y: next.y, width: next.width, height: next.height },
+                    change: describeChange(el.label, prev, next)
+                };
+            });
+
+        return {
+            ...region,
+            elements,
+            description: elements.length > 0 ? elements[0].change : `Изменена область ${size}`
+        };
+    });
+}
+
+export default {
+    MAX_LAYOUT_ELEMENTS,
+    snapshotLayout,
+    describeChange,
+    mapRegionsToElements
+};
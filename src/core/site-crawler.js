@@ -0,0 +1,256 @@
+/**
+ * SiteCrawler - Поиск страниц сайта для проверки всего сайта
+ *
+ * Страницы берутся из sitemap.xml (включая sitemap index) и из ссылок
+ * <a href> уже найденных страниц - обход в ширину по одному origin:
+ *
+ *   depth 0: https://example.com/            (или все <loc> из sitemap.xml)
+ *   depth 1: /about, /blog, /pricing         (ссылки со страниц depth 0)
+ *   depth 2: /blog/post-1, ...
+ *
+ * Обход ограничен глубиной (maxDepth) и числом страниц (maxPages),
+ * include/exclude - glob-шаблоны (`*` - любая подстрока) по URL или пути.
+ */
+
+import { matchesPattern } from '../utils/helpers.js';
+
+export const DEFAULT_MAX_DEPTH = 2;
+export const DEFAULT_MAX_PAGES = 20;
+export const DEFAULT_PAGE_CONCURRENCY = 2;
+
+// Сколько вложенных sitemap читать из sitemap index
+const MAX_SITEMAPS = 10;
+
+// Сколько страниц открыть ради ссылок на каждую проверяемую (с include часть страниц
+// открывается только как путь к нужным: /blog → /blog/post-1)
+const VISITS_PER_PAGE = 5;
+
+// Ссылки на файлы, а не на страницы
+const FILE_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|tar|png|jpe?g|gif|webp|avif|svg|ico|mp4|webm|mp3|wav|docx?|xlsx?|pptx?|csv|xml|json|txt)$/i;
+
+/**
+ * Нормализация URL: абсолютный, без #hash и без завершающего слэша в пути
+ * @param {string} href - ссылка (абсолютная или относительная)
+ * @param {string} base - URL страницы, на которой найдена ссылка
+ * @returns {string|null} null для не-http ссылок и ссылок на файлы
+ */
+export function normalizeUrl(href, base) {
+    let parsed;
+    try {
+        parsed = new URL(href, base);
+    } catch (e) {
+        return null;
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    if (FILE_EXTENSIONS.test(parsed.pathname)) return null;
+
+    parsed.hash = '';
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+    return parsed.href;
+}
+
+/**
+ * Проходит ли URL фильтры include/exclude
+ * Шаблон сравнивается и с полным URL, и с путём (`/blog/*`)
+ */
+export function matchesFilters(url, { include = [], exclude = [] } = {}) {
+    const { pathname, search } = new URL(url);
+    const matches = pattern => matchesPattern(url, pattern) || matchesPattern(`${pathname}${search}`, pattern);
+
+    if (exclude.some(matches)) return false;
+    return include.length === 0 || include.some(matches);
+}
+
+/**
+ * Разбор sitemap.xml
+ * @param {string} xml - содержимое sitemap
+ * @returns {{urls: string[], sitemaps: string[]}} страницы (urlset) или вложенные sitemap (sitemapindex)
+ */
+export function parseSitemap(xml) {
+    const locs = Array.from(xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi))
+        .map(match => match[1].replace(/&amp;/g, '&'));
+
+    return /<sitemapindex[\s>]/i.test(xml)
+        ? { urls: [], sitemaps: locs }
+        : { urls: locs, sitemaps: [] };
+}
+
+/**
+ * URL страниц из sitemap.xml (sitemap index читается рекурсивно)
+ * @param {string} sitemapUrl - адрес sitemap.xml
+ * @param {Object} options
+ * @param {number} options.limit - сколько URL достаточно
+ * @param {Function} options.fetchText - async (url) => текст ответа
+ * @returns {Promise<string[]>}
+ */
+export async function readSitemap(sitemapUrl, { limit = Infinity, fetchText = fetchSitemapText } = {}) {
+    const urls = [];
+    const queue = [sitemapUrl];
+    const seen = new Set();
+
+    while (queue.length > 0 && urls.length < limit && seen.size < MAX_SITEMAPS) {
+        const current = queue.shift();
+        if (seen.has(current)) continue;
+        seen.add(current);
+
+        let xml;
+        try {
+            xml = await fetchText(current);
+        } catch (e) {
+            console.warn(`[SiteCrawler] Не удалось прочитать ${current}: ${e.message}`);
+            continue;
+        }
+
+        const parsed = parseSitemap(xml);
+        urls.push(...parsed.urls);
+        queue.push(...parsed.sitemaps);
+    }
+
+    return urls.slice(0, limit);
+}
+
+async function fetchSitemapText(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(15000) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.text();
+}
+
+/**
+ * Ссылки <a href> открытой страницы (абсолютные URL)
+ * @param {Page} page - страница Playwright
+ */
+export async function extractLinks(page) {
+    return page.evaluate(() =>
+        Array.from(document.querySelectorAll('a[href]'))
+            .filter(a => !a.hasAttribute('download') && a.getAttribute('rel') !== 'nofollow')
+            .map(a => a.href)
+    );
+}
+
+/**
+ * Обход сайта в ширину
+ * exclude убирает страницы из обхода, include - только из проверки: страница
+ * вне include открывается ради ссылок (стартовая страница - всегда).
+ * @param {Object} options
+ * @param {string[]} options.seeds - стартовые URL (depth 0)
+ * @param {Function} options.fetchLinks - async (url) => ссылки страницы
+ * @param {number} options.maxDepth - глубина обхода ссылок
+ * @param {number} options.maxPages - максимум страниц для проверки
+ * @param {string[]} options.include - glob-шаблоны страниц для проверки
+ * @param {string[]} options.exclude - glob-шаблоны исключаемых страниц
+ * @returns {Promise<Array<{url: string, depth: number, linksFound: number, error: string|null}>>}
+ */
+export async function discoverPages({
+    seeds,
+    fetchLinks,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    maxPages = DEFAULT_MAX_PAGES,
+    include = [],
+    exclude = []
+}) {
+    const normalizedSeeds = seeds.map(seed => normalizeUrl(seed, seed)).filter(Boolean);
+    if (normalizedSeeds.length === 0) {
+        throw new Error('Нет стартовых страниц для обхода');
+    }
+
+    const { origin } = new URL(normalizedSeeds[0]);
+    const filters = { include, exclude };
+    const pages = [];
+    const seen = new Set(normalizedSeeds);
+    const queue = normalizedSeeds
+        .filter(url => new URL(url).origin === origin)
+        .map(url => ({ url, depth: 0 }));
+    let visits = 0;
+
+    while (queue.length > 0 && pages.length < maxPages && visits < maxPages * VISITS_PER_PAGE) {
+        const { url, depth } = queue.shift();
+        const accepted = matchesFilters(url, filters);
+        const entry = { url, depth, linksFound: 0, error: null };
+        if (accepted) pages.push(entry);
+
+        // Ссылки нужны только если можно пойти глубже
+        if (depth >= maxDepth) continue;
+
+        let links;
+        visits++;
+        try {
+            links = await fetchLinks(url);
+        } catch (e) {
+            entry.error = e.message;
+            console.warn(`[SiteCrawler] ${url}: ${e.message}`);
+            continue;
+        }
+
+        for (const href of links) {
+            const link = normalizeUrl(href, url);
+            if (!link || seen.has(link)) continue;
+            seen.add(link);
+
+            if (new URL(link).origin !== origin) continue;
+            if (!matchesFilters(link, { exclude })) continue;
+
+            entry.linksFound++;
+            queue.push({ url: link, depth: depth + 1 });
+        }
+    }
+
+    return pages;
+}
+
+/**
+ * Проверка лимита обхода (глубина, число страниц, параллельность)
+ * @param {*} value - число или строка из CLI/MCP; undefined/null - значение по умолчанию
+ * @param {string} name - имя параметра для сообщения об ошибке
+ * @param {number} fallback - значение по умолчанию
+ * @returns {number} неотрицательное целое
+ * @throws {Error} если значение не неотрицательное целое
+ */
+export function parseLimit(value, name, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isInteger(number) || number < 0) {
+        throw new Error(`${name} должно быть неотрицательным целым числом, получено: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Выполнение задач с ограничением параллельности (результаты в исходном порядке)
+ * @param {Array} items
+ * @param {number} limit - максимум одновременно выполняемых задач
+ * @param {Function} fn - async (item, index) => результат
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Number.isFinite(limit) ? Math.max(1, Math.floor(limit)) : 1;
+    await Promise.all(Array.from({ length: Math.min(workers, items.length) }, worker));
+    return results;
+}
+
+export default {
+    DEFAULT_MAX_DEPTH,
+    DEFAULT_MAX_PAGES,
+    DEFAULT_PAGE_CONCURRENCY,
+    normalizeUrl,
+    matchesFilters,
+    parseSitemap,
+    readSitemap,
+    extractLinks,
+    discoverPages,
+    parseLimit,
+    mapWithConcurrency
+};
@@ -10,13 +10,46 @@
 
 import { chromium, firefox, webkit } from '@playwright/test';
 import fs from 'fs-extra';
+import { PNG } from 'pngjs';
+import os from 'os';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { IssueDetector } from './issue-detector.js';
-import { validateUrl, findDeviceById } from '../utils/helpers.js';
+import { BrowserPool } from './browser-pool.js';
+import { webVitalsInitScript, collectWebVitals, rateWebVitals } from './web-vitals.js';
+import { snapshotLayout } from './region-mapper.js';
+import { sweepWidths, breakpointFor, groupRanges, sample, thumbnail } from './breakpoint-sweep.js';
+import {
+    readSitemap, extractLinks, discoverPages, mapWithConcurrency, parseLimit,
+    DEFAULT_MAX_DEPTH, DEFAULT_MAX_PAGES, DEFAULT_PAGE_CONCURRENCY
+} from './site-crawler.js';
+import {
+    readManifest, writeManifest, recordApproval, upsertBaseline, findBaseline, entryFromMetadata, hashFile
+} from './baseline-manifest.js';
+import { runSteps, validateStates, stateToSlug } from './interaction-runner.js';
+import { PixelComparator, fillRegions, crossBrowserThresholds, MASK_COLOR } from '../analyzers/pixel-comparator.js';
+import { validateUrl, isInsideDir, findDeviceById } from '../utils/helpers.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Режимы эмуляции: цветовые схемы и accessibility-режимы (devices.json → accessibility_modes)
+const EMULATION_MODES = {
+    light: { icon: '☀️', colorScheme: 'light', label: null, suffix: '', titlePrefix: null, emulation: {} },
+    dark: { icon: '🌙', colorScheme: 'dark', label: 'Dark', suffix: '_dark', titlePrefix: '[Dark Mode]', emulation: {} },
+    reduced_motion: {
+        icon: '🐢', colorScheme: 'light', label: 'Reduced Motion', suffix: '_reduced_motion',
+        titlePrefix: '[Reduced Motion]', emulation: { reducedMotion: 'reduce' }
+    },
+    forced_colors: {
+        icon: '🖍️', colorScheme: 'light', label: 'Forced Colors', suffix: '_forced_colors',
+        titlePrefix: '[Forced Colors]', emulation: { forcedColors: 'active' }
+    },
+    high_contrast: {
+        icon: '🔆', colorScheme: 'light', label: 'High Contrast', suffix: '_high_contrast',
+        titlePrefix: '[High Contrast]', emulation: { contrast: 'more' }
+    }
+};
+
 export class VisualQAAgent {
     constructor(options = {}) {
         this.configPath = options.configPath || path.join(__dirname, '../../config');
@@ -26,6 +59,8 @@ export class VisualQAAgent {
         this.standards = null;
         this.devices = null;
         this.browsers = { chromium, firefox, webkit };
+        // Один браузер на движок, контекст на устройство (общий для checkPage, saveBaseline, captureConsole)
+        this.pool = options.pool || new BrowserPool(this.browsers, { concurrency: options.concurrency });
         this.issueDetector = null; // Инициализируется в init()
 
         this.results = {
@@ -61,6 +96,8 @@ export class VisualQAAgent {
 
     /**
      * Получение устройств для тестирования по профилю
+     * Если профиль включает orientations, устройства разворачиваются
+     * в варианты ориентации из секции orientations devices.json
      */
     getDevicesForProfile(profileName) {
         const profile = this.devices.test_profiles[profileName];
@@ -73,17 +110,17 @@ export class VisualQAAgent {
 
         if (profile.devices === 'all') {
             // Все устройства
-            for (const category of Object.values(deviceProfiles)) {
-                for (const [id, device] of Object.entries(category)) {
-                    devicesList.push({ id, ...device });
+            for (const [category, devices] of Object.entries(deviceProfiles)) {
+                for (const [id, device] of Object.entries(devices)) {
+                    devicesList.push(...this.expandOrientations({ id, ...device }, category, profile.orientations));
                 }
             }
         } else {
             // Конкретные устройства
             for (const deviceId of profile.devices) {
-                for (const category of Object.values(deviceProfiles)) {
-                    if (category[deviceId]) {
-                        devicesList.push({ id: deviceId, ...category[deviceId] });
+                for (const [category, devices] of Object.entries(deviceProfiles)) {
+                    if (devices[deviceId]) {
+                        devicesList.push(...this.expandOrientations({ id: deviceId, ...devices[deviceId] }, category, profile.orientations));
                         break;
                     }
                 }
@@ -93,16 +130,145 @@ export class VisualQAAgent {
         return { devices: devicesList, browsers: profile.browsers };
     }
 
+    /**
+     * Разворачивание устройства в варианты ориентации
+     * Вариант, совпадающий с объявленным viewport, сохраняет id и имя устройства
+     * (и его baseline), остальные получают суффикс: iphone_se_landscape, "iPhone SE (Landscape)"
+     * @param {Object} device - устройство с id
+     * @param {string} category - категория (mobile/tablet/desktop)
+     * @param {boolean|string[]} profileOrientations - true (все из devices.json), список или false
+     */
+    expandOrientations(device, category, profileOrientations) {
+        const { width, height } = device.viewport;
+        const declared = width > height ? 'landscape' : 'portrait';
+
+        if (!profileOrientations) {
+            return [{ ...device, category, orientation: declared }];
+        }
+
+        const available = this.devices.orientations?.[category] || [declared];
+        const orientations = Array.isArray(profileOrientations)
+            ? available.filter(o => profileOrientations.includes(o))
+            : available;
+
+        if (orientations.length === 0) {
+            return [{ ...device, category, orientation: declared }];
+        }
+
+        return orientations.map(orientation => {
+            if (orientation === declared) {
+                return { ...device, category, orientation };
+            }
+            const label = orientation === 'landscape' ? 'Landscape' : 'Portrait';
+            return {
+                ...device,
+                category,
+                id: `${device.id}_${orientation}`,
+                base_id: device.id,
+                name: `${device.name} (${label})`,
+                viewport: { width: height, height: width },
+                orientation
+            };
+        });
+    }
+
+    /**
+     * Подготовка авторизации для проверки страницы
+     * Выполняется один раз: login-скрипт запускается в отдельном контексте chromium,
+     * полученный storageState переиспользуется всеми устройствами и браузерами
+     * @param {string} url - URL проверяемой страницы
+     * @param {Object} auth - настройки авторизации
+     * @param {string|Object} auth.storageState - путь к storageState Playwright или сам объект
+     * @param {Array} auth.cookies - cookies ({ name, value, domain?, path? })
+     * @param {Object} auth.headers - дополнительные HTTP заголовки
+     * @param {string|Function} auth.loginScript - путь к модулю или функция async ({ page, context, url })
+     * @returns {Promise<Object|null>} опции для browser.newContext()
+     */
+    async prepareAuth(url, auth) {
+        if (!auth) return null;
+
+        validateUrl(url);
+        const { origin } = new URL(url);
+
+        let storageState = { cookies: [], origins: [] };
+        if (typeof auth.storageState === 'string') {
+            storageState = await fs.readJSON(auth.storageState);
+        } else if (auth.storageState) {
+            storageState = auth.storageState;
+        }
+
+        if (auth.cookies?.length) {
+            // Cookies без domain привязываем к проверяемому origin
+            const cookies = auth.cookies.map(cookie =>
+                cookie.domain || cookie.url ? cookie : { ...cookie, url: origin }
+            );
+            storageState = {
+                ...storageState,
+                cookies: [...(storageState.cookies || []), ...cookies]
+            };
+        }
+
+        const extraHTTPHeaders = auth.headers && Object.keys(auth.headers).length > 0
+            ? auth.headers
+            : undefined;
+
+        if (auth.loginScript) {
+            const login = typeof auth.loginScript === 'function'
+                ? auth.loginScript
+                : await this.loadLoginScript(auth.loginScript);
+
+            console.log('  🔐 Выполнение login-скрипта...');
+            const { context, close } = await this.pool.openContext('chromium', { storageState, extraHTTPHeaders });
+            try {
+                const page = await context.newPage();
+                await login({ page, context, url });
+                storageState = await context.storageState();
+            } finally {
+                await close();
+            }
+        }
+
+        const hasState = storageState.cookies?.length > 0 || storageState.origins?.length > 0;
+        return {
+            ...(hasState ? { storageState } : {}),
+            ...(extraHTTPHeaders ? { extraHTTPHeaders } : {})
+        };
+    }
+
+    /**
+     * Загрузка login-скрипта (ES-модуль с default export или export login)
+     */
+    async loadLoginScript(scriptPath) {
+        const module = await import(pathToFileURL(path.resolve(scriptPath)).href);
+        const login = module.default || module.login;
+        if (typeof login !== 'function') {
+            throw new Error(`Login-скрипт ${scriptPath} должен экспортировать функцию (default или login)`);
+        }
+        return login;
+    }
+
     /**
      * Захват скриншота страницы
-     * @param {boolean} keepOpen - не закрывать браузер (для дальнейшего анализа)
+     * Браузер берётся из пула, для устройства создаётся отдельный контекст
+     * @param {boolean} keepOpen - не закрывать контекст (для дальнейшего анализа);
+     *        вызывающий код закрывает его через возвращённый close()
      * @param {string} colorScheme - цветовая схема: 'light', 'dark', 'no-preference'
+     * @param {Object} captureOptions - дополнительные опции захвата
+     * @param {Object} captureOptions.auth - опции авторизации из prepareAuth()
+     * @param {Array} captureOptions.steps - шаги взаимодействия перед скриншотом
+     * @param {Object} captureOptions.ignore - исключаемые области { selectors, regions } (см. resolveIgnore)
+     * @param {string} captureOptions.mode - режим захвата: 'full' (вся страница), 'viewport' (первый экран), 'element'
+     * @param {string} captureOptions.selector - CSS-селектор компонента для режима 'element'
+     * @param {Object} captureOptions.emulation - { reducedMotion, forcedColors, contrast } для accessibility-режимов
+     * @param {boolean} captureOptions.measureVitals - измерить LCP, CLS и FCP (см. web-vitals.js)
+     * @param {boolean} captureOptions.collectLayout - снять раскладку элементов DOM для привязки различий (см. region-mapper.js)
      */
-    async captureScreenshot(url, device, browserType = 'chromium', keepOpen = false, colorScheme = 'light') {
-        // Валидация URL
-        validateUrl(url);
+    async captureScreenshot(url, device, browserType = 'chromium', keepOpen = false, colorScheme = 'light', captureOptions = {}) {
+        const { auth = null, steps = [], ignore = null, mode = 'full', selector = null, emulation = {}, measureVitals = false, collectLayout = false } = captureOptions;
 
-        const browser = await this.browsers[browserType].launch({ headless: true });
+        // Валидация URL и режима захвата
+        validateUrl(url);
+        this.validateCaptureMode(mode, selector);
 
         const contextOptions = {
             viewport: device.viewport,
@@ -110,13 +276,21 @@ export class VisualQAAgent {
             isMobile: device.is_mobile || false,
             hasTouch: device.has_touch || false,
             userAgent: device.user_agent,
-            colorScheme: colorScheme // Эмуляция prefers-color-scheme
+            colorScheme: colorScheme, // Эмуляция prefers-color-scheme
+            ...emulation, // prefers-reduced-motion, forced-colors, prefers-contrast
+            ...(auth || {})
         };
 
-        const context = await browser.newContext(contextOptions);
-        const page = await context.newPage();
+        const { context, close } = await this.pool.openContext(browserType, contextOptions);
 
         try {
+            const page = await context.newPage();
+
+            // PerformanceObserver должен подписаться до загрузки страницы
+            if (measureVitals) {
+                await page.addInitScript(webVitalsInitScript);
+            }
+
             // Переходим на страницу с ожиданием загрузки
             await page.goto(url, {
                 waitUntil: 'networkidle',
@@ -126,11 +300,63 @@ export class VisualQAAgent {
             // Ждём стабилизации (анимации, lazy-load)
             await page.waitForTimeout(500);
 
-            // Делаем скриншот
-            const screenshot = await page.screenshot({
-                fullPage: true,
-                type: 'png'
-            });
+            // Метрики загрузки снимаем до шагов взаимодействия
+            const webVitals = measureVitals
+                ? rateWebVitals(await collectWebVitals(page), this.standards?.performance_visual)
+                : null;
+
+            // Приводим страницу в нужное состояние (меню, модалки, формы)
+            await runSteps(page, steps);
+
+            // Области с динамическим контентом (карусели, часы, реклама)
+            const scale = device.device_scale_factor || 1;
+            const { selectors: maskSelectors, regions: pageRegions } =
+                await this.collectIgnoreRegions(page, ignore, scale);
+
+            const screenshotOptions = {
+                type: 'png',
+                mask: maskSelectors.map(maskSelector => page.locator(maskSelector)),
+                maskColor: `rgb(${MASK_COLOR.join(', ')})`
+            };
+
+            // Делаем скриншот (элементы по селекторам закрашиваются Playwright mask)
+            let screenshot;
+            let area = null; // Захваченная область в CSS-пикселях страницы (null = вся страница)
+
+            if (mode === 'viewport') {
+                await page.evaluate(() => window.scrollTo(0, 0));
+                area = { x: 0, y: 0, width: device.viewport.width, height: device.viewport.height };
+                screenshot = await page.screenshot({ ...screenshotOptions, fullPage: false });
+            } else if (mode === 'element') {
+                const element = page.locator(selector).first();
+                await element.waitFor({ state: 'visible', timeout: 10000 });
+                area = await element.evaluate(el => {
+                    const rect = el.getBoundingClientRect();
+                    return {
+                        x: rect.left + window.scrollX,
+                        y: rect.top + window.scrollY,
+                        width: rect.width,
+                        height: rect.height
+                    };
+                });
+                screenshot = await element.screenshot(screenshotOptions);
+            } else {
+                screenshot = await page.screenshot({ ...screenshotOptions, fullPage: true });
+            }
+
+            // Раскладка на момент скриншота: по ней регионы diff сопоставляются с элементами
+            const layout = collectLayout ? await snapshotLayout(page, scale, area) : null;
+
+            // Координаты областей - относительно захваченного изображения
+            const ignoreRegions = this.translateRegions(pageRegions, area, scale);
+
+            // Прямоугольные области закрашиваем поверх готового PNG
+            const rectRegions = ignoreRegions.filter(region => region.source === 'region');
+            if (rectRegions.length > 0) {
+                const png = PNG.sync.read(screenshot);
+                fillRegions(png, rectRegions);
+                screenshot = PNG.sync.write(png);
+            }
 
             // Собираем метаданные
             const metadata = {
@@ -138,24 +364,161 @@ export class VisualQAAgent {
                 device: device.id,
                 browser: browserType,
                 viewport: device.viewport,
+                steps: steps.length,
+                captureMode: mode,
+                selector: mode === 'element' ? selector : null,
+                captureArea: area,
+                ignoreRegions,
+                webVitals,
+                layout,
                 timestamp: new Date().toISOString(),
                 title: await page.title()
             };
 
-            // Если keepOpen=true, возвращаем browser и page для дальнейшей работы
+            // Если keepOpen=true, возвращаем page и close() для дальнейшей работы
             if (keepOpen) {
-                return { screenshot, metadata, page, browser };
+                return { screenshot, metadata, page, close };
             }
 
-            return { screenshot, metadata, page: null, browser: null };
+            return { screenshot, metadata, page: null, close: null };
 
+        } catch (error) {
+            // При ошибке (в том числе в шагах) контекст не должен остаться открытым
+            if (keepOpen) {
+                await close();
+            }
+            throw error;
         } finally {
             if (!keepOpen) {
-                await browser.close();
+                await close();
             }
         }
     }
 
+    /**
+     * Сбор исключаемых областей на открытой странице
+     * Возвращает валидные селекторы для mask и все области в пикселях скриншота,
+     * чтобы сохранить их вместе с baseline и пропускать при сравнении
+     * @param {Page} page - страница Playwright
+     * @param {Object} ignore - { selectors, regions } из resolveIgnore()
+     * @param {number} scale - device scale factor
+     */
+    async collectIgnoreRegions(page, ignore, scale = 1) {
+        if (!ignore) return { selectors: [], regions: [] };
+
+        const { valid, boxes } = await page.evaluate((selectors) => {
+            const valid = [];
+            const boxes = [];
+
+            for (const selector of selectors) {
+                let elements;
+                try {
+                    elements = document.querySelectorAll(selector);
+                } catch (e) {
+                    continue; // Невалидный селектор
+                }
+                valid.push(selector);
+
+                elements.forEach(el => {
+                    const rect = el.getBoundingClientRect();
+                    if (rect.width === 0 || rect.height === 0) return;
+                    boxes.push({
+                        x: rect.left + window.scrollX,
+                        y: rect.top + window.scrollY,
+                        width: rect.width,
+                        height: rect.height,
+                        source: selector
+                    });
+                });
+            }
+            return { valid, boxes: boxes.slice(0, 200) };
+        }, ignore.selectors || []);
+
+        const regions = [
+            ...boxes,
+            ...(ignore.regions || []).map(region => ({ ...region, source: 'region' }))
+        ].map(region => this.scaleRegion(region, scale));
+
+        return { selectors: valid, regions };
+    }
+
+    /**
+     * Перевод области из CSS-пикселей в пиксели скриншота
+     */
+    scaleRegion(region, scale) {
+        return {
+            ...region,
+            x: Math.floor(region.x * scale),
+            y: Math.floor(region.y * scale),
+            width: Math.ceil(region.width * scale),
+            height: Math.ceil(region.height * scale)
+        };
+    }
+
+    /**
+     * Перевод областей из координат страницы в координаты захваченного изображения
+     * Области вне захваченной части (первый экран или компонент) отбрасываются
+     */
+    translateRegions(regions, area, scale) {
+        if (!area) return regions;
+
+        const offsetX = Math.floor(area.x * scale);
+        const offsetY = Math.floor(area.y * scale);
+        const width = Math.ceil(area.width * scale);
+        const height = Math.ceil(area.height * scale);
+
+        return regions
+            .map(region => ({ ...region, x: region.x - offsetX, y: region.y - offsetY }))
+            .filter(region =>
+                region.x < width && region.y < height &&
+                region.x + region.width > 0 && region.y + region.height > 0
+            );
+    }
+
+    /**
+     * Проверка режима захвата
+     */
+    validateCaptureMode(mode, selector) {
+        if (!['full', 'viewport', 'element'].includes(mode)) {
+            throw new Error(`Неизвестный режим захвата "${mode}". Доступны: full, viewport, element`);
+        }
+        if (mode === 'element' && !selector) {
+            throw new Error('Для режима захвата element нужен селектор компонента');
+        }
+    }
+
+    /**
+     * Суффикс режима захвата для ID проверок и имён файлов
+     * full - без суффикса, viewport - _viewport, element - _el_<селектор>
+     */
+    captureSuffix(mode = 'full', selector = null) {
+        if (mode === 'viewport') return '_viewport';
+        if (mode === 'element') return `_el_${stateToSlug(selector)}`;
+        return '';
+    }
+
+    /**
+     * Исключаемые области: категории из visual_regression.ignore_regions
+     * (dynamic_content, timestamps, ads) плюс селекторы и прямоугольники страницы
+     * @param {Object} pageIgnore - { selectors: [], regions: [{ x, y, width, height }] } в CSS-пикселях
+     * @returns {Object|null}
+     */
+    resolveIgnore(pageIgnore = {}) {
+        const config = this.standards?.visual_regression?.ignore_regions || {};
+        const categorySelectors = config.selectors || {};
+
+        const selectors = [];
+        for (const [category, list] of Object.entries(categorySelectors)) {
+            if (config[category]) selectors.push(...list);
+        }
+        selectors.push(...(pageIgnore?.selectors || []));
+
+        const regions = pageIgnore?.regions || [];
+        if (selectors.length === 0 && regions.length === 0) return null;
+
+        return { selectors: [...new Set(selectors)], regions };
+    }
+
     /**
      * Захват логов консоли браузера (F12 Console)
      * Перехватывает: console.log/warn/error/info, JS ошибки, network failures
@@ -175,81 +538,80 @@ export class VisualQAAgent {
         // Валидация URL
         validateUrl(url);
 
-        const browser = await this.browsers[browserType].launch({ headless: true });
-        const context = await browser.newContext();
-        const page = await context.newPage();
-
-        // Собираем все события консоли
-        const consoleLogs = [];
-        const jsErrors = [];
-        const networkErrors = [];
-        const securityWarnings = [];
-
-        // Перехват console.log/warn/error/info
-        page.on('console', msg => {
-            const type = msg.type();
-            const text = msg.text();
-            const location = msg.location();
-
-            consoleLogs.push({
-                type: type,
-                text: text,
-                url: location.url || '',
-                line: location.lineNumber,
-                column: location.columnNumber,
-                timestamp: new Date().toISOString()
-            });
-        });
-
-        // Перехват необработанных JS ошибок
-        page.on('pageerror', error => {
-            jsErrors.push({
-                message: error.message,
-                stack: error.stack,
-                timestamp: new Date().toISOString()
+        const { context, close } = await this.pool.openContext(browserType);
+        try {
+            const page = await context.newPage();
+
+            // Собираем все события консоли
+            const consoleLogs = [];
+            const jsErrors = [];
+            const networkErrors = [];
+            const securityWarnings = [];
+
+            // Перехват console.log/warn/error/info
+            page.on('console', msg => {
+                const type = msg.type();
+                const text = msg.text();
+                const location = msg.location();
+
+                consoleLogs.push({
+                    type: type,
+                    text: text,
+                    url: location.url || '',
+                    line: location.lineNumber,
+                    column: location.columnNumber,
+                    timestamp: new Date().toISOString()
+                });
             });
-        });
 
-        // Перехват ошибок запросов (network failures)
-        if (includeNetwork) {
-            page.on('requestfailed', request => {
-                networkErrors.push({
-                    url: request.url(),
-                    method: request.method(),
-                    failure: request.failure()?.errorText || 'Unknown error',
-                    resourceType: request.resourceType(),
+            // Перехват необработанных JS ошибок
+            page.on('pageerror', error => {
+                jsErrors.push({
+                    message: error.message,
+                    stack: error.stack,
                     timestamp: new Date().toISOString()
                 });
             });
 
-            // Перехват ответов с ошибками (4xx, 5xx)
-            page.on('response', response => {
-                const status = response.status();
-                if (status >= 400) {
+            // Перехват ошибок запросов (network failures)
+            if (includeNetwork) {
+                page.on('requestfailed', request => {
                     networkErrors.push({
-                        url: response.url(),
-                        status: status,
-                        statusText: response.statusText(),
-                        resourceType: response.request().resourceType(),
+                        url: request.url(),
+                        method: request.method(),
+                        failure: request.failure()?.errorText || 'Unknown error',
+                        resourceType: request.resourceType(),
                         timestamp: new Date().toISOString()
                     });
-                }
-            });
-        }
+                });
 
-        // Перехват security warnings (mixed content и т.д.)
-        context.on('console', msg => {
-            if (msg.text().toLowerCase().includes('security') ||
-                msg.text().toLowerCase().includes('mixed content') ||
-                msg.text().toLowerCase().includes('insecure')) {
-                securityWarnings.push({
-                    message: msg.text(),
-                    timestamp: new Date().toISOString()
+                // Перехват ответов с ошибками (4xx, 5xx)
+                page.on('response', response => {
+                    const status = response.status();
+                    if (status >= 400) {
+                        networkErrors.push({
+                            url: response.url(),
+                            status: status,
+                            statusText: response.statusText(),
+                            resourceType: response.request().resourceType(),
+                            timestamp: new Date().toISOString()
+                        });
+                    }
                 });
             }
-        });
 
-        try {
+            // Перехват security warnings (mixed content и т.д.)
+            context.on('console', msg => {
+                if (msg.text().toLowerCase().includes('security') ||
+                    msg.text().toLowerCase().includes('mixed content') ||
+                    msg.text().toLowerCase().includes('insecure')) {
+                    securityWarnings.push({
+                        message: msg.text(),
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            });
+
             // Переходим на страницу
             const response = await page.goto(url, {
                 waitUntil: 'networkidle',
@@ -334,7 +696,7 @@ export class VisualQAAgent {
             return result;
 
         } finally {
-            await browser.close();
+            await close();
         }
     }
 
@@ -345,13 +707,32 @@ export class VisualQAAgent {
      * @param {Object} options - опции проверки
      * @param {string} options.profile - профиль устройств
      * @param {boolean} options.checkDarkMode - проверять также в тёмном режиме
+     * @param {boolean|string[]} options.accessibilityModes - accessibility-режимы (reduced_motion,
+     *        forced_colors, high_contrast): true - все включённые в devices.json, или список
+     * @param {Object} options.auth - авторизация (см. prepareAuth)
+     * @param {Array} options.states - именованные состояния [{ name, steps }] (см. interaction-runner)
+     * @param {Object} options.ignore - исключаемые области { selectors, regions }
+     * @param {string} options.captureMode - 'full' | 'viewport' | 'element'
+     * @param {string} options.selector - селектор компонента для captureMode: 'element'
+     * @param {boolean} options.crossBrowser - сравнить рендеринг браузеров с эталонным движком
+     *        (браузеры профиля дополняются cross_browser.required_browsers)
+     * @param {string} options.referenceBrowser - эталонный движок (по умолчанию первый из required_browsers)
+     * @param {AIVisionAnalyzer} options.responsiveAI - AI-анализатор для сравнения мобильной, планшетной
+     *        и десктопной версий (results.responsive, см. reviewResponsive)
+     * @param {boolean} options.aiCache - false - не брать ответы responsiveAI из кэша
      */
     async checkPage(url, options = {}) {
         const { profile = 'standard', saveBaseline = false, checkDarkMode = false } = options;
-        const { devices, browsers } = this.getDevicesForProfile(profile);
+        const { captureMode = 'full', selector = null } = options;
+        this.validateCaptureMode(captureMode, selector);
+        const { devices, browsers: profileBrowsers } = this.getDevicesForProfile(profile);
+        const crossBrowser = options.crossBrowser ? this.resolveCrossBrowser(profileBrowsers, options.referenceBrowser) : null;
+        const browsers = crossBrowser ? crossBrowser.browsers : profileBrowsers;
+        const states = this.resolveStates(options.states);
+        const ignore = this.resolveIgnore(options.ignore);
 
-        // Режимы для проверки
-        const colorSchemes = checkDarkMode ? ['light', 'dark'] : ['light'];
+        // Режимы для проверки (цветовые схемы + accessibility-эмуляция)
+        const modes = this.getEmulationModes({ checkDarkMode, accessibilityModes: options.accessibilityModes });
 
         // Все найденные проблемы со всех устройств
         const allIssues = [];
@@ -372,99 +753,60 @@ export class VisualQAAgent {
             action_summary: null // Сводка для агента
         };
 
-        for (const colorScheme of colorSchemes) {
-            const schemeLabel = colorScheme === 'dark' ? '🌙' : '☀️';
-
+        // Все комбинации режим × браузер × устройство × состояние
+        const tasks = [];
+        for (const mode of modes) {
             for (const browserType of browsers) {
                 for (const device of devices) {
-                    console.log(`  ${schemeLabel} 📱 ${device.name} (${browserType}, ${colorScheme})...`);
-
-                    let browser = null;
-                    try {
-                        // Захватываем с keepOpen=true для анализа
-                        const { screenshot, metadata, page, browser: br } = await this.captureScreenshot(
-                            url, device, browserType, true, colorScheme
-                        );
-                        browser = br;
-
-                        // Добавляем colorScheme в metadata
-                        metadata.colorScheme = colorScheme;
-
-                        const schemeSuffix = colorScheme === 'dark' ? '_dark' : '';
-                        const checkId = `${device.id}_${browserType}${schemeSuffix}`;
-                        const screenshotPath = path.join(
-                            this.reportsPath,
-                            'screenshots',
-                            `${checkId}_${Date.now()}.png`
-                        );
-
-                        await fs.ensureDir(path.dirname(screenshotPath));
-                        await fs.writeFile(screenshotPath, screenshot);
-
-                        // Детектируем проблемы через IssueDetector (пока page открыт!)
-                        const detectedIssues = await this.issueDetector.detectIssues(page, device, metadata);
-
-                        // Помечаем проблемы как относящиеся к dark mode
-                        if (colorScheme === 'dark') {
-                            detectedIssues.forEach(issue => {
-                                issue.colorScheme = 'dark';
-                                issue.title = `[Dark Mode] ${issue.title}`;
-                            });
-                        }
+                    for (const state of states) {
+                        tasks.push({ mode, browserType, device, state });
+                    }
+                }
+            }
+        }
 
-                        allIssues.push(...detectedIssues);
+        // Проверки идут параллельно в пуле браузеров (не больше pool.concurrency контекстов),
+        // результаты собираются в исходном порядке - как при последовательном запуске
+        const release = this.pool.hold();
+        let outcomes;
+        try {
+            // Авторизация выполняется один раз для всех устройств и браузеров
+            const auth = await this.prepareAuth(url, options.auth);
 
-                        // Базовые проверки
-                        const checkResults = await this.runChecks(screenshot, metadata, device);
+            outcomes = await Promise.all(tasks.map(task =>
+                this.checkDevice(url, task, { auth, ignore, captureMode, selector })
+            ));
+        } finally {
+            await release();
+        }
 
-                        // Определяем статус на основе найденных проблем
-                        const hasCritical = detectedIssues.some(i => i.severity === 'critical');
-                        const hasWarnings = detectedIssues.some(i => i.severity === 'warning');
+        for (const { check, issues } of outcomes) {
+            results.checks.push(check);
+            allIssues.push(...issues);
 
-                        let status = 'passed';
-                        if (hasCritical) status = 'failed';
-                        else if (hasWarnings) status = 'warning';
+            if (check.status === 'error') {
+                results.summary.failed++;
+                continue;
+            }
 
-                        const deviceLabel = colorScheme === 'dark' ? `${device.name} (Dark)` : device.name;
+            results.summary.total++;
+            if (check.status === 'passed') results.summary.passed++;
+            else if (check.status === 'failed') results.summary.failed++;
+            else results.summary.warnings++;
+        }
 
-                        results.checks.push({
-                            device: deviceLabel,
-                            device_id: device.id,
-                            browser: browserType,
-                            viewport: device.viewport,
-                            is_mobile: device.is_mobile || false,
-                            colorScheme: colorScheme,
-                            screenshot: screenshotPath,
-                            status,
-                            issues_count: detectedIssues.length,
-                            ...checkResults
-                        });
+        // Расхождения браузеров с эталонным движком
+        if (crossBrowser) {
+            const { issues, ...matrix } = await this.compareAcrossBrowsers(results, crossBrowser.reference);
+            results.crossBrowser = matrix;
+            allIssues.push(...issues);
+        }
 
-                        results.summary.total++;
-                        if (status === 'passed') results.summary.passed++;
-                        else if (status === 'failed') results.summary.failed++;
-                        else results.summary.warnings++;
-
-                    } catch (error) {
-                        console.error(`    ✗ Ошибка: ${error.message}`);
-                        const deviceLabel = colorScheme === 'dark' ? `${device.name} (Dark)` : device.name;
-                        results.checks.push({
-                            device: deviceLabel,
-                            device_id: device.id,
-                            browser: browserType,
-                            colorScheme: colorScheme,
-                            status: 'error',
-                            error: error.message
-                        });
-                        results.summary.failed++;
-                    } finally {
-                        // Закрываем браузер после анализа
-                        if (browser) {
-                            await browser.close();
-                        }
-                    }
-                }
-            }
+        // AI-сравнение брейкпоинтов одной страницы
+        if (options.responsiveAI) {
+            const { reviews, issues } = await this.reviewResponsive(results, options.responsiveAI, { cache: options.aiCache !== false });
+            results.responsive = reviews;
+            allIssues.push(...issues);
         }
 
         // Дедупликация проблем (одна проблема может быть на нескольких устройствах)
@@ -479,6 +821,345 @@ export class VisualQAAgent {
         return results;
     }
 
+    /**
+     * Браузеры и эталонный движок для кросс-браузерного сравнения
+     * @returns {{reference: string, browsers: string[]}}
+     */
+    resolveCrossBrowser(profileBrowsers, referenceBrowser = null) {
+        const required = this.standards?.cross_browser?.required_browsers || ['chromium', 'firefox', 'webkit'];
+        const reference = referenceBrowser || required[0];
+
+        if (!this.browsers[reference]) {
+            throw new Error(`Неизвестный эталонный браузер "${reference}". Доступны: ${Object.keys(this.browsers).join(', ')}`);
+        }
+
+        const browsers = [...new Set([reference, ...profileBrowsers, ...required])];
+        return { reference, browsers };
+    }
+
+    /**
+     * Сравнение скриншотов каждого браузера со скриншотом эталонного движка
+     * для того же устройства, режима, состояния и области захвата
+     * Пороги - cross_browser.tolerance (font_rendering_tolerance как допустимое снижение SSIM,
+     * rendering_diff_percent как допустимая доля пикселей), сравнивается общая область скриншотов
+     * @param {Object} results - результаты checkPage
+     * @param {string} reference - эталонный браузер
+     * @returns {Promise<{reference: string, tolerance: Object, matrix: Array, issues: Array}>}
+     */
+    async compareAcrossBrowsers(results, reference) {
+        const comparator = this.createComparator();
+        const tolerance = this.standards?.cross_browser?.tolerance || {};
+        const groups = new Map();
+
+        for (const check of results.checks) {
+            const key = [check.device_id, check.emulation, check.state || '', check.captureMode || 'full', check.selector || ''].join('|');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(check);
+        }
+
+        const matrix = [];
+        const issues = [];
+
+        for (const checks of groups.values()) {
+            const referenceCheck = checks.find(check => check.browser === reference);
+            const row = {
+                device: referenceCheck?.device || checks[0].device,
+                device_id: checks[0].device_id,
+                viewport: checks[0].viewport,
+                emulation: checks[0].emulation,
+                state: checks[0].state,
+                browsers: {}
+            };
+            matrix.push(row);
+
+            for (const check of checks) {
+                if (check.status === 'error' || !check.screenshot) {
+                    row.browsers[check.browser] = { status: 'error', message: check.error || 'Скриншот не получен' };
+                    continue;
+                }
+                if (check.browser === reference) {
+                    row.browsers[check.browser] = { status: 'reference', screenshot: check.screenshot };
+                    continue;
+                }
+                if (!referenceCheck || referenceCheck.status === 'error') {
+                    row.browsers[check.browser] = { status: 'error', message: `Нет скриншота ${reference} для сравнения` };
+                    continue;
+                }
+
+                const thresholds = crossBrowserThresholds(
+                    tolerance,
+                    comparator.resolveThresholds({ url: results.url, device: check.device_id })
+                );
+                const diffImage = check.screenshot.replace('.png', `_vs_${reference}.png`);
+                const comparison = await comparator.compare(referenceCheck.screenshot, check.screenshot, diffImage, {
+                    ignoreRegions: comparator.mergeIgnoreRegions(referenceCheck.ignoreRegions, check.ignoreRegions),
+                    layouts: { baseline: referenceCheck.layout || null, current: check.layout || null },
+                    sizeStrategy: thresholds.sizeStrategy,
+                    thresholds
+                });
+                const analysis = comparator.analyzeResults(comparison, thresholds);
+
+                row.browsers[check.browser] = {
+                    status: analysis.status,
+                    message: analysis.message,
+                    diffPercent: comparison.diffPercent,
+                    ssim: comparison.ssim,
+                    ssimMin: comparison.ssimMin,
+                    regions: (comparison.regions || []).slice(0, 3),
+                    screenshot: check.screenshot,
+                    diffImage: comparison.diffImagePath || null,
+                    thresholds: analysis.thresholds
+                };
+
+                if (analysis.status === 'warning' || analysis.status === 'failed') {
+                    issues.push(...this.issueDetector.checkCrossBrowser(
+                        { browser: check.browser, reference, comparison: analysis, diffPercent: comparison.diffPercent },
+                        { id: check.device_id, name: check.device, viewport: check.viewport }
+                    ));
+                }
+            }
+        }
+
+        return { reference, tolerance, matrix, issues };
+    }
+
+    /**
+     * AI-сравнение мобильной, планшетной и десктопной версий страницы
+     * Для каждого режима, состояния и области захвата берётся по одному устройству
+     * каждой категории (портретная ориентация, первый браузер) - скриншоты уходят
+     * одним запросом в AIVisionAnalyzer.analyzeResponsive
+     * @param {Object} results - результаты checkPage
+     * @param {AIVisionAnalyzer} analyzer
+     * @param {Object} requestOptions - опции запроса анализатора ({ cache })
+     * @returns {Promise<{reviews: Array, issues: Array}>}
+     */
+    async reviewResponsive(results, analyzer, requestOptions = {}) {
+        const reviews = [];
+        const issues = [];
+        if (!analyzer.enabled) {
+            console.warn(`[VisualQAAgent] AI-сравнение брейкпоинтов пропущено: ${analyzer.disabledReason}`);
+            return { reviews, issues };
+        }
+
+        const checks = results.checks.filter(check => check.status !== 'error' && check.screenshot);
+        const browser = checks[0]?.browser;
+        const groups = new Map();
+        for (const check of checks.filter(check => check.browser === browser)) {
+            const key = [check.emulation, check.state || '', check.captureMode || 'full', check.selector || ''].join('|');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(check);
+        }
+
+        for (const group of groups.values()) {
+            const breakpoints = ['mobile', 'tablet', 'desktop']
+                .map(category => {
+                    const inCategory = group.filter(check => check.category === category);
+                    const check = inCategory.find(item => item.orientation !== 'landscape') || inCategory[0];
+                    return check ? { breakpoint: category, device: check.device, device_id: check.device_id, viewport: check.viewport, path: check.screenshot } : null;
+                })
+                .filter(Boolean);
+
+            if (breakpoints.length < 2) continue;
+            if (analyzer.budgetExceeded) break;
+
+            const { emulation, state } = group[0];
+            const analysis = await analyzer.analyzeResponsive(breakpoints, { url: results.url, browser, emulation, state }, requestOptions);
+            const review = {
+                browser,
+                emulation,
+                state,
+                breakpoints: breakpoints.map(({ path: screenshot, ...item }) => ({ ...item, screenshot })),
+                ...analysis
+            };
+            reviews.push(review);
+            if (!analysis.error && !analysis.skipped) {
+                issues.push(...this.issueDetector.checkResponsiveConsistency(review));
+            }
+        }
+
+        return { reviews, issues };
+    }
+
+    /**
+     * Проверка одной комбинации режим × браузер × устройство × состояние
+     * Контекст браузера закрывается сразу после детекции проблем
+     * @returns {Promise<{check: Object, issues: Array}>}
+     */
+    async checkDevice(url, task, options) {
+        const { mode, browserType, device, state } = task;
+        const { auth, ignore, captureMode, selector } = options;
+        const { colorScheme } = mode;
+
+        const stateLabel = state.name ? `, ${state.name}` : '';
+        console.log(`  ${mode.icon} 📱 ${device.name} (${browserType}, ${mode.id}${stateLabel})...`);
+
+        let deviceLabel = mode.label ? `${device.name} (${mode.label})` : device.name;
+        if (state.name) deviceLabel += ` [${state.name}]`;
+
+        let close = null;
+        try {
+            // Захватываем с keepOpen=true для анализа
+            const capture = await this.captureScreenshot(
+                url, device, browserType, true, colorScheme, { auth, steps: state.steps, ignore, mode: captureMode, selector, emulation: mode.emulation, measureVitals: true, collectLayout: true }
+            );
+            const { screenshot, metadata, page } = capture;
+            close = capture.close;
+
+            // Добавляем режим эмуляции и состояние в metadata
+            metadata.colorScheme = colorScheme;
+            metadata.emulation = mode.id;
+            metadata.emulationOptions = mode.emulation;
+            metadata.state = state.name;
+
+            const checkId = `${device.id}_${browserType}${mode.suffix}${this.stateSuffix(state.name)}${this.captureSuffix(captureMode, selector)}`;
+            // Слаг страницы: при обходе сайта одинаковые проверки разных страниц идут одновременно
+            const screenshotPath = path.join(
+                this.reportsPath,
+                'screenshots',
+                `${this.urlToSlug(url)}_${checkId}_${Date.now()}.png`
+            );
+
+            await fs.ensureDir(path.dirname(screenshotPath));
+            await fs.writeFile(screenshotPath, screenshot);
+
+            // Детектируем проблемы через IssueDetector (пока page открыт!)
+            const detectedIssues = await this.issueDetector.detectIssues(page, device, metadata);
+
+            // Помечаем проблемы режимом (dark mode, forced colors, ...)
+            if (mode.titlePrefix) {
+                detectedIssues.forEach(issue => {
+                    if (colorScheme === 'dark') issue.colorScheme = 'dark';
+                    issue.emulation = mode.id;
+                    issue.title = `${mode.titlePrefix} ${issue.title}`;
+                });
+            }
+
+            // Помечаем проблемы состоянием страницы
+            if (state.name) {
+                detectedIssues.forEach(issue => {
+                    issue.state = state.name;
+                    issue.title = `[${state.name}] ${issue.title}`;
+                });
+            }
+
+            // Базовые проверки
+            const checkResults = await this.runChecks(screenshot, metadata, device);
+
+            // Определяем статус на основе найденных проблем
+            const hasCritical = detectedIssues.some(i => i.severity === 'critical');
+            const hasWarnings = detectedIssues.some(i => i.severity === 'warning');
+
+            let status = 'passed';
+            if (hasCritical) status = 'failed';
+            else if (hasWarnings) status = 'warning';
+
+            return {
+                check: {
+                    device: deviceLabel,
+                    device_id: device.id,
+                    browser: browserType,
+                    viewport: device.viewport,
+                    category: device.category,
+                    orientation: device.orientation,
+                    is_mobile: device.is_mobile || false,
+                    colorScheme: colorScheme,
+                    emulation: mode.id,
+                    state: state.name,
+                    captureMode,
+                    selector: metadata.selector,
+                    screenshot: screenshotPath,
+                    ignoreRegions: metadata.ignoreRegions,
+                    webVitals: metadata.webVitals,
+                    layout: metadata.layout,
+                    status,
+                    issues_count: detectedIssues.length,
+                    ...checkResults
+                },
+                issues: detectedIssues
+            };
+
+        } catch (error) {
+            console.error(`    ✗ Ошибка (${deviceLabel}, ${browserType}): ${error.message}`);
+            return {
+                check: {
+                    device: deviceLabel,
+                    device_id: device.id,
+                    browser: browserType,
+                    colorScheme: colorScheme,
+                    emulation: mode.id,
+                    state: state.name,
+                    status: 'error',
+                    error: error.message
+                },
+                issues: []
+            };
+        } finally {
+            // Закрываем контекст после анализа
+            if (close) {
+                await close();
+            }
+        }
+    }
+
+    /**
+     * Список режимов эмуляции для проверки
+     * Всегда проверяется светлая схема, dark - по checkDarkMode,
+     * accessibility-режимы - из devices.json → accessibility_modes
+     */
+    getEmulationModes({ checkDarkMode = false, accessibilityModes = false } = {}) {
+        const names = ['light'];
+        if (checkDarkMode) names.push('dark');
+
+        if (accessibilityModes) {
+            const configured = this.devices?.accessibility_modes || {};
+            const requested = Array.isArray(accessibilityModes)
+                ? accessibilityModes
+                : Object.keys(configured).filter(name => configured[name]);
+
+            for (const name of requested) {
+                if (!EMULATION_MODES[name] || ['light', 'dark'].includes(name)) {
+                    throw new Error(`Неизвестный accessibility-режим "${name}". Доступны: reduced_motion, forced_colors, high_contrast`);
+                }
+                // prefers-reduced-motion можно отключить в quality-standards.json
+                if (name === 'reduced_motion' && this.standards?.accessibility?.checks?.motion_reduced?.enabled === false) {
+                    continue;
+                }
+                if (!names.includes(name)) names.push(name);
+            }
+        }
+
+        return names.map(id => ({ id, ...EMULATION_MODES[id] }));
+    }
+
+    /**
+     * Список состояний страницы для проверки
+     * Без состояний проверяется только исходная страница (name: null)
+     */
+    resolveStates(states) {
+        if (!states || states.length === 0) {
+            return [{ name: null, steps: [] }];
+        }
+        validateStates(states);
+        return states.map(state => ({ name: state.name, steps: state.steps || [] }));
+    }
+
+    /**
+     * Суффикс состояния для ID проверок и имён файлов
+     */
+    stateSuffix(stateName) {
+        return stateName ? `_${stateToSlug(stateName)}` : '';
+    }
+
+    /**
+     * Ключ для дедупликации: тип + браузер (для кросс-браузерных расхождений)
+     * + состояние страницы + элемент
+     */
+    issueKey(issue) {
+        const browser = issue.browser ? `${issue.browser}-` : '';
+        const state = issue.state ? `${issue.state}-` : '';
+        return `${issue.type}-${browser}${state}${issue.element?.selector || issue.title}`;
+    }
+
     /**
      * Дедупликация проблем (объединение одинаковых с разных устройств)
      */
@@ -486,8 +1167,7 @@ export class VisualQAAgent {
         const seen = new Map();
 
         for (const issue of issues) {
-            // Ключ для дедупликации: тип + элемент
-            const key = `${issue.type}-${issue.element?.selector || issue.title}`;
+            const key = this.issueKey(issue);
 
             if (seen.has(key)) {
                 // Добавляем устройство к существующей проблеме
@@ -577,12 +1257,360 @@ export class VisualQAAgent {
         return { issues };
     }
 
+    /**
+     * Проход страницы по диапазону ширин (breakpoint sweep)
+     * Одна страница ресайзится с шагом step, на каждой ширине ищутся горизонтальный
+     * скролл и выходящие за экран элементы. Для каждой проблемы вычисляются диапазоны
+     * ширин, где она проявляется; границы уточняются бинарным поиском до 1px
+     * @param {string} url - URL страницы
+     * @param {Object} options - по умолчанию из responsiveness.sweep
+     * @param {number} options.from - начальная ширина, px
+     * @param {number} options.to - конечная ширина, px
+     * @param {number} options.step - шаг, px
+     * @param {number} options.height - высота viewport, px
+     * @param {string} options.browserType - браузер
+     * @param {boolean} options.refine - уточнять границы диапазонов до 1px
+     * @param {Object} options.auth - авторизация (см. prepareAuth)
+     * @returns {Promise<Object>} результаты в формате checkPage (checks пустой, проход - в sweep)
+     */
+    async sweepPage(url, options = {}) {
+        validateUrl(url);
+
+        const responsiveness = this.standards?.responsiveness || {};
+        const breakpoints = responsiveness.breakpoints || {};
+        const config = responsiveness.sweep || {};
+        const {
+            from = config.from ?? 320,
+            to = config.to ?? 1440,
+            step = config.step ?? 20,
+            height = config.height ?? 900,
+            browserType = 'chromium',
+            refine = true
+        } = options;
+        const thumbnailWidth = config.thumbnail_width || 160;
+
+        const widths = sweepWidths({ from, to, step }, breakpoints);
+        const sweepDir = path.join(this.reportsPath, 'sweep', `${this.urlToSlug(url)}_${Date.now()}`);
+        await fs.ensureDir(sweepDir);
+
+        const detected = new Map(); // ширина → issues
+        const steps = [];
+        const groups = new Map();   // ключ проблемы → { issue, present }
+        const issueKey = issue => `${issue.type}|${issue.title}|${issue.element?.selector || ''}`;
+
+        console.log(`  ↔ Sweep ${from}–${to}px, шаг ${step}px (${widths.length} ширин, ${browserType})...`);
+
+        const release = this.pool.hold();
+        try {
+            const auth = await this.prepareAuth(url, options.auth);
+            const { context, close } = await this.pool.openContext(browserType, {
+                viewport: { width: widths[0], height },
+                ...(auth || {})
+            });
+
+            try {
+                const page = await context.newPage();
+                await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
+                await page.waitForTimeout(500);
+
+                // Проверки одной ширины (результат кэшируется для уточнения границ)
+                const detect = async (width) => {
+                    if (detected.has(width)) return detected.get(width);
+
+                    await page.setViewportSize({ width, height });
+                    await page.waitForTimeout(150); // Перерасчёт layout и media queries
+
+                    const device = { id: `w${width}`, name: `${width}px`, viewport: { width, height } };
+                    const issues = [];
+                    const scrollIssue = await this.issueDetector.checkHorizontalScroll(page, device);
+                    if (scrollIssue) issues.push(scrollIssue);
+                    issues.push(...await this.issueDetector.checkOverflow(page, device));
+
+                    detected.set(width, issues);
+                    return issues;
+                };
+
+                for (const width of widths) {
+                    const issues = await detect(width);
+
+                    const thumbnailPath = path.join(sweepDir, `w${width}.png`);
+                    await fs.writeFile(thumbnailPath, thumbnail(await page.screenshot({ type: 'png' }), thumbnailWidth));
+
+                    steps.push({
+                        width,
+                        breakpoint: breakpointFor(width, breakpoints),
+                        issues_count: issues.length,
+                        critical: issues.some(issue => issue.severity === 'critical'),
+                        thumbnail: thumbnailPath
+                    });
+
+                    for (const issue of issues) {
+                        const key = issueKey(issue);
+                        if (!groups.has(key)) groups.set(key, { issue, present: new Set() });
+                        groups.get(key).present.add(width);
+                    }
+                }
+
+                // Диапазоны ширин и уточнение их границ между соседними шагами
+                for (const group of groups.values()) {
+                    group.ranges = groupRanges(widths, group.present);
+                    if (!refine) continue;
+
+                    const key = issueKey(group.issue);
+                    const hasIssue = async width => (await detect(width)).some(issue => issueKey(issue) === key);
+
+                    for (const range of group.ranges) {
+                        const before = widths[widths.indexOf(range.from) - 1];
+                        const after = widths[widths.indexOf(range.to) + 1];
+
+                        if (before !== undefined) {
+                            let lo = before;
+                            let hi = range.from;
+                            while (hi - lo > 1) {
+                                const mid = Math.floor((lo + hi) / 2);
+                                if (await hasIssue(mid)) hi = mid;
+                                else lo = mid;
+                            }
+                            range.from = hi;
+                        }
+                        if (after !== undefined) {
+                            let lo = range.to;
+                            let hi = after;
+                            while (hi - lo > 1) {
+                                const mid = Math.floor((lo + hi) / 2);
+                                if (await hasIssue(mid)) lo = mid;
+                                else hi = mid;
+                            }
+                            range.to = lo;
+                        }
+                    }
+                }
+            } finally {
+                await close();
+            }
+        } finally {
+            await release();
+        }
+
+        // Одна проблема на весь проход - с диапазонами ширин и filmstrip каждого диапазона
+        const thumbnails = new Map(steps.map(s => [s.width, s.thumbnail]));
+        const issues = Array.from(groups.values()).map(({ issue, ranges }, index) => {
+            const label = ranges.map(r => (r.from === r.to ? `${r.from}px` : `${r.from}–${r.to}px`)).join(', ');
+            return {
+                ...issue,
+                id: `sweep-${issue.id.replace(/-w\d+$/, '')}-${index + 1}`,
+                title: `${issue.title} (${label})`,
+                description: `${issue.description}. Проявляется на ширинах: ${label}`,
+                device: `Sweep ${from}–${to}px`,
+                viewport: { width: ranges[0].from, height },
+                width_ranges: ranges.map(range => ({
+                    from: range.from,
+                    to: range.to,
+                    breakpoints: [...new Set([breakpointFor(range.from, breakpoints), breakpointFor(range.to, breakpoints)])].filter(Boolean),
+                    filmstrip: sample(range.widths, 6).map(width => ({ width, thumbnail: thumbnails.get(width) }))
+                }))
+            };
+        });
+
+        const withIssues = steps.filter(s => s.issues_count > 0);
+        const summary = {
+            total: steps.length,
+            passed: steps.length - withIssues.length,
+            failed: withIssues.filter(s => s.critical).length,
+            warnings: withIssues.filter(s => !s.critical).length,
+            blocks_release: issues.some(issue => issue.blocks_release)
+        };
+
+        return {
+            url,
+            mode: 'sweep',
+            timestamp: new Date().toISOString(),
+            checks: [],
+            issues,
+            summary,
+            sweep: { from, to, step, height, browser: browserType, breakpoints, steps },
+            action_summary: this.issueDetector.generateSummaryForAgent(issues)
+        };
+    }
+
+    /**
+     * Проверка всего сайта: поиск страниц (sitemap.xml + ссылки) и checkPage каждой
+     * @param {string} rootUrl - корневая страница или адрес sitemap.xml
+     * @param {Object} options
+     * @param {number} options.maxDepth - глубина обхода ссылок (0 - только стартовые страницы)
+     * @param {number} options.maxPages - максимум проверяемых страниц
+     * @param {string[]} options.include - glob-шаблоны страниц для проверки (`/blog/*`)
+     * @param {string[]} options.exclude - glob-шаблоны исключаемых страниц
+     * @param {boolean} options.sitemap - добавить страницы из <origin>/sitemap.xml
+     * @param {number} options.pageConcurrency - сколько страниц проверяется одновременно
+     *        (контексты браузеров по-прежнему ограничены pool.concurrency)
+     * @param {Object} options.auth - авторизация (см. prepareAuth), выполняется один раз
+     * @param {string} options.profile - профиль устройств
+     * @param {boolean} options.checkDarkMode - проверять также в тёмном режиме
+     * @param {boolean|string[]} options.accessibilityModes - accessibility-режимы (см. checkPage)
+     * @param {Array} options.states - состояния, проверяемые на каждой странице
+     * @param {Object} options.ignore - исключаемые области { selectors, regions }
+     * @param {string} options.captureMode - 'full' | 'viewport' | 'element'
+     * @param {string} options.selector - селектор компонента для captureMode: 'element'
+     * @returns {Promise<Object>} сводные результаты в формате checkPage + pages и crawl
+     */
+    async crawlSite(rootUrl, options = {}) {
+        validateUrl(rootUrl);
+
+        const {
+            include = [],
+            exclude = [],
+            sitemap = false,
+            profile = 'standard',
+            checkDarkMode = false
+        } = options;
+        const { states, ignore, captureMode = 'full', selector = null, accessibilityModes } = options;
+        this.validateCaptureMode(captureMode, selector);
+        const maxDepth = parseLimit(options.maxDepth, 'maxDepth', DEFAULT_MAX_DEPTH);
+        const maxPages = parseLimit(options.maxPages, 'maxPages', DEFAULT_MAX_PAGES);
+        const pageConcurrency = parseLimit(options.pageConcurrency, 'pageConcurrency', DEFAULT_PAGE_CONCURRENCY);
+
+        const { origin, pathname } = new URL(rootUrl);
+        const fromSitemap = /\.xml$/i.test(pathname);
+        const sitemapUrl = fromSitemap ? rootUrl : (sitemap ? `${origin}/sitemap.xml` : null);
+
+        const release = this.pool.hold();
+        let discovered;
+        let outcomes;
+        try {
+            // Авторизация один раз: все страницы получают готовый storageState
+            const prepared = await this.prepareAuth(rootUrl, options.auth);
+            const auth = prepared
+                ? { storageState: prepared.storageState, headers: prepared.extraHTTPHeaders }
+                : undefined;
+
+            const seeds = fromSitemap ? [] : [rootUrl];
+            if (sitemapUrl) {
+                console.log(`  🗺️  Чтение ${sitemapUrl}...`);
+                seeds.push(...await readSitemap(sitemapUrl, { limit: maxPages * 5 }));
+            }
+            if (seeds.length === 0) {
+                throw new Error(`В ${sitemapUrl} нет страниц`);
+            }
+
+            // Поиск ссылок - в одной вкладке chromium, страницы открываются по очереди
+            console.log(`  🕸️  Поиск страниц (глубина ${maxDepth}, не больше ${maxPages})...`);
+            const { context, close } = await this.pool.openContext('chromium', prepared || {});
+            try {
+                const page = await context.newPage();
+                discovered = await discoverPages({
+                    seeds,
+                    maxDepth,
+                    maxPages,
+                    include,
+                    exclude,
+                    fetchLinks: async (url) => {
+                        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+                        return extractLinks(page);
+                    }
+                });
+            } finally {
+                await close();
+            }
+
+            console.log(`  📄 Найдено страниц: ${discovered.length}`);
+
+            outcomes = await mapWithConcurrency(discovered, pageConcurrency, async (entry, index) => {
+                console.log(`  [${index + 1}/${discovered.length}] ${entry.url}`);
+                try {
+                    const result = await this.checkPage(entry.url, {
+                        profile, checkDarkMode, accessibilityModes, auth, states, ignore, captureMode, selector
+                    });
+                    return { entry, result };
+                } catch (error) {
+                    console.warn(`[VisualQAAgent] ${entry.url}: ${error.message}`);
+                    return { entry, error: error.message };
+                }
+            });
+        } finally {
+            await release();
+        }
+
+        const results = {
+            url: rootUrl,
+            mode: 'crawl',
+            profile,
+            timestamp: new Date().toISOString(),
+            checks: [],
+            issues: [],
+            pages: [],
+            summary: {
+                total: 0,
+                passed: 0,
+                failed: 0,
+                warnings: 0,
+                pages: discovered.length,
+                pages_failed: 0,
+                blocks_release: false
+            },
+            crawl: { root: rootUrl, sitemap: sitemapUrl, maxDepth, maxPages, include, exclude },
+            action_summary: null
+        };
+
+        // Одна и та же проблема на многих страницах (общий header, footer) - одна запись со списком страниц
+        const siteIssues = new Map();
+
+        for (const { entry, result, error } of outcomes) {
+            const page = { url: entry.url, depth: entry.depth, status: 'error', summary: null, issues_count: 0, error: error || null };
+            results.pages.push(page);
+
+            if (!result) {
+                results.summary.pages_failed++;
+                results.summary.failed++;
+                continue;
+            }
+
+            const { summary } = result;
+            page.summary = summary;
+            page.issues_count = result.issues.length;
+            page.status = summary.failed > 0 ? 'failed' : (summary.warnings > 0 ? 'warning' : 'passed');
+            if (page.status === 'failed') results.summary.pages_failed++;
+
+            results.summary.total += summary.total;
+            results.summary.passed += summary.passed;
+            results.summary.failed += summary.failed;
+            results.summary.warnings += summary.warnings;
+
+            for (const check of result.checks) {
+                results.checks.push({ ...check, page: entry.url });
+            }
+
+            for (const issue of result.issues) {
+                const key = this.issueKey(issue);
+                const existing = siteIssues.get(key);
+                if (!existing) {
+                    siteIssues.set(key, { ...issue, page: entry.url, pages: [entry.url] });
+                    continue;
+                }
+                existing.pages.push(entry.url);
+                for (const device of issue.affected_devices || [issue.device]) {
+                    if (!existing.affected_devices.includes(device)) existing.affected_devices.push(device);
+                }
+            }
+        }
+
+        results.issues = Array.from(siteIssues.values());
+        results.summary.blocks_release = results.issues.some(issue => issue.blocks_release);
+        results.action_summary = this.issueDetector.generateSummaryForAgent(results.issues);
+
+        return results;
+    }
+
     /**
      * Сохранение baseline скриншотов для сравнения
+     * @throws {Error} если часть снимков не удалась (удачные уже записаны в manifest.json)
      */
     async saveBaseline(url, options = {}) {
-        const { profile = 'standard' } = options;
+        const { profile = 'standard', captureMode = 'full', selector = null } = options;
+        this.validateCaptureMode(captureMode, selector);
         const { devices, browsers } = this.getDevicesForProfile(profile);
+        const states = this.resolveStates(options.states);
+        const ignore = this.resolveIgnore(options.ignore);
 
         const urlSlug = this.urlToSlug(url);
         const baselinePath = path.join(this.baselinesPath, urlSlug);
@@ -590,27 +1618,312 @@ export class VisualQAAgent {
 
         console.log(`📸 Сохранение baseline для ${url}`);
 
+        const tasks = [];
         for (const browserType of browsers) {
             for (const device of devices) {
-                console.log(`  → ${device.name} (${browserType})...`);
+                for (const state of states) {
+                    tasks.push({ browserType, device, state });
+                }
+            }
+        }
+
+        // Снимки идут параллельно в общем пуле браузеров; ошибка одного снимка
+        // не прерывает остальные - пул освобождается только после всех
+        const release = this.pool.hold();
+        let outcomes;
+        try {
+            const auth = await this.prepareAuth(url, options.auth);
+
+            outcomes = await Promise.allSettled(tasks.map(async ({ browserType, device, state }) => {
+                const stateLabel = state.name ? `, ${state.name}` : '';
+                console.log(`  → ${device.name} (${browserType}${stateLabel})...`);
 
                 const { screenshot, metadata } = await this.captureScreenshot(
-                    url, device, browserType
+                    url, device, browserType, false, 'light', { auth, steps: state.steps, ignore, mode: captureMode, selector, collectLayout: true }
                 );
+                metadata.state = state.name;
+                metadata.colorScheme = 'light';
+                metadata.emulation = 'light';
 
-                const filename = `${device.id}_${browserType}.png`;
-                await fs.writeFile(path.join(baselinePath, filename), screenshot);
+                const baseName = this.baselineName({ deviceId: device.id, browser: browserType, state: state.name, captureMode, selector });
+                await fs.writeFile(path.join(baselinePath, `${baseName}.png`), screenshot);
 
                 // Сохраняем метаданные
-                const metaFilename = `${device.id}_${browserType}.json`;
-                await fs.writeJSON(path.join(baselinePath, metaFilename), metadata, { spaces: 2 });
-            }
+                await fs.writeJSON(path.join(baselinePath, `${baseName}.json`), metadata, { spaces: 2 });
+
+                return entryFromMetadata(`${baseName}.png`, metadata, await hashFile(path.join(baselinePath, `${baseName}.png`)));
+            }));
+        } finally {
+            await release();
+        }
+
+        const failures = [];
+        outcomes.forEach((outcome, index) => {
+            if (outcome.status === 'fulfilled') return;
+            const { browserType, device, state } = tasks[index];
+            const label = `${device.name} (${browserType}${state.name ? `, ${state.name}` : ''})`;
+            failures.push(`${label}: ${outcome.reason?.message || outcome.reason}`);
+            console.warn(`[VisualQAAgent] Baseline ${label} не сохранён: ${outcome.reason?.message || outcome.reason}`);
+        });
+
+        // manifest.json пишется один раз после всех снимков - для всех сохранённых PNG
+        const manifest = await readManifest(baselinePath);
+        manifest.url = url;
+        outcomes
+            .filter(outcome => outcome.status === 'fulfilled')
+            .forEach(outcome => upsertBaseline(manifest, outcome.value));
+        await writeManifest(baselinePath, manifest);
+
+        if (failures.length > 0) {
+            throw new Error(`Не удалось сохранить ${failures.length} из ${tasks.length} baseline в ${baselinePath}:\n${failures.join('\n')}`);
         }
 
         console.log(`✓ Baseline сохранён: ${baselinePath}`);
         return baselinePath;
     }
 
+    /**
+     * Имя файла baseline (без расширения) для комбинации устройство × браузер × режим
+     * Светлая схема без суффикса - так же называет файлы saveBaseline
+     */
+    baselineName({ deviceId, browser, emulation = 'light', state = null, captureMode = 'full', selector = null }) {
+        const modeSuffix = EMULATION_MODES[emulation]?.suffix || '';
+        return `${deviceId}_${browser}${modeSuffix}${this.stateSuffix(state)}${this.captureSuffix(captureMode, selector)}`;
+    }
+
+    /**
+     * Одобрение текущих скриншотов в качестве baseline
+     * Скриншоты выбранных проверок копируются в папку baseline страницы,
+     * в manifest.json записывается кто, когда и что одобрил.
+     * Результаты обхода сайта (crawlSite) одобряются по страницам: у каждой
+     * check.page своя папка baseline и свой manifest
+     * @param {Object} results - результаты checkPage или crawlSite (reports/latest/results.json)
+     * @param {Object} options
+     * @param {string[]} options.devices - ID устройств (device_id)
+     * @param {string[]} options.browsers - браузеры
+     * @param {boolean} options.failedOnly - только проверки, не прошедшие сравнение с baseline
+     * @param {boolean} options.all - все проверки со скриншотами
+     * @param {string} options.approvedBy - кто одобряет (по умолчанию пользователь ОС)
+     * @param {string} options.comment - комментарий к одобрению
+     * @param {string} options.screenshotsDir - одобрять только скриншоты внутри этой папки
+     *        (results.json из непроверенного источника, например MCP)
+     * @returns {Promise<{baselinePath: string, baselinePaths: string[], approved: Array, skipped: Array}>}
+     *          baselinePath - папка первой страницы, baselinePaths - все обновлённые папки
+     */
+    async approveBaselines(results, options = {}) {
+        const { devices = [], browsers = [], failedOnly = false, all = false, comment = null, screenshotsDir = null } = options;
+
+        if (!results?.url || !Array.isArray(results.checks)) {
+            throw new Error('Результаты проверки не содержат url и checks - одобрять можно результаты visual-qa check');
+        }
+        if (!all && !failedOnly && devices.length === 0 && browsers.length === 0) {
+            throw new Error('Укажите, что одобрить: устройства, браузеры, только непрошедшие сравнение или все проверки');
+        }
+
+        const approvedBy = options.approvedBy || process.env.VISUAL_QA_APPROVER || os.userInfo().username;
+
+        // Проверки по страницам: при обходе сайта у каждой проверки своя check.page
+        const pages = new Map();
+        for (const check of results.checks) {
+            const pageUrl = check.page || results.url;
+            if (!pages.has(pageUrl)) pages.set(pageUrl, []);
+            pages.get(pageUrl).push(check);
+        }
+
+        const approved = [];
+        const skipped = [];
+        const baselinePaths = [];
+
+        for (const [pageUrl, checks] of pages) {
+            const baselinePath = path.join(this.baselinesPath, this.urlToSlug(pageUrl));
+            const pageApproved = await this.approvePageBaselines(pageUrl, baselinePath, checks, {
+                devices, browsers, failedOnly, comment, approvedBy, skipped, screenshotsDir, crawl: Boolean(results.crawl)
+            });
+            if (pageApproved.length > 0) baselinePaths.push(baselinePath);
+            approved.push(...pageApproved);
+        }
+
+        return {
+            baselinePath: baselinePaths[0] || path.join(this.baselinesPath, this.urlToSlug(results.url)),
+            baselinePaths,
+            approved,
+            skipped
+        };
+    }
+
+    /**
+     * Одобрение проверок одной страницы (см. approveBaselines)
+     * @param {string} pageUrl - URL страницы
+     * @param {string} baselinePath - папка baseline страницы
+     * @param {Array} checks - проверки страницы
+     * @param {Object} options - фильтры approveBaselines, approvedBy и общий список skipped
+     * @returns {Promise<Array>} записи об одобрении
+     */
+    async approvePageBaselines(pageUrl, baselinePath, checks, options) {
+        const { devices, browsers, failedOnly, comment, approvedBy, skipped, screenshotsDir, crawl } = options;
+        const manifest = await readManifest(baselinePath);
+        manifest.url = manifest.url || pageUrl;
+
+        const approved = [];
+
+        for (const check of checks) {
+            if (devices.length > 0 && !devices.includes(check.device_id)) continue;
+            if (browsers.length > 0 && !browsers.includes(check.browser)) continue;
+            if (failedOnly && (!check.comparison || check.comparison.status === 'passed')) continue;
+
+            if (check.status === 'error' || !check.screenshot || !await fs.pathExists(check.screenshot)) {
+                skipped.push({
+                    device: check.device,
+                    browser: check.browser,
+                    ...(crawl ? { page: pageUrl } : {}),
+                    reason: check.error || 'Скриншот не найден'
+                });
+                continue;
+            }
+
+            if (screenshotsDir && !isInsideDir(check.screenshot, screenshotsDir)) {
+                skipped.push({
+                    device: check.device,
+                    browser: check.browser,
+                    ...(crawl ? { page: pageUrl } : {}),
+                    reason: `Скриншот вне ${screenshotsDir}`
+                });
+                continue;
+            }
+
+            const baseName = this.baselineName({
+                deviceId: check.device_id,
+                browser: check.browser,
+                emulation: check.emulation,
+                state: check.state,
+                captureMode: check.captureMode,
+                selector: check.selector
+            });
+            const approvedAt = new Date().toISOString();
+
+            await fs.ensureDir(baselinePath);
+            await fs.copy(check.screenshot, path.join(baselinePath, `${baseName}.png`));
+
+            // Метаданные в том же формате, что пишет saveBaseline
+            const metadata = {
+                url: pageUrl,
+                device: check.device_id,
+                browser: check.browser,
+                viewport: check.viewport,
+                colorScheme: check.colorScheme,
+                emulation: check.emulation || 'light',
+                state: check.state,
+                captureMode: check.captureMode,
+                selector: check.selector,
+                ignoreRegions: check.ignoreRegions || [],
+                layout: check.layout || null,
+                timestamp: approvedAt
+            };
+            await fs.writeJSON(path.join(baselinePath, `${baseName}.json`), metadata, { spaces: 2 });
+
+            const hash = await hashFile(path.join(baselinePath, `${baseName}.png`));
+            upsertBaseline(manifest, { ...entryFromMetadata(`${baseName}.png`, metadata, hash), approved_by: approvedBy });
+
+            const approval = {
+                file: `${baseName}.png`,
+                ...(crawl ? { page: pageUrl, baseline_path: baselinePath } : {}),
+                device_id: check.device_id,
+                browser: check.browser,
+                emulation: check.emulation || 'light',
+                state: check.state || null,
+                capture_mode: check.captureMode || 'full',
+                diff_percent: check.diffPercent ?? null,
+                hash,
+                source: check.screenshot,
+                approved_by: approvedBy,
+                approved_at: approvedAt,
+                comment
+            };
+            recordApproval(manifest, approval);
+            approved.push(approval);
+        }
+
+        if (approved.length > 0) {
+            await writeManifest(baselinePath, manifest);
+        }
+
+        return approved;
+    }
+
+    /**
+     * PixelComparator с порогами, стратегией размеров и переопределениями
+     * из секции visual_regression quality-standards.json
+     * @param {Object} options - опции PixelComparator поверх конфигурации
+     */
+    createComparator(options = {}) {
+        return new PixelComparator({
+            standards: this.standards?.visual_regression,
+            ...options
+        });
+    }
+
+    /**
+     * Сравнение проверок с baseline страницы
+     * Baseline для каждой проверки ищется в manifest.json по устройству, браузеру,
+     * режиму, состоянию и области захвата. Результат записывается в check.comparison,
+     * check.diffPercent и check.baselinePath
+     * @param {Object} results - результаты checkPage
+     * @returns {Promise<{baselinePath: string, found: boolean, compared: number, missing: number}>}
+     */
+    async compareWithBaseline(results) {
+        const baselinePath = path.join(this.baselinesPath, this.urlToSlug(results.url));
+        if (!await fs.pathExists(baselinePath)) {
+            return { baselinePath, found: false, compared: 0, missing: 0 };
+        }
+
+        const comparator = this.createComparator();
+        const manifest = await readManifest(baselinePath);
+        let compared = 0;
+        let missing = 0;
+
+        for (const check of results.checks) {
+            if (!check.screenshot) continue;
+
+            const entry = findBaseline(manifest, {
+                device_id: check.device_id,
+                browser: check.browser,
+                emulation: check.emulation,
+                state: check.state,
+                capture_mode: check.captureMode,
+                selector: check.selector
+            });
+            const baselineFile = entry && path.join(baselinePath, entry.file);
+
+            if (!entry || !await fs.pathExists(baselineFile)) {
+                missing++;
+                continue;
+            }
+
+            if (entry.hash && await hashFile(baselineFile) !== entry.hash) {
+                console.warn(`[VisualQAAgent] ${entry.file}: файл изменён в обход baseline/approve (хэш не совпадает с manifest.json)`);
+            }
+
+            const diffPath = check.screenshot.replace('.png', '_diff.png');
+            const baselineMeta = await comparator.readMetadata(baselineFile);
+            const ignoreRegions = comparator.mergeIgnoreRegions(
+                baselineMeta?.ignoreRegions || [],
+                check.ignoreRegions
+            );
+            const thresholds = comparator.resolveThresholds({ url: results.url, device: check.device_id });
+            const comparison = await comparator.compare(baselineFile, check.screenshot, diffPath, {
+                ignoreRegions,
+                layouts: { baseline: baselineMeta?.layout || null, current: check.layout || null },
+                thresholds
+            });
+            check.comparison = comparator.analyzeResults(comparison, thresholds);
+            check.diffPercent = comparison.diffPercent;
+            check.baselinePath = baselineFile; // Для visual diff overlay
+            compared++;
+        }
+
+        return { baselinePath, found: true, compared, missing };
+    }
+
     /**
      * Преобразование URL в безопасное имя файла
      */
@@ -0,0 +1,186 @@
+/**
+ * WebVitals - Измерение Core Web Vitals при захвате страницы
+ *
+ * Init-скрипт подписывается на PerformanceObserver до загрузки страницы,
+ * после загрузки значения LCP, CLS и FCP оцениваются по порогам
+ * `performance_visual` из quality-standards.json.
+ *
+ * LCP и CLS поддерживаются только в Chromium - в остальных браузерах
+ * метрика возвращается со значением null и рейтингом 'unknown'.
+ */
+
+/**
+ * Метрики и соответствующие секции performance_visual
+ */
+export const WEB_VITALS = {
+    lcp: { key: 'largest_contentful_paint', name: 'LCP', unit: 'ms' },
+    cls: { key: 'cumulative_layout_shift', name: 'CLS', unit: null },
+    fcp: { key: 'first_contentful_paint', name: 'FCP', unit: 'ms' }
+};
+
+/**
+ * Скрипт, выполняемый в странице до её загрузки (page.addInitScript)
+ * Собирает LCP-элемент и источники сдвигов макета с их селекторами
+ */
+export function webVitalsInitScript() {
+    const vitals = { lcp: null, lcpElement: null, cls: 0, fcp: null, shifts: [] };
+    window.__visualQaVitals = vitals;
+
+    function describe(el) {
+        if (!el || el.nodeType !== 1) return null;
+        let selector = el.tagName.toLowerCase();
+        if (el.id) {
+            selector = `#${el.id}`;
+        } else if (el.className && typeof el.className === 'string') {
+            const classes = el.className.split(' ').filter(c => c && !c.includes(':'));
+            if (classes.length > 0) selector = `.${classes[0]}`;
+        }
+        return { selector, tag: el.tagName.toLowerCase(), src: el.currentSrc || el.src || null };
+    }
+
+    function observe(type, callback) {
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback))
+                .observe({ type, buffered: true });
+        } catch (e) {
+            // Тип записи не поддерживается браузером
+        }
+    }
+
+    observe('largest-contentful-paint', entry => {
+        vitals.lcp = entry.startTime;
+        vitals.lcpElement = describe(entry.element);
+    });
+
+    observe('paint', entry => {
+        if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+    });
+
+    // CLS - максимальное "окно" сдвигов (паузы < 1с, окно не длиннее 5с)
+    let windowValue = 0;
+    let windowStart = 0;
+    let lastShift = 0;
+    observe('layout-shift', entry => {
+        if (entry.hadRecentInput) return;
+
+        if (windowValue > 0 && (entry.startTime - lastShift > 1000 || entry.startTime - windowStart > 5000)) {
+            windowValue = 0;
+        }
+        if (windowValue === 0) windowStart = entry.startTime;
+        windowValue += entry.value;
+        lastShift = entry.startTime;
+        vitals.cls = Math.max(vitals.cls, windowValue);
+
+        for (const source of entry.sources || []) {
+            const element = describe(source.node);
+            if (!element) continue;
+            vitals.shifts.push({
+                ...element,
+                value: entry.value,
+                height: source.currentRect?.height || 0
+            });
+        }
+    });
+}
+
+/**
+ * Чтение собранных метрик со страницы
+ * @param {Page} page - страница Playwright после загрузки
+ * @returns {Promise<Object|null>} { lcp, lcpElement, cls, fcp, clsSources }
+ */
+export async function collectWebVitals(page) {
+    const raw = await page.evaluate(() => {
+        const vitals = window.__visualQaVitals;
+        if (!vitals) return null;
+
+        // FCP доступен и без PerformanceObserver
+        const paint = performance.getEntriesByType('paint')
+            .find(p => p.name === 'first-contentful-paint');
+        const layoutShiftSupported = (PerformanceObserver.supportedEntryTypes || []).includes('layout-shift');
+
+        return {
+            lcp: vitals.lcp,
+            lcpElement: vitals.lcpElement,
+            cls: layoutShiftSupported ? vitals.cls : null,
+            fcp: vitals.fcp ?? paint?.startTime ?? null,
+            shifts: vitals.shifts
+        };
+    });
+    if (!raw) return null;
+
+    // Суммируем вклад каждого элемента в сдвиги
+    const bySelector = new Map();
+    for (const shift of raw.shifts) {
+        const existing = bySelector.get(shift.selector);
+        if (existing) {
+            existing.value += shift.value;
+            existing.height = Math.max(existing.height, shift.height);
+        } else {
+            bySelector.set(shift.selector, { selector: shift.selector, tag: shift.tag, value: shift.value, height: shift.height });
+        }
+    }
+
+    const clsSources = Array.from(bySelector.values())
+        .sort((a, b) => b.value - a.value)
+        .slice(0, 5)
+        .map(source => ({ ...source, value: Math.round(source.value * 1000) / 1000 }));
+
+    return {
+        lcp: raw.lcp,
+        lcpElement: raw.lcpElement,
+        cls: raw.cls,
+        fcp: raw.fcp,
+        clsSources
+    };
+}
+
+/**
+ * Рейтинг значения по порогам { good, needs_improvement }
+ * @returns {'good'|'needs-improvement'|'poor'|'unknown'}
+ */
+export function rateMetric(value, thresholds) {
+    if (value === null || value === undefined || !thresholds) return 'unknown';
+    if (value <= thresholds.good) return 'good';
+    if (value <= thresholds.needs_improvement) return 'needs-improvement';
+    return 'poor';
+}
+
+/**
+ * Оценка собранных метрик по performance_visual
+ * @param {Object} raw - результат collectWebVitals()
+ * @param {Object} performanceStandards - секция performance_visual
+ * @returns {Object} { lcp: { value, rating, thresholds, unit, element }, cls: {..., sources}, fcp }
+ */
+export function rateWebVitals(raw, performanceStandards = {}) {
+    if (!raw) return null;
+
+    const rated = {};
+    for (const [metric, { key, name, unit }] of Object.entries(WEB_VITALS)) {
+        const thresholds = performanceStandards?.[key] || null;
+        const value = raw[metric] === null || raw[metric] === undefined
+            ? null
+            : metric === 'cls'
+                ? Math.round(raw[metric] * 1000) / 1000
+                : Math.round(raw[metric]);
+
+        rated[metric] = {
+            name,
+            value,
+            unit,
+            rating: rateMetric(value, thresholds),
+            thresholds: thresholds ? { good: thresholds.good, needs_improvement: thresholds.needs_improvement } : null
+        };
+    }
+
+    rated.lcp.element = raw.lcpElement;
+    rated.cls.sources = raw.clsSources;
+    return rated;
+}
+
+export default {
+    WEB_VITALS,
+    webVitalsInitScript,
+    collectWebVitals,
+    rateMetric,
+    rateWebVitals
+};
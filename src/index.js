@@ -5,7 +5,9 @@
  */
 
 export { VisualQAAgent } from './core/visual-agent.js';
+export { BrowserPool } from './core/browser-pool.js';
 export { AIVisionAnalyzer } from './analyzers/ai-vision-analyzer.js';
+export { createProvider, AnthropicProvider, OpenAICompatibleProvider, MockProvider } from './analyzers/ai-providers.js';
 export { PixelComparator } from './analyzers/pixel-comparator.js';
 export { HTMLReporter } from './reporters/html-reporter.js';
 
@@ -54,10 +56,11 @@ export async function fullCheck(url, options = {}) {
     const aiAnalyzer = new AIVisionAnalyzer(options);
     if (aiAnalyzer.enabled) {
         for (const check of results.checks) {
+            if (aiAnalyzer.budgetExceeded) break;
             if (check.screenshot) {
                 const analysis = await aiAnalyzer.analyzeScreenshot(
                     check.screenshot,
-                    { device: check.device, browser: check.browser, url }
+                    { device: check.device, browser: check.browser, viewport: check.viewport, url }
                 );
                 check.aiAnalysis = analysis;
                 if (analysis.issues) {
@@ -65,6 +68,7 @@ export async function fullCheck(url, options = {}) {
                 }
             }
         }
+        results.ai = aiAnalyzer.getStats();
     }
 
     const reporter = new HTMLReporter(options);
@@ -28,8 +28,8 @@ import { fileURLToPath } from 'url';
 
 import { VisualQAAgent } from './core/visual-agent.js';
 import { AIVisionAnalyzer } from './analyzers/ai-vision-analyzer.js';
-import { PixelComparator } from './analyzers/pixel-comparator.js';
 import { HTMLReporter } from './reporters/html-reporter.js';
+import { parseLimit, DEFAULT_MAX_DEPTH, DEFAULT_MAX_PAGES, DEFAULT_PAGE_CONCURRENCY } from './core/site-crawler.js';
 import { validateUrl, validateFilePath, findDeviceById } from './utils/helpers.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -59,6 +59,7 @@ async function getAgent() {
             configPath: path.join(PROJECT_ROOT, 'config'),
             baselinesPath: path.join(PROJECT_ROOT, 'baselines'),
             reportsPath: path.join(PROJECT_ROOT, 'reports'),
+            concurrency: process.env.VISUAL_QA_CONCURRENCY,
         });
         await agent.init();
     }
@@ -72,6 +73,132 @@ function getAIAnalyzer() {
     return aiAnalyzer;
 }
 
+/**
+ * Преобразование аргумента auth из MCP (snake_case) в опции агента
+ */
+function parseAuthArgs(auth) {
+    if (!auth) return null;
+
+    // Скрипт входа выполняется как модуль Node.js - через MCP только CLI (--login-script)
+    if (auth.login_script) {
+        throw new Error('login_script недоступен через MCP: используйте storage_state или visual-qa --login-script');
+    }
+
+    return {
+        storageState: auth.storage_state ? validateFilePath(auth.storage_state, PROJECT_ROOT) : undefined,
+        cookies: auth.cookies,
+        headers: auth.headers
+    };
+}
+
+// Схема авторизации, общая для check и baseline
+const AUTH_INPUT_SCHEMA = {
+    type: 'object',
+    description: 'Авторизация для страниц за логином. Выполняется один раз и переиспользуется для всех устройств и браузеров',
+    properties: {
+        storage_state: {
+            type: 'string',
+            description: 'Путь к файлу storageState Playwright (cookies + localStorage) внутри проекта',
+        },
+        cookies: {
+            type: 'array',
+            description: 'Cookies для контекста браузера (без domain привязываются к origin URL)',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    value: { type: 'string' },
+                    domain: { type: 'string' },
+                    path: { type: 'string' },
+                },
+                required: ['name', 'value'],
+            },
+        },
+        headers: {
+            type: 'object',
+            description: 'Дополнительные HTTP заголовки (например Authorization)',
+            additionalProperties: { type: 'string' },
+        },
+    },
+};
+
+// Схема именованных состояний страницы (шаги перед скриншотом)
+const STATES_INPUT_SCHEMA = {
+    type: 'array',
+    description: `Именованные состояния страницы. Для каждого состояния страница загружается заново,
+выполняются шаги, затем делается скриншот и детекция проблем.
+Действия: goto(url), click(selector), fill(selector, value), hover(selector), press(key, selector?),
+waitForSelector(selector, state?), scrollTo(selector | x, y), evaluate(script), wait(ms)`,
+    items: {
+        type: 'object',
+        properties: {
+            name: {
+                type: 'string',
+                description: 'Имя состояния (например "menu-open", "checkout-step-2")',
+            },
+            steps: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        action: {
+                            type: 'string',
+                            enum: ['goto', 'click', 'fill', 'hover', 'press', 'waitForSelector', 'scrollTo', 'evaluate', 'wait'],
+                        },
+                        selector: { type: 'string' },
+                        value: { type: 'string' },
+                        key: { type: 'string' },
+                        url: { type: 'string' },
+                        script: { type: 'string' },
+                        state: { type: 'string' },
+                        ms: { type: 'number' },
+                        x: { type: 'number' },
+                        y: { type: 'number' },
+                        timeout: { type: 'number' },
+                    },
+                    required: ['action'],
+                },
+            },
+        },
+        required: ['name', 'steps'],
+    },
+};
+
+// Схема исключаемых из сравнения областей
+const IGNORE_INPUT_SCHEMA = {
+    type: 'object',
+    description: 'Области с динамическим контентом (карусели, часы, реклама): закрашиваются при захвате, сохраняются с baseline и пропускаются при сравнении',
+    properties: {
+        selectors: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'CSS-селекторы элементов для маскирования',
+        },
+        regions: {
+            type: 'array',
+            description: 'Прямоугольные области в CSS-пикселях страницы',
+            items: {
+                type: 'object',
+                properties: {
+                    x: { type: 'number' },
+                    y: { type: 'number' },
+                    width: { type: 'number' },
+                    height: { type: 'number' },
+                },
+                required: ['x', 'y', 'width', 'height'],
+            },
+        },
+    },
+};
+
+// Режим захвата скриншота
+const CAPTURE_MODE_INPUT_SCHEMA = {
+    type: 'string',
+    enum: ['full', 'viewport', 'element'],
+    description: 'Режим захвата: full - вся страница, viewport - только первый экран, element - один компонент по selector. У каждого режима свой baseline',
+    default: 'full',
+};
+
 // Определение инструментов
 server.setRequestHandler(ListToolsRequestSchema, async () => {
     return {
@@ -103,9 +230,19 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                         },
                         ai_analysis: {
                             type: 'boolean',
-                            description: 'Включить AI-анализ скриншотов (требует ANTHROPIC_API_KEY)',
+                            description: 'Включить AI-анализ скриншотов (провайдер из VISUAL_QA_AI_PROVIDER, по умолчанию Claude с ANTHROPIC_API_KEY)',
+                            default: false,
+                        },
+                        ai_responsive: {
+                            type: 'boolean',
+                            description: 'AI-сравнение мобильной, планшетной и десктопной версий страницы: пропавшие элементы, порядок контента, сломанная навигация',
                             default: false,
                         },
+                        ai_cache: {
+                            type: 'boolean',
+                            description: 'Брать ответы AI из кэша для неизменившихся скриншотов (false - отправить все заново)',
+                            default: true,
+                        },
                         compare_baseline: {
                             type: 'boolean',
                             description: 'Сравнить с baseline если существует',
@@ -116,11 +253,34 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                             description: 'Также проверить в тёмном режиме (prefers-color-scheme: dark)',
                             default: false,
                         },
+                        accessibility_modes: {
+                            type: 'array',
+                            items: { type: 'string', enum: ['reduced_motion', 'forced_colors', 'high_contrast'] },
+                            description: 'Дополнительные accessibility-режимы эмуляции. Forced colors также ищет элементы, которые пропадают или теряют границы',
+                        },
+                        cross_browser: {
+                            type: 'boolean',
+                            description: 'Сравнить скриншоты chromium, firefox и webkit одного устройства с эталонным движком: расхождения вёрстки возвращаются как issues типа cross_browser',
+                            default: false,
+                        },
+                        reference_browser: {
+                            type: 'string',
+                            enum: ['chromium', 'firefox', 'webkit'],
+                            description: 'Эталонный движок для cross_browser (по умолчанию первый из cross_browser.required_browsers)',
+                        },
                         capture_console: {
                             type: 'boolean',
                             description: 'Захватить логи консоли браузера (JS ошибки, network failures)',
                             default: false,
                         },
+                        auth: AUTH_INPUT_SCHEMA,
+                        states: STATES_INPUT_SCHEMA,
+                        ignore: IGNORE_INPUT_SCHEMA,
+                        capture_mode: CAPTURE_MODE_INPUT_SCHEMA,
+                        selector: {
+                            type: 'string',
+                            description: 'CSS-селектор компонента для capture_mode: element (например ".pricing-card")',
+                        },
                     },
                     required: ['url'],
                 },
@@ -144,10 +304,63 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                             description: 'Профиль устройств',
                             default: 'standard',
                         },
+                        auth: AUTH_INPUT_SCHEMA,
+                        states: STATES_INPUT_SCHEMA,
+                        ignore: IGNORE_INPUT_SCHEMA,
+                        capture_mode: CAPTURE_MODE_INPUT_SCHEMA,
+                        selector: {
+                            type: 'string',
+                            description: 'CSS-селектор компонента для capture_mode: element (например ".pricing-card")',
+                        },
                     },
                     required: ['url'],
                 },
             },
+            {
+                name: 'visual_qa_approve',
+                description: `Принимает текущие скриншоты последней проверки как новые baseline.
+
+Одобряет выбранные устройства/браузеры или все проверки, не прошедшие сравнение.
+Кто, когда и что одобрил, записывается в manifest.json папки baseline.
+Используйте после visual_qa_check с compare_baseline, когда изменения намеренные.`,
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        devices: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'ID устройств (device_id из checks), например ["iphone_14_pro"]',
+                        },
+                        browsers: {
+                            type: 'array',
+                            items: { type: 'string', enum: ['chromium', 'firefox', 'webkit'] },
+                            description: 'Браузеры',
+                        },
+                        failed_only: {
+                            type: 'boolean',
+                            description: 'Все проверки, не прошедшие сравнение с baseline',
+                            default: false,
+                        },
+                        all: {
+                            type: 'boolean',
+                            description: 'Все проверки со скриншотами',
+                            default: false,
+                        },
+                        approved_by: {
+                            type: 'string',
+                            description: 'Кто одобряет (имя ревьюера)',
+                        },
+                        comment: {
+                            type: 'string',
+                            description: 'Почему изменение принято',
+                        },
+                        results_path: {
+                            type: 'string',
+                            description: 'Путь к results.json внутри проекта (по умолчанию последний отчёт); одобряются только скриншоты из reports/',
+                        },
+                    },
+                },
+            },
             {
                 name: 'visual_qa_compare',
                 description: `Сравнивает текущие скриншоты с baseline (эталоном).
@@ -165,6 +378,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                             type: 'string',
                             description: 'Путь к директории с текущими скриншотами',
                         },
+                        size_strategy: {
+                            type: 'string',
+                            enum: ['align', 'pad', 'crop', 'fail'],
+                            description: 'Снимки разного размера: align - совместить совпадающие строки, pad - дополнить меньший, crop - общая область, fail - не сравнивать (по умолчанию из quality-standards.json)',
+                        },
                     },
                     required: ['baseline_dir', 'current_dir'],
                 },
@@ -173,7 +391,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 name: 'visual_qa_analyze',
                 description: `AI-анализ скриншота на визуальные проблемы.
 
-Использует Claude Vision для обнаружения:
+Использует vision-модель провайдера (Claude, OpenAI-совместимый сервер, mock) для обнаружения:
 - UX/UI проблем
 - Проблем с layout
 - Accessibility нарушений
@@ -190,6 +408,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                             description: 'Фокус на проверке accessibility',
                             default: false,
                         },
+                        ai_cache: {
+                            type: 'boolean',
+                            description: 'Взять ответ из кэша, если этот скриншот уже анализировался',
+                            default: true,
+                        },
                     },
                     required: ['image_path'],
                 },
@@ -263,6 +486,83 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                     required: ['urls'],
                 },
             },
+            {
+                name: 'visual_qa_crawl',
+                description: `Проверка всего сайта: поиск страниц и visual_qa_check каждой.
+
+Стартует с корневого URL или адреса sitemap.xml и идёт по ссылкам того же origin
+до заданной глубины и числа страниц. include/exclude - glob-шаблоны (* - любая подстрока)
+по URL или пути, например "/blog/*". Страницы проверяются с ограниченной параллельностью.
+Возвращает один сводный отчёт: статус каждой страницы и проблемы сайта
+(одна проблема на общем header/footer - одна запись со списком страниц).`,
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        url: {
+                            type: 'string',
+                            description: 'Корневая страница или адрес sitemap.xml',
+                        },
+                        max_depth: {
+                            type: 'integer',
+                            minimum: 0,
+                            description: 'Глубина обхода ссылок (0 - только стартовая страница или sitemap)',
+                            default: 2,
+                        },
+                        max_pages: {
+                            type: 'integer',
+                            minimum: 0,
+                            description: 'Максимум проверяемых страниц',
+                            default: 20,
+                        },
+                        include: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Проверять только страницы по шаблонам, например ["/blog/*"]',
+                        },
+                        exclude: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Пропускать страницы по шаблонам, например ["/admin/*", "*?page=*"]',
+                        },
+                        sitemap: {
+                            type: 'boolean',
+                            description: 'Добавить страницы из <origin>/sitemap.xml',
+                            default: false,
+                        },
+                        page_concurrency: {
+                            type: 'integer',
+                            minimum: 0,
+                            description: 'Сколько страниц проверять одновременно',
+                            default: 2,
+                        },
+                        profile: {
+                            type: 'string',
+                            enum: ['quick', 'standard', 'comprehensive', 'mobile_first'],
+                            description: 'Профиль проверки (по умолчанию: quick)',
+                            default: 'quick',
+                        },
+                        check_dark_mode: {
+                            type: 'boolean',
+                            description: 'Проверить также в тёмном режиме',
+                            default: false,
+                        },
+                        accessibility_modes: {
+                            type: 'array',
+                            items: { type: 'string', enum: ['reduced_motion', 'forced_colors', 'high_contrast'] },
+                            description: 'Дополнительные accessibility-режимы эмуляции для каждой страницы',
+                        },
+                        auth: AUTH_INPUT_SCHEMA,
+                        states: STATES_INPUT_SCHEMA,
+                        ignore: IGNORE_INPUT_SCHEMA,
+                        capture_mode: CAPTURE_MODE_INPUT_SCHEMA,
+                        selector: {
+                            type: 'string',
+                            description: 'CSS-селектор компонента для capture_mode: element',
+                        },
+                    },
+                    required: ['url'],
+                },
+            },
             {
                 name: 'visual_qa_console',
                 description: `Захват логов консоли браузера (F12 DevTools Console).
@@ -302,6 +602,49 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                     required: ['url'],
                 },
             },
+            {
+                name: 'visual_qa_sweep',
+                description: `Проход страницы по непрерывному диапазону ширин (breakpoint sweep).
+
+Меняет ширину одной страницы с заданным шагом, добавляя брейкпоинты из
+responsiveness.breakpoints и ширины на 1px меньше них. На каждой ширине ищет
+горизонтальный скролл и выходящие за экран элементы.
+Возвращает точные диапазоны ширин, где проявляется каждая проблема (например 901–1023px),
+и filmstrip миниатюр в HTML-отчёте. Находит ошибки между ширинами устройств профиля.`,
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        url: {
+                            type: 'string',
+                            description: 'URL страницы для проверки',
+                        },
+                        from: {
+                            type: 'number',
+                            description: 'Начальная ширина, px (по умолчанию responsiveness.sweep.from)',
+                        },
+                        to: {
+                            type: 'number',
+                            description: 'Конечная ширина, px (по умолчанию responsiveness.sweep.to)',
+                        },
+                        step: {
+                            type: 'number',
+                            description: 'Шаг, px (по умолчанию responsiveness.sweep.step)',
+                        },
+                        height: {
+                            type: 'number',
+                            description: 'Высота viewport, px',
+                        },
+                        browser: {
+                            type: 'string',
+                            enum: ['chromium', 'firefox', 'webkit'],
+                            description: 'Браузер для проверки',
+                            default: 'chromium',
+                        },
+                        auth: AUTH_INPUT_SCHEMA,
+                    },
+                    required: ['url'],
+                },
+            },
         ],
     };
 });
@@ -320,9 +663,27 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 const compareBaseline = args.compare_baseline || false;
                 const checkDarkMode = args.check_dark_mode || false;
                 const captureConsole = args.capture_console || false;
+                const auth = parseAuthArgs(args.auth);
+
+                // Счётчики AI (кэш, токены, бюджет) - за этот вызов
+                const analyzer = aiAnalysis || args.ai_responsive ? getAIAnalyzer() : null;
+                analyzer?.resetStats();
 
                 // Проверка страницы (теперь возвращает структурированные issues с fix-ами)
-                const results = await agent.checkPage(url, { profile, checkDarkMode });
+                const results = await agent.checkPage(url, {
+                    profile,
+                    checkDarkMode,
+                    auth,
+                    states: args.states,
+                    ignore: args.ignore,
+                    captureMode: args.capture_mode || 'full',
+                    selector: args.selector,
+                    accessibilityModes: args.accessibility_modes,
+                    crossBrowser: args.cross_browser || false,
+                    referenceBrowser: args.reference_browser,
+                    responsiveAI: args.ai_responsive ? analyzer : null,
+                    aiCache: args.ai_cache !== false
+                });
 
                 // Захват консоли если включён
                 let consoleData = null;
@@ -379,13 +740,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
                 // AI-анализ если включён
                 if (aiAnalysis) {
-                    const analyzer = getAIAnalyzer();
                     if (analyzer.enabled) {
                         for (const check of results.checks) {
+                            if (analyzer.budgetExceeded) break;
                             if (check.screenshot) {
                                 const analysis = await analyzer.analyzeScreenshot(
                                     check.screenshot,
-                                    { device: check.device, browser: check.browser, url }
+                                    { device: check.device, browser: check.browser, viewport: check.viewport, url },
+                                    { cache: args.ai_cache !== false }
                                 );
                                 if (analysis.issues) {
                                     check.issues = [...(check.issues || []), ...analysis.issues];
@@ -395,28 +757,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                         }
                     }
                 }
+                if (analyzer?.enabled) {
+                    results.ai = analyzer.getStats();
+                }
 
-                // Сравнение с baseline
+                // Сравнение с baseline (baseline ищется через manifest.json)
                 if (compareBaseline) {
-                    const comparator = new PixelComparator();
-                    const baselineDir = path.join(PROJECT_ROOT, 'baselines', agent.urlToSlug(url));
-
-                    if (await fs.pathExists(baselineDir)) {
-                        for (const check of results.checks) {
-                            if (check.screenshot) {
-                                const deviceSlug = check.device?.toLowerCase().replace(/\s+/g, '_').replace(/"/g, '');
-                                const baselinePath = path.join(baselineDir, `${deviceSlug}_${check.browser}.png`);
-
-                                if (await fs.pathExists(baselinePath)) {
-                                    const diffPath = check.screenshot.replace('.png', '_diff.png');
-                                    const comparison = await comparator.compare(baselinePath, check.screenshot, diffPath);
-                                    check.comparison = comparator.analyzeResults(comparison);
-                                    check.diffPercent = comparison.diffPercent;
-                                    check.baselinePath = baselinePath; // Для visual diff overlay
-                                }
-                            }
-                        }
-                    }
+                    await agent.compareWithBaseline(results);
                 }
 
                 // Генерация отчёта
@@ -452,6 +799,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                         title: issue.title,
                         description: issue.description,
                         affected_devices: issue.affected_devices,
+                        state: issue.state,
+                        emulation: issue.emulation,
+                        browser: issue.browser,
                         element: issue.element ? {
                             selector: issue.element.selector,
                             tag: issue.element.tag
@@ -464,13 +814,50 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                         device: c.device,
                         device_id: c.device_id,
                         browser: c.browser,
+                        state: c.state,
+                        emulation: c.emulation,
+                        capture_mode: c.captureMode,
+                        selector: c.selector,
                         viewport: c.viewport,
                         is_mobile: c.is_mobile,
                         status: c.status,
                         issues_count: c.issues_count || 0,
                         screenshot: c.screenshot,
-                        diffPercent: c.diffPercent
+                        diffPercent: c.diffPercent,
+                        ssim: c.comparison?.ssim,
+                        comparison_thresholds: c.comparison?.thresholds,
+                        diff_regions: c.comparison?.regions,
+                        web_vitals: c.webVitals
                     })),
+                    cross_browser: results.crossBrowser ? {
+                        reference: results.crossBrowser.reference,
+                        matrix: results.crossBrowser.matrix.map(row => ({
+                            device: row.device,
+                            device_id: row.device_id,
+                            emulation: row.emulation,
+                            state: row.state,
+                            browsers: Object.fromEntries(Object.entries(row.browsers).map(([browser, cell]) => [browser, {
+                                status: cell.status,
+                                diffPercent: cell.diffPercent,
+                                ssim: cell.ssim,
+                                ssim_min: cell.ssimMin,
+                                message: cell.message,
+                                diff_image: cell.diffImage
+                            }]))
+                        }))
+                    } : null,
+                    responsive: results.responsive ? results.responsive.map(review => ({
+                        browser: review.browser,
+                        emulation: review.emulation,
+                        state: review.state,
+                        breakpoints: review.breakpoints.map(({ breakpoint, device, screenshot }) => ({ breakpoint, device, screenshot })),
+                        consistent: review.consistent,
+                        score: review.score,
+                        summary: review.summary,
+                        issues_count: review.issues?.length || 0,
+                        error: review.error
+                    })) : null,
+                    ai: results.ai || null,
                     report_path: reportPath,
                     json_results_path: jsonResultsPath
                 };
@@ -515,7 +902,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 - ⚠️ Предупреждений: ${results.summary.warnings}
 - ❌ Ошибок: ${results.summary.failed}
 - 📋 Всего проблем: ${results.issues.length}
-
+${results.ai ? `- 🤖 AI: ${results.ai.provider} (${results.ai.model}), кэш: ${results.ai.cache.hits} из ${results.ai.cache.hits + results.ai.cache.misses}, токены: ${results.ai.usage.input_tokens} → ${results.ai.usage.output_tokens}, ~$${results.ai.usage.cost_usd}${results.ai.usage.budget_exceeded ? ` (бюджет $${results.ai.usage.budget_usd} исчерпан)` : ''}\n` : ''}
 ${results.action_summary ? `### Действия\n${results.action_summary.action_required}\n` : ''}
 ${consoleData ? `### 🔍 Консоль браузера
 | Метрика | Значение |
@@ -551,7 +938,16 @@ ${JSON.stringify(machineReadableResponse, null, 2)}
                 const url = args.url;
                 const profile = args.profile || 'standard';
 
-                const baselinePath = await agent.saveBaseline(url, { profile });
+                const auth = parseAuthArgs(args.auth);
+
+                const baselinePath = await agent.saveBaseline(url, {
+                    profile,
+                    auth,
+                    states: args.states,
+                    ignore: args.ignore,
+                    captureMode: args.capture_mode || 'full',
+                    selector: args.selector
+                });
 
                 return {
                     content: [
@@ -569,8 +965,49 @@ ${JSON.stringify(machineReadableResponse, null, 2)}
                 };
             }
 
+            case 'visual_qa_approve': {
+                const agent = await getAgent();
+                const resultsPath = args.results_path
+                    ? validateFilePath(args.results_path, PROJECT_ROOT)
+                    : path.join(PROJECT_ROOT, 'reports', 'latest', 'results.json');
+
+                if (!await fs.pathExists(resultsPath)) {
+                    throw new Error(`Результаты не найдены: ${resultsPath}. Сначала выполните visual_qa_check`);
+                }
+
+                const results = await fs.readJSON(resultsPath);
+                const { baselinePath, baselinePaths, approved, skipped } = await agent.approveBaselines(results, {
+                    devices: args.devices || [],
+                    browsers: args.browsers || [],
+                    failedOnly: args.failed_only || false,
+                    all: args.all || false,
+                    approvedBy: args.approved_by,
+                    comment: args.comment,
+                    screenshotsDir: agent.reportsPath
+                });
+
+                let output = `## ✅ Одобрение baseline
+
+**URL:** ${results.url}
+**Одобрено:** ${approved.length}
+**Путь:** ${(baselinePaths.length > 0 ? baselinePaths : [baselinePath]).map(p => `\`${p}\``).join(', ')}
+`;
+                if (approved.length > 0) {
+                    output += `\n${approved.map(a => `- ${a.page ? `${a.page} → ` : ''}${a.file} — ${a.approved_by}, ${a.approved_at}`).join('\n')}\n`;
+                }
+                if (skipped.length > 0) {
+                    output += `\n**Пропущено:**\n${skipped.map(s => `- ${s.page ? `${s.page}: ` : ''}${s.device} (${s.browser}): ${s.reason}`).join('\n')}\n`;
+                }
+
+                output += `\n---\n**Машиночитаемый JSON:**\n\`\`\`json\n${JSON.stringify({ baseline_path: baselinePath, baseline_paths: baselinePaths, approved, skipped }, null, 2)}\n\`\`\``;
+
+                return {
+                    content: [{ type: 'text', text: output }],
+                };
+            }
+
             case 'visual_qa_compare': {
-                const comparator = new PixelComparator();
+                const comparator = (await getAgent()).createComparator({ sizeStrategy: args.size_strategy });
                 const outputDir = path.join(PROJECT_ROOT, 'reports', 'diff');
 
                 const results = await comparator.compareDirectories(
@@ -596,7 +1033,7 @@ ${JSON.stringify(machineReadableResponse, null, 2)}
 ### Детали
 ${results.comparisons.map(c => {
     if (c.status === 'matched') return `- ✓ ${c.file}: идентичны`;
-    if (c.status === 'different') return `- ✗ ${c.file}: различия ${c.diffPercent}%`;
+    if (c.status === 'different') return `- ✗ ${c.file}: различия ${c.diffPercent}% → ${c.verdict} (пороги: ${c.thresholds.metric === 'ssim' ? `SSIM >= ${c.thresholds.ssim_acceptable}` : `< ${c.thresholds.pixel_diff_percent}%`}, ${c.thresholds.sources.join(' → ')})${c.ssim !== undefined ? `, SSIM ${c.ssim} (худший тайл ${c.ssimMin})` : ''}${c.heightDelta ? ` (высота ${c.heightDelta > 0 ? '+' : ''}${c.heightDelta}px)` : ''}${(c.regions || []).slice(0, 3).map(r => `\n  - ${r.description}`).join('')}`;
     if (c.status === 'new') return `- ➕ ${c.file}: новый файл`;
     if (c.status === 'missing') return `- ➖ ${c.file}: отсутствует`;
     return `- ? ${c.file}: ${c.status}`;
@@ -616,7 +1053,7 @@ Diff-изображения сохранены в: \`${outputDir}\``,
                         content: [
                             {
                                 type: 'text',
-                                text: '❌ AI-анализ недоступен. Установите переменную окружения ANTHROPIC_API_KEY.',
+                                text: `❌ AI-анализ недоступен: ${analyzer.disabledReason}. Установите ANTHROPIC_API_KEY или настройте провайдера через VISUAL_QA_AI_PROVIDER.`,
                             },
                         ],
                     };
@@ -625,11 +1062,12 @@ Diff-изображения сохранены в: \`${outputDir}\``,
                 // Валидация пути к файлу (защита от path traversal)
                 const safePath = validateFilePath(args.image_path, PROJECT_ROOT);
 
+                const requestOptions = { cache: args.ai_cache !== false };
                 let results;
                 if (args.check_accessibility) {
-                    results = await analyzer.analyzeAccessibility(safePath);
+                    results = await analyzer.analyzeAccessibility(safePath, {}, requestOptions);
                 } else {
-                    results = await analyzer.analyzeScreenshot(safePath);
+                    results = await analyzer.analyzeScreenshot(safePath, {}, requestOptions);
                 }
 
                 return {
@@ -660,7 +1098,8 @@ ${JSON.stringify(results, null, 2)}`,
                     output += `### ${name}\n`;
                     output += `- ${profile.description}\n`;
                     output += `- Браузеры: ${profile.browsers.join(', ')}\n`;
-                    output += `- Устройств: ${deviceCount}\n\n`;
+                    output += `- Устройств: ${deviceCount}\n`;
+                    output += `- Ориентации: ${profile.orientations ? (Array.isArray(profile.orientations) ? profile.orientations.join(', ') : 'portrait + landscape') : 'только основная'}\n\n`;
                 }
 
                 output += '## Все устройства\n\n';
@@ -693,7 +1132,7 @@ ${JSON.stringify(results, null, 2)}`,
                 }
 
                 // Захватываем страницу
-                const { page, browser } = await agent.captureScreenshot(url, device, 'chromium', true);
+                const { page, close } = await agent.captureScreenshot(url, device, 'chromium', true);
 
                 try {
                     // Выполняем аудит
@@ -766,7 +1205,7 @@ ${JSON.stringify(results, null, 2)}`,
                         content: [{ type: 'text', text: output }],
                     };
                 } finally {
-                    await browser.close();
+                    await close();
                 }
             }
 
@@ -779,31 +1218,14 @@ ${JSON.stringify(results, null, 2)}`,
                 // Ограничиваем до 10 URL
                 const urlsToCheck = urls.slice(0, 10);
 
-                // Функция для ограничения параллельности (semaphore pattern)
-                const CONCURRENCY = 3;
-                let running = 0;
-                const queue = [];
+                console.log(`🚀 Batch проверка ${urlsToCheck.length} URL (профиль: ${profile}, контекстов: ${agent.pool.concurrency})...`);
 
-                const runWithLimit = async (fn) => {
-                    while (running >= CONCURRENCY) {
-                        await new Promise(resolve => queue.push(resolve));
-                    }
-                    running++;
-                    try {
-                        return await fn();
-                    } finally {
-                        running--;
-                        if (queue.length > 0) {
-                            queue.shift()();
-                        }
-                    }
-                };
-
-                console.log(`🚀 Batch проверка ${urlsToCheck.length} URL (профиль: ${profile})...`);
-
-                // Запускаем проверки параллельно с ограничением
-                const resultsPromises = urlsToCheck.map((url, index) =>
-                    runWithLimit(async () => {
+                // Все URL проверяются в общем пуле браузеров агента: параллельность
+                // ограничена числом контекстов, браузеры не перезапускаются между URL
+                const releaseBrowsers = agent.pool.hold();
+                let batchResults;
+                try {
+                    batchResults = await Promise.all(urlsToCheck.map(async (url, index) => {
                         console.log(`  [${index + 1}/${urlsToCheck.length}] Проверка ${url}...`);
                         try {
                             const result = await agent.checkPage(url, { profile, checkDarkMode });
@@ -812,10 +1234,10 @@ ${JSON.stringify(results, null, 2)}`,
                             console.error(`    ✗ Ошибка для ${url}: ${error.message}`);
                             return { url, status: 'error', error: error.message };
                         }
-                    })
-                );
-
-                const batchResults = await Promise.all(resultsPromises);
+                    }));
+                } finally {
+                    await releaseBrowsers();
+                }
 
                 // Агрегируем результаты
                 const aggregated = {
@@ -1021,6 +1443,155 @@ ${checkDarkMode ? '**Dark Mode:** включён' : ''}
                 };
             }
 
+            case 'visual_qa_sweep': {
+                const agent = await getAgent();
+                const results = await agent.sweepPage(args.url, {
+                    from: args.from,
+                    to: args.to,
+                    step: args.step,
+                    height: args.height,
+                    browserType: args.browser || 'chromium',
+                    auth: parseAuthArgs(args.auth)
+                });
+
+                const reporter = new HTMLReporter({ outputDir: path.join(PROJECT_ROOT, 'reports') });
+                const reportPath = await reporter.generate(results, { title: 'Visual QA Breakpoint Sweep' });
+                const { sweep, summary } = results;
+
+                const machineReadable = {
+                    url: results.url,
+                    range: { from: sweep.from, to: sweep.to, step: sweep.step, height: sweep.height },
+                    widths_checked: summary.total,
+                    widths_with_issues: summary.failed + summary.warnings,
+                    blocks_release: summary.blocks_release,
+                    issues: results.issues.map(issue => ({
+                        id: issue.id,
+                        type: issue.type,
+                        severity: issue.severity,
+                        title: issue.title,
+                        description: issue.description,
+                        width_ranges: issue.width_ranges.map(({ from, to, breakpoints }) => ({ from, to, breakpoints })),
+                        element: issue.element ? { selector: issue.element.selector, tag: issue.element.tag } : null,
+                        fix: issue.fix,
+                        blocks_release: issue.blocks_release
+                    })),
+                    report_path: reportPath
+                };
+
+                let output = `## ↔️ Breakpoint sweep: ${results.url}
+
+**Диапазон:** ${sweep.from}–${sweep.to}px, шаг ${sweep.step}px (${summary.total} ширин, ${sweep.browser})
+**Ширин с проблемами:** ${machineReadable.widths_with_issues}
+**Блокирует релиз:** ${summary.blocks_release ? '🛑 Да' : '✅ Нет'}
+`;
+                if (results.issues.length > 0) {
+                    output += `\n### Проблемы по диапазонам ширин\n\n`;
+                    for (const issue of results.issues) {
+                        output += `- ${issue.severity === 'critical' ? '🔴' : '🟡'} **${issue.title}**\n`;
+                        if (issue.fix?.suggestion) output += `  - ${issue.fix.suggestion}\n`;
+                    }
+                }
+
+                output += `\n- HTML-отчёт с filmstrip: \`${reportPath}\`\n`;
+                output += `\n---\n**Машиночитаемый JSON:**\n\`\`\`json\n${JSON.stringify(machineReadable, null, 2)}\n\`\`\``;
+
+                return {
+                    content: [{ type: 'text', text: output }],
+                };
+            }
+
+            case 'visual_qa_crawl': {
+                const maxDepth = parseLimit(args.max_depth, 'max_depth', DEFAULT_MAX_DEPTH);
+                const maxPages = parseLimit(args.max_pages, 'max_pages', DEFAULT_MAX_PAGES);
+                const pageConcurrency = parseLimit(args.page_concurrency, 'page_concurrency', DEFAULT_PAGE_CONCURRENCY);
+
+                const agent = await getAgent();
+                const results = await agent.crawlSite(args.url, {
+                    maxDepth,
+                    maxPages,
+                    include: args.include || [],
+                    exclude: args.exclude || [],
+                    sitemap: args.sitemap || false,
+                    pageConcurrency,
+                    profile: args.profile || 'quick',
+                    checkDarkMode: args.check_dark_mode || false,
+                    auth: parseAuthArgs(args.auth),
+                    states: args.states,
+                    ignore: args.ignore,
+                    captureMode: args.capture_mode || 'full',
+                    selector: args.selector,
+                    accessibilityModes: args.accessibility_modes
+                });
+
+                const reporter = new HTMLReporter({ outputDir: path.join(PROJECT_ROOT, 'reports') });
+                const reportPath = await reporter.generate(results, { title: 'Visual QA Site Report' });
+                const { summary } = results;
+
+                const machineReadable = {
+                    root: results.url,
+                    sitemap: results.crawl.sitemap,
+                    pages_checked: summary.pages,
+                    pages_failed: summary.pages_failed,
+                    summary: {
+                        total_checks: summary.total,
+                        passed: summary.passed,
+                        failed: summary.failed,
+                        warnings: summary.warnings,
+                        blocks_release: summary.blocks_release
+                    },
+                    pages: results.pages.map(page => ({
+                        url: page.url,
+                        depth: page.depth,
+                        status: page.status,
+                        issues_count: page.issues_count,
+                        error: page.error
+                    })),
+                    issues: results.issues.map(issue => ({
+                        id: issue.id,
+                        type: issue.type,
+                        severity: issue.severity,
+                        title: issue.title,
+                        pages: issue.pages,
+                        affected_devices: issue.affected_devices,
+                        element: issue.element ? { selector: issue.element.selector, tag: issue.element.tag } : null,
+                        fix: issue.fix,
+                        blocks_release: issue.blocks_release
+                    })),
+                    report_path: reportPath
+                };
+
+                let output = `## 🕸️ Проверка сайта: ${results.url}
+
+**Страниц:** ${summary.pages} (с ошибками: ${summary.pages_failed})
+**Проверок:** ${summary.total}, пройдено ${summary.passed}, ошибок ${summary.failed}, предупреждений ${summary.warnings}
+**Блокирует релиз:** ${summary.blocks_release ? '🛑 Да' : '✅ Нет'}
+
+### Страницы
+| Страница | Глубина | Статус | Проблем |
+|----------|---------|--------|---------|
+`;
+                for (const page of results.pages) {
+                    const icon = { passed: '✅', warning: '⚠️', failed: '❌' }[page.status] || '⚡';
+                    output += `| ${page.url} | ${page.depth} | ${icon} ${page.error || page.status} | ${page.issues_count} |\n`;
+                }
+
+                const critical = results.issues.filter(issue => issue.severity === 'critical');
+                if (critical.length > 0) {
+                    output += `\n### 🔴 Критические проблемы\n\n`;
+                    for (const issue of critical) {
+                        output += `- **${issue.title}** (${issue.pages.length} стр.)\n`;
+                        if (issue.fix?.suggestion) output += `  - ${issue.fix.suggestion}\n`;
+                    }
+                }
+
+                output += `\n- HTML-отчёт: \`${reportPath}\`\n`;
+                output += `\n---\n**Машиночитаемый JSON:**\n\`\`\`json\n${JSON.stringify(machineReadable, null, 2)}\n\`\`\``;
+
+                return {
+                    content: [{ type: 'text', text: output }],
+                };
+            }
+
             default:
                 throw new Error(`Неизвестный инструмент: ${name}`);
         }
@@ -58,12 +58,60 @@ export class HTMLReporter {
             }
         }
 
+        // Копируем diff-изображения кросс-браузерной матрицы
+        if (includeScreenshots && results.crossBrowser) {
+            const screenshotsDir = path.join(reportDir, 'screenshots');
+            await fs.ensureDir(screenshotsDir);
+
+            for (const row of results.crossBrowser.matrix) {
+                for (const cell of Object.values(row.browsers)) {
+                    if (cell.screenshot) {
+                        cell.screenshotRelative = `screenshots/${path.basename(cell.screenshot)}`;
+                    }
+                    if (cell.diffImage && await fs.pathExists(cell.diffImage)) {
+                        const diffFilename = path.basename(cell.diffImage);
+                        await fs.copy(cell.diffImage, path.join(screenshotsDir, diffFilename));
+                        cell.diffRelative = `screenshots/${diffFilename}`;
+                    }
+                }
+            }
+        }
+
+        // Скриншоты AI-сравнения брейкпоинтов уже скопированы вместе с проверками
+        if (includeScreenshots && results.responsive) {
+            for (const shot of results.responsive.flatMap(review => review.breakpoints)) {
+                shot.screenshotRelative = `screenshots/${path.basename(shot.screenshot)}`;
+            }
+        }
+
+        // Копируем миниатюры breakpoint sweep
+        if (includeScreenshots && results.sweep) {
+            const thumbnailsDir = path.join(reportDir, 'sweep');
+            await fs.ensureDir(thumbnailsDir);
+
+            const relative = new Map();
+            for (const step of results.sweep.steps) {
+                if (step.thumbnail && await fs.pathExists(step.thumbnail)) {
+                    const filename = path.basename(step.thumbnail);
+                    await fs.copy(step.thumbnail, path.join(thumbnailsDir, filename));
+                    step.thumbnailRelative = `sweep/${filename}`;
+                    relative.set(step.thumbnail, step.thumbnailRelative);
+                }
+            }
+            for (const issue of results.issues || []) {
+                for (const frame of (issue.width_ranges || []).flatMap(range => range.filmstrip)) {
+                    frame.thumbnailRelative = relative.get(frame.thumbnail);
+                }
+            }
+        }
+
         // Привязываем issues из results.issues к каждому check по устройству
+        // (при обходе сайта - и по странице)
         if (results.issues && results.checks) {
             for (const check of results.checks) {
                 check.detectedIssues = results.issues.filter(issue =>
-                    issue.affected_devices?.includes(check.device) ||
-                    issue.device === check.device
+                    (issue.affected_devices?.includes(check.device) || issue.device === check.device) &&
+                    (!check.page || !issue.pages || issue.pages.includes(check.page))
                 );
             }
         }
@@ -154,10 +202,19 @@ export class HTMLReporter {
         </div>
     </section>
 
+    ${this.generateCrawlSection(results)}
+
+    ${this.generateCrossBrowserMatrix(results.crossBrowser)}
+
+    ${this.generateSweepSection(results)}
+
+    ${this.generateResponsiveSection(results.responsive)}
+
     ${this.generateIssuesSection(results)}
 
     <footer class="footer">
         <p>Сгенерировано Visual QA Agent • ${new Date().toISOString()}</p>
+        ${this.generateAIFooter(results.ai)}
     </footer>
 
     <div id="lightbox" class="lightbox" onclick="closeLightbox()">
@@ -226,7 +283,8 @@ export class HTMLReporter {
                 <span class="status-icon">${statusIcon}</span>
                 <span class="device-name">${check.device || 'Unknown'}</span>
                 <span class="browser-badge">${check.browser || ''}</span>
-                ${hasDiff ? `<span class="diff-badge ${check.diffPercent > 1 ? 'high' : ''}">${check.diffPercent.toFixed(2)}% diff</span>` : ''}
+                ${check.page ? `<span class="page-badge" title="${check.page}">${this.pagePath(check.page)}</span>` : ''}
+                ${hasDiff ? `<span class="diff-badge ${check.comparison.status === 'failed' ? 'high' : ''}"${this.diffBadgeTitle(check.comparison)}>${check.diffPercent.toFixed(2)}% diff</span>` : ''}
             </div>
             ${check.screenshotRelative ? `
             <div class="screenshot-wrapper ${hasDiff ? 'has-diff' : ''}"
@@ -237,6 +295,8 @@ export class HTMLReporter {
             </div>
             ` : ''}
             <div class="card-body">
+                ${this.generateWebVitals(check.webVitals)}
+                ${this.generateDiffRegions(check.comparison?.regions)}
                 ${issuesCount > 0 ? `
                 <div class="issues-count">
                     <span class="count">${issuesCount}</span> проблем${this.pluralize(issuesCount, 'а', 'ы', '')}
@@ -252,6 +312,247 @@ export class HTMLReporter {
         </div>`;
     }
 
+    /**
+     * Подсказка к бейджу diff: SSIM и пороги, по которым классифицировано сравнение
+     */
+    diffBadgeTitle(comparison) {
+        const parts = [];
+        if (comparison.ssim !== undefined) {
+            parts.push(`SSIM ${comparison.ssim}, худший тайл ${comparison.ssimMin}`);
+        }
+        if (comparison.thresholds) {
+            const { metric, pixel_diff_percent: percent, ssim_acceptable: ssim, sources = [] } = comparison.thresholds;
+            parts.push(`Порог: ${metric === 'ssim' ? `SSIM >= ${ssim}` : `< ${percent}%`} (${sources.join(' → ')})`);
+        }
+        return parts.length > 0 ? ` title="${parts.join('; ')}"` : '';
+    }
+
+    /**
+     * Крупнейшие регионы различий с baseline и элементы под ними
+     */
+    generateDiffRegions(regions) {
+        if (!regions?.length) return '';
+
+        return `
+                <ul class="diff-regions">
+                    ${regions.slice(0, 3).map(region => `
+                    <li title="${region.width}×${region.height}px в (${region.x}, ${region.y}), ${region.area} px">${region.description}</li>
+                    `).join('')}
+                    ${regions.length > 3 ? `<li class="more">+${regions.length - 3} регион${this.pluralize(regions.length - 3, '', 'а', 'ов')}</li>` : ''}
+                </ul>`;
+    }
+
+    /**
+     * Core Web Vitals на карточке проверки
+     */
+    generateWebVitals(webVitals) {
+        if (!webVitals) return '';
+
+        const metrics = ['lcp', 'cls', 'fcp']
+            .map(key => webVitals[key])
+            .filter(metric => metric && metric.value !== null);
+        if (metrics.length === 0) return '';
+
+        return `
+                <div class="web-vitals">
+                    ${metrics.map(metric => `
+                    <span class="vital ${metric.rating}" title="${metric.thresholds ? `good ≤ ${metric.thresholds.good}, poor > ${metric.thresholds.needs_improvement}` : ''}">
+                        ${metric.name} <strong>${metric.value}${metric.unit || ''}</strong>
+                    </span>`).join('')}
+                </div>`;
+    }
+
+    /**
+     * Breakpoint sweep: filmstrip всех ширин и диапазоны ширин каждой проблемы
+     */
+    generateSweepSection(results) {
+        const { sweep, issues = [] } = results;
+        if (!sweep) return '';
+
+        const frame = (width, thumbnailRelative, className = '') => thumbnailRelative ? `
+                    <figure class="sweep-frame ${className}" onclick="openLightbox('${thumbnailRelative}')">
+                        <img src="${thumbnailRelative}" alt="${width}px" loading="lazy">
+                        <figcaption>${width}px</figcaption>
+                    </figure>` : '';
+
+        return `
+        <section class="sweep">
+            <h2>Breakpoint sweep ${sweep.from}–${sweep.to}px (шаг ${sweep.step}px, ${sweep.browser})</h2>
+            <div class="filmstrip">
+                ${sweep.steps.map(step => frame(step.width, step.thumbnailRelative, step.issues_count > 0 ? (step.critical ? 'failed' : 'warning') : 'passed')).join('')}
+            </div>
+            ${issues.filter(issue => issue.width_ranges).map(issue => `
+            <div class="sweep-issue ${issue.severity}">
+                <h3>${issue.title}</h3>
+                ${issue.fix?.suggestion ? `<p><em>💡 ${issue.fix.suggestion}</em></p>` : ''}
+                ${issue.width_ranges.map(range => `
+                <div class="sweep-range">
+                    <strong>${range.from === range.to ? `${range.from}px` : `${range.from}–${range.to}px`}</strong>
+                    ${range.breakpoints.length > 0 ? `<small>${range.breakpoints.join(' → ')}</small>` : ''}
+                    <div class="filmstrip">
+                        ${range.filmstrip.map(f => frame(f.width, f.thumbnailRelative)).join('')}
+                    </div>
+                </div>
+                `).join('')}
+            </div>
+            `).join('')}
+        </section>`;
+    }
+
+    /**
+     * AI-сравнение брейкпоинтов: скриншоты mobile → tablet → desktop и найденные расхождения
+     */
+    generateResponsiveSection(reviews) {
+        if (!reviews?.length) return '';
+
+        return `
+        <section class="sweep responsive">
+            <h2>Сравнение брейкпоинтов (AI)</h2>
+            ${reviews.map(review => `
+            <div class="responsive-review">
+                <h3>${review.emulation}${review.state ? ` • ${review.state}` : ''} (${review.browser})
+                    ${review.score !== undefined ? `<small>оценка ${review.score}/100</small>` : ''}</h3>
+                <div class="filmstrip">
+                    ${review.breakpoints.map(shot => `
+                    <figure class="sweep-frame ${review.issues?.some(issue => issue.breakpoints.includes(shot.breakpoint)) ? 'warning' : 'passed'}"
+                        ${shot.screenshotRelative ? `onclick="openLightbox('${shot.screenshotRelative}')"` : ''}>
+                        ${shot.screenshotRelative ? `<img src="${shot.screenshotRelative}" alt="${shot.device}" loading="lazy">` : ''}
+                        <figcaption>${shot.breakpoint}: ${shot.device}</figcaption>
+                    </figure>`).join('')}
+                </div>
+                ${review.error ? `<p class="crawl-meta">✗ ${review.error}</p>` : ''}
+                ${review.summary ? `<p>${review.summary}</p>` : ''}
+                ${(review.issues || []).map(issue => `
+                <div class="sweep-issue ${issue.severity}">
+                    <h3>[${issue.breakpoints.join(', ')}] ${issue.message}</h3>
+                    ${issue.location ? `<small>${issue.location}</small>` : ''}
+                    <p><em>💡 ${issue.recommendation}</em></p>
+                </div>`).join('')}
+            </div>
+            `).join('')}
+        </section>`;
+    }
+
+    /**
+     * Путь страницы для подписи в отчёте обхода сайта
+     */
+    pagePath(url) {
+        const { pathname, search } = new URL(url);
+        return `${pathname}${search}`;
+    }
+
+    /**
+     * AI-анализ в подвале: провайдер, модель, попадания в кэш, токены и стоимость
+     */
+    generateAIFooter(ai) {
+        if (!ai) return '';
+        const { cache, usage } = ai;
+        const cacheInfo = cache?.enabled
+            ? `кэш: ${cache.hits} из ${cache.hits + cache.misses}`
+            : 'кэш отключён';
+        const parts = [`🤖 AI: ${ai.provider} (${ai.model})`, cacheInfo];
+        if (usage) {
+            parts.push(`запросов: ${usage.requests}`);
+            parts.push(`токены: ${usage.input_tokens.toLocaleString('ru-RU')} → ${usage.output_tokens.toLocaleString('ru-RU')}`);
+            if (usage.requests > usage.unpriced_requests) {
+                parts.push(`~$${usage.cost_usd.toFixed(4)}${usage.budget_usd ? ` из $${usage.budget_usd}` : ''}`);
+            }
+            if (usage.budget_exceeded) {
+                parts.push('бюджет исчерпан, анализ остановлен');
+            }
+        }
+        return `<p>${parts.join(' • ')}</p>`;
+    }
+
+    /**
+     * Обход сайта: таблица найденных страниц со статусом каждой
+     */
+    generateCrawlSection(results) {
+        const { crawl, pages = [] } = results;
+        if (!crawl) return '';
+
+        const statusIcon = { passed: '✓', warning: '⚠', failed: '✗', error: '⚡' };
+
+        return `
+        <section class="crawl">
+            <h2>Страницы сайта (${pages.length})</h2>
+            <p class="crawl-meta">
+                Глубина ${crawl.maxDepth}, не больше ${crawl.maxPages} страниц${crawl.sitemap ? ` · sitemap: ${crawl.sitemap}` : ''}
+                ${crawl.include.length ? ` · include: ${crawl.include.join(', ')}` : ''}
+                ${crawl.exclude.length ? ` · exclude: ${crawl.exclude.join(', ')}` : ''}
+            </p>
+            <table class="crawl-pages">
+                <thead>
+                    <tr>
+                        <th>Страница</th>
+                        <th>Глубина</th>
+                        <th>Проверок</th>
+                        <th>Проблем</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${pages.map(page => `
+                    <tr class="${page.status}">
+                        <td><span class="status-icon">${statusIcon[page.status] || '?'}</span> <a href="${page.url}" target="_blank" rel="noopener">${this.pagePath(page.url)}</a>
+                            ${page.error ? `<small>${page.error}</small>` : ''}</td>
+                        <td>${page.depth}</td>
+                        <td>${page.summary ? `${page.summary.passed}/${page.summary.total}` : '—'}</td>
+                        <td>${page.issues_count}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>`;
+    }
+
+    /**
+     * Матрица устройство × браузер: расхождение каждого браузера с эталонным движком
+     */
+    generateCrossBrowserMatrix(crossBrowser) {
+        if (!crossBrowser?.matrix?.length) return '';
+
+        const { reference, matrix } = crossBrowser;
+        const browsers = [reference, ...new Set(matrix.flatMap(row => Object.keys(row.browsers)).filter(b => b !== reference))];
+
+        const cell = (row, browser) => {
+            const result = row.browsers[browser];
+            if (!result) return '<td class="cb-cell none">—</td>';
+            if (result.status === 'reference') return '<td class="cb-cell reference">эталон</td>';
+            if (result.status === 'error') return `<td class="cb-cell error" title="${result.message}">⚡ ошибка</td>`;
+
+            const referenceCell = row.browsers[reference];
+            const clickable = result.diffRelative && referenceCell?.screenshotRelative;
+            const metrics = `${result.ssim !== undefined ? `SSIM ${result.ssimMin}` : ''} · ${result.diffPercent}%`;
+
+            return `<td class="cb-cell ${result.status}"${clickable ? ` onclick="openDiffOverlay('${result.screenshotRelative}', '${result.diffRelative}', '${referenceCell.screenshotRelative}', '${row.device} (${browser} vs ${reference})', ${result.diffPercent || 0})"` : ''}
+                    title="${result.message}">
+                    ${metrics}
+                    ${result.regions?.length ? `<small>${result.regions[0].description}</small>` : ''}
+                </td>`;
+        };
+
+        return `
+        <section class="cross-browser">
+            <h2>Кросс-браузерная согласованность (эталон: ${reference})</h2>
+            <table class="cb-matrix">
+                <thead>
+                    <tr>
+                        <th>Устройство</th>
+                        ${browsers.map(browser => `<th>${browser}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${matrix.map(row => `
+                    <tr>
+                        <td class="cb-device">${row.device}${row.viewport ? ` <small>${row.viewport.width}×${row.viewport.height}</small>` : ''}</td>
+                        ${browsers.map(browser => cell(row, browser)).join('')}
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>`;
+    }
+
     /**
      * Генерация секции со всеми проблемами
      */
@@ -278,6 +579,7 @@ export class HTMLReporter {
                         <li>
                             <strong>${i.affected_devices?.join(', ') || i.device}</strong>: ${i.title}
                             <br><small>${i.description}</small>
+                            ${i.pages ? `<br><small>📄 ${i.pages.map(page => this.pagePath(page)).join(', ')}</small>` : ''}
                             ${i.fix?.suggestion ? `<br><em>💡 ${i.fix.suggestion}</em>` : ''}
                             ${i.fix?.css ? `<br><code style="display:block;background:#1e293b;padding:8px;margin-top:4px;border-radius:4px;font-size:12px;white-space:pre;">${i.fix.css}</code>` : ''}
                         </li>
@@ -294,6 +596,7 @@ export class HTMLReporter {
                         <li>
                             <strong>${i.affected_devices?.join(', ') || i.device}</strong>: ${i.title}
                             <br><small>${i.description}</small>
+                            ${i.pages ? `<br><small>📄 ${i.pages.map(page => this.pagePath(page)).join(', ')}</small>` : ''}
                             ${i.fix?.suggestion ? `<br><em>💡 ${i.fix.suggestion}</em>` : ''}
                             ${i.fix?.css ? `<br><code style="display:block;background:#1e293b;padding:8px;margin-top:4px;border-radius:4px;font-size:12px;white-space:pre;">${i.fix.css}</code>` : ''}
                         </li>
@@ -519,6 +822,143 @@ export class HTMLReporter {
 
         .no-issues { color: var(--color-passed); }
 
+        .web-vitals {
+            display: flex;
+            gap: 0.5rem;
+            margin-bottom: 0.75rem;
+            font-size: 0.8rem;
+        }
+
+        .vital {
+            padding: 0.2rem 0.5rem;
+            border-radius: 0.25rem;
+            background: var(--bg-dark);
+            border-left: 3px solid var(--text-secondary);
+        }
+
+        .vital.good { border-color: var(--color-passed); }
+        .vital.needs-improvement { border-color: var(--color-warning); }
+        .vital.poor { border-color: var(--color-failed); color: var(--color-failed); }
+
+        .diff-regions {
+            list-style: none;
+            margin-bottom: 0.75rem;
+            font-size: 0.8rem;
+        }
+
+        .diff-regions li {
+            padding: 0.2rem 0.5rem;
+            margin-bottom: 0.25rem;
+            border-left: 3px solid var(--color-warning);
+            background: var(--bg-dark);
+        }
+
+        .diff-regions li.more { color: var(--text-secondary); border-color: transparent; }
+
+        .sweep {
+            background: var(--bg-card);
+            border-radius: 1rem;
+            padding: 1.5rem;
+            margin-top: 2rem;
+        }
+
+        .filmstrip {
+            display: flex;
+            gap: 0.5rem;
+            overflow-x: auto;
+            padding: 0.5rem 0;
+        }
+
+        .sweep-frame {
+            flex: 0 0 auto;
+            cursor: pointer;
+            border-bottom: 3px solid transparent;
+            text-align: center;
+            font-size: 0.75rem;
+            color: var(--text-secondary);
+        }
+
+        .sweep-frame img { display: block; max-height: 120px; border-radius: 0.25rem; }
+        .sweep-frame.passed { border-color: var(--color-passed); }
+        .sweep-frame.warning { border-color: var(--color-warning); }
+        .sweep-frame.failed { border-color: var(--color-failed); }
+
+        .sweep-issue { margin-top: 1.5rem; }
+        .sweep-issue.critical h3 { color: var(--color-failed); }
+        .sweep-issue.warning h3 { color: var(--color-warning); }
+        .sweep-range { margin-top: 0.75rem; }
+        .responsive-review + .responsive-review { margin-top: 2rem; }
+        .responsive-review h3 small { margin-left: 0.5rem; font-weight: normal; color: var(--text-secondary); }
+        .sweep-range small { margin-left: 0.5rem; color: var(--text-secondary); }
+
+        .cross-browser {
+            background: var(--bg-card);
+            border-radius: 1rem;
+            padding: 1.5rem;
+            margin-top: 2rem;
+            overflow-x: auto;
+        }
+
+        .cb-matrix {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 1rem;
+            font-size: 0.85rem;
+        }
+
+        .cb-matrix th, .cb-matrix td {
+            padding: 0.5rem 0.75rem;
+            border-bottom: 1px solid var(--bg-dark);
+            text-align: left;
+            vertical-align: top;
+        }
+
+        .cb-matrix small { display: block; color: var(--text-secondary); }
+        .cb-cell { border-left: 3px solid transparent; }
+        .cb-cell.passed { border-color: var(--color-passed); }
+        .cb-cell.warning { border-color: var(--color-warning); cursor: pointer; }
+        .cb-cell.failed { border-color: var(--color-failed); color: var(--color-failed); cursor: pointer; }
+        .cb-cell.error, .cb-cell.none, .cb-cell.reference { color: var(--text-secondary); }
+
+        .page-badge {
+            font-size: 0.75rem;
+            color: var(--text-secondary);
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            max-width: 12rem;
+        }
+
+        .crawl {
+            background: var(--bg-card);
+            border-radius: 1rem;
+            padding: 1.5rem;
+            margin-top: 2rem;
+            overflow-x: auto;
+        }
+
+        .crawl-meta { color: var(--text-secondary); font-size: 0.85rem; }
+
+        .crawl-pages {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 1rem;
+            font-size: 0.85rem;
+        }
+
+        .crawl-pages th, .crawl-pages td {
+            padding: 0.5rem 0.75rem;
+            border-bottom: 1px solid var(--bg-dark);
+            text-align: left;
+            vertical-align: top;
+        }
+
+        .crawl-pages a { color: var(--text-primary); }
+        .crawl-pages small { display: block; color: var(--text-secondary); }
+        .crawl-pages tr.passed .status-icon { color: var(--color-passed); }
+        .crawl-pages tr.warning .status-icon { color: var(--color-warning); }
+        .crawl-pages tr.failed .status-icon, .crawl-pages tr.error .status-icon { color: var(--color-failed); }
+
         .all-issues {
             background: var(--bg-card);
             border-radius: 1rem;
@@ -44,6 +44,21 @@ function getSelector(el) {
 }
 `;
 
+/**
+ * page.evaluate() с getSelector в браузерном контексте
+ * Функции нельзя передать аргументом evaluate, поэтому вызов собирается из исходного кода:
+ * fn получает getSelector первым аргументом - (getSelector, arg) => ...
+ *
+ * @param {Page} page - страница Playwright
+ * @param {Function} fn - функция для браузерного контекста
+ * @param {any} arg - аргумент fn (сериализуемый в JSON)
+ * @returns {Promise<any>}
+ */
+export function evaluateWithSelector(page, fn, arg) {
+    const serialized = arg === undefined ? 'undefined' : JSON.stringify(arg);
+    return page.evaluate(`(${fn})(${getSelector}, ${serialized})`);
+}
+
 /**
  * Валидация URL
  *
@@ -94,7 +109,7 @@ export function validateFilePath(filePath, baseDir = null) {
     if (baseDir) {
         const normalizedBase = path.normalize(baseDir);
         const resolvedPath = path.resolve(normalizedBase, normalizedPath);
-        if (!resolvedPath.startsWith(normalizedBase)) {
+        if (resolvedPath !== path.resolve(normalizedBase) && !isInsideDir(resolvedPath, normalizedBase)) {
             throw new Error('Путь выходит за пределы разрешённой директории');
         }
         return resolvedPath;
@@ -103,6 +118,18 @@ export function validateFilePath(filePath, baseDir = null) {
     return normalizedPath;
 }
 
+/**
+ * Проверка, что файл находится внутри директории (после разрешения путей)
+ *
+ * @param {string} filePath - путь к файлу
+ * @param {string} dir - директория
+ * @returns {boolean}
+ */
+export function isInsideDir(filePath, dir) {
+    const relative = path.relative(path.resolve(dir), path.resolve(filePath));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
 /**
  * Обёртка для безопасного выполнения async функций с логированием ошибок
  *
@@ -129,10 +156,12 @@ export async function safeExecute(fn, context = 'operation', defaultValue = null
  * @returns {Promise}
  */
 export function withTimeout(promise, ms, operation = 'Operation') {
+    let timer;
     const timeout = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`${operation} timed out after ${ms}ms`)), ms);
+        timer = setTimeout(() => reject(new Error(`${operation} timed out after ${ms}ms`)), ms);
     });
-    return Promise.race([promise, timeout]);
+    // Таймер не должен держать процесс после завершения операции
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
 /**
@@ -161,6 +190,18 @@ export class RateLimiter {
     }
 }
 
+/**
+ * Совпадение строки (URL, пути) с glob-шаблоном
+ *
+ * @param {string} value - проверяемая строка
+ * @param {string} pattern - шаблон, * - любая последовательность символов
+ * @returns {boolean}
+ */
+export function matchesPattern(value, pattern) {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return regex.test(value);
+}
+
 /**
  * Поиск устройства по ID в профилях
  *
@@ -197,11 +238,14 @@ export function pluralize(n, one, few, many) {
 export default {
     getSelector,
     getSelectorCode,
+    evaluateWithSelector,
     validateUrl,
     validateFilePath,
+    isInsideDir,
     safeExecute,
     withTimeout,
     RateLimiter,
+    matchesPattern,
     findDeviceById,
     pluralize
 };
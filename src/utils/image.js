@@ -0,0 +1,53 @@
+/**
+ * Image - Общие операции с PNG
+ */
+
+import { PNG } from 'pngjs';
+
+/**
+ * Вырезание области и уменьшение усреднением блоков пикселей
+ * Используется для фрагментов vision-модели (image-tiler) и миниатюр filmstrip (breakpoint-sweep)
+ * @param {PNG} source - исходное изображение
+ * @param {{x: number, y: number, width: number, height: number}} region - область в пикселях исходника
+ * @param {number} scale - масштаб результата (1 - без уменьшения)
+ * @returns {Buffer} PNG
+ */
+export function renderRegion(source, region, scale) {
+    const width = Math.max(1, Math.round(region.width * scale));
+    const height = Math.max(1, Math.round(region.height * scale));
+    const ratioX = region.width / width;
+    const ratioY = region.height / height;
+    const target = new PNG({ width, height });
+
+    for (let y = 0; y < height; y++) {
+        const y0 = region.y + Math.floor(y * ratioY);
+        const y1 = Math.min(region.y + region.height, Math.max(y0 + 1, region.y + Math.floor((y + 1) * ratioY)));
+        for (let x = 0; x < width; x++) {
+            const x0 = region.x + Math.floor(x * ratioX);
+            const x1 = Math.min(region.x + region.width, Math.max(x0 + 1, region.x + Math.floor((x + 1) * ratioX)));
+
+            const sum = [0, 0, 0, 0];
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const idx = (sy * source.width + sx) << 2;
+                    sum[0] += source.data[idx];
+                    sum[1] += source.data[idx + 1];
+                    sum[2] += source.data[idx + 2];
+                    sum[3] += source.data[idx + 3];
+                }
+            }
+
+            const count = (y1 - y0) * (x1 - x0);
+            const idx = (y * width + x) << 2;
+            for (let c = 0; c < 4; c++) {
+                target.data[idx + c] = Math.round(sum[c] / count);
+            }
+        }
+    }
+
+    return PNG.sync.write(target);
+}
+
+export default {
+    renderRegion
+};